@@ -1,468 +1,326 @@
 // Neon Scientific Calculator (no external libs)
-// Features: expression builder, safe-ish evaluator via tokenizing + shunting-yard + RPN
-// Supports: + - × ÷, parentheses, %, ^, sqrt, sin/cos/tan, asin/acos/atan (2nd), log10, ln, factorial, inv 1/x
-// Constants: π, e, Ans
-// DEG/RAD modes, history, keyboard support
+// UI layer: expression builder, history, keyboard. All parsing/evaluation lives in engine.js
+// Supports: + - × ÷, parentheses, % (200 + 10% = 220, %Δ with 2nd), mod, ^, sqrt, sin/cos/tan, asin/acos/atan (2nd), sinh/cosh/tanh (HYP), sec/csc/cot, log10, ln, factorial, inv 1/x
+// Multi-argument: log(x, base), root(x, n), atan2(y, x), nCr, nPr, min/max/hypot(a, b, ...)
+// FRAC mode: exact rationals (1/3 + 1/6 = 1/2), S⇔D switches a result between fraction and decimal
+// PREC mode: exact big integers (200!, 2^2000) and N-digit decimals, S⇔D switches full ↔ scientific
+// CPLX mode: i (2nd + e), sqrt(-4) = 2i, re/im/abs/arg/conj, results as a+bi or polar r∠θ
+// PROG mode: 0x/0b/0o literals, HEX/DEC/OCT/BIN side by side, 8–64 bit words, and/or/xor/not/<</>>, mod
+// Units: 5 km + 300 m to ft, 20 °C to °F, 10 m / 2 s (picker under the pad)
+// Graph: several y = f(x) at once, drag to pan, wheel/pinch to zoom, hover/tap to trace
+// Constants: π, e, Ans • Variables: x = 5, then 2x + 1 • Functions: f(x) = x^2 + 1, then f(3)
+// DEG/RAD/GRAD modes, angles as 90°, 1.2ʳ (2nd °), 100ᵍ (2nd ′) or 30°15'20" (▸DMS shows a result that way, 100ᵍ to ° converts), keyboard support, history kept in localStorage with the settings (search, pin/star, JSON/CSV)
+// ABC: letters type any name, matching functions pop up with their signatures and Tab completes them; pasted expressions go in as they are
+// Text: Thai or English messages from i18n.js (data-i18n in index.html), numbers typed with "." whatever the display shows
+
+import { createCalculator, formatDefinition, formatNumber, toNumber, ANGLE_MODES } from "./engine.js";
+import { isFrac, formatFraction, fracApprox } from "./fraction.js";
+import { isBig, formatBig } from "./bignum.js";
+import { isCplx, formatComplex } from "./complex.js";
+import { isInt, formatInt, BASES, BASE_PREFIX } from "./programmer.js";
+import { UNIT_GROUPS } from "./units.js";
+import { createGraph, GRAPH_COLORS } from "./graph.js";
+import { list, summary, regression, REGRESSIONS, parseTable } from "./stats.js";
+import { isMatrix } from "./matrix.js";
+import { ERROR_CODES } from "./errors.js";
+import {
+  HISTORY_LIMITS, createEntry, addEntry, trimHistory, clearHistory, searchHistory, groupByDay, dayKey,
+  historyToJSON, historyToCSV, parseHistory, mergeHistory, saveSession, loadSession,
+} from "./history.js";
+import { createUndoStack } from "./undo.js";
+import { DISPLAY_MODES, NORM, formatReal, formatDMS, numberStyleFor } from "./format.js";
+import { LANGUAGES, translate, pickLanguage, localeFor } from "./i18n.js";
+import { namePrefix, completions } from "./complete.js";
+import { selection as selectionOf, edit } from "./caret.js";
 
 const exprEl = document.getElementById("expr");
+const suggestEl = document.getElementById("suggest");
 const resultEl = document.getElementById("result");
 const hintEl = document.getElementById("hint");
 
 const historyListEl = document.getElementById("historyList");
+const historySearch = document.getElementById("historySearch");
+const btnStarred = document.getElementById("btnStarred");
+const historyLimitSelect = document.getElementById("historyLimit");
+const historyFile = document.getElementById("historyFile");
+const varListEl = document.getElementById("varList");
+const varForm = document.getElementById("varForm");
+const varInput = document.getElementById("varInput");
 
 const btnDeg = document.getElementById("btnDeg");
 const btnRad = document.getElementById("btnRad");
+const btnGrad = document.getElementById("btnGrad");
 const btn2nd = document.getElementById("btn2nd");
+const btnHyp = document.getElementById("btnHyp");
+const btnAbc = document.getElementById("btnAbc");
+const btnFrac = document.getElementById("btnFrac");
+const btnPrec = document.getElementById("btnPrec");
+const btnCplx = document.getElementById("btnCplx");
+const btnProg = document.getElementById("btnProg");
+const baseSelect = document.getElementById("baseSelect");
+const wordSizeSelect = document.getElementById("wordSize");
+const btnSigned = document.getElementById("btnSigned");
+const baseView = document.getElementById("baseView");
+const progPad = document.getElementById("progPad");
+const unitPicker = document.getElementById("unitPicker");
+const btnTo = document.getElementById("btnTo");
+const graphFnsEl = document.getElementById("graphFns");
+const graphReadout = document.getElementById("graphReadout");
+const btnStat = document.getElementById("btnStat");
+const statsPanel = document.getElementById("statsPanel");
+const statColsSelect = document.getElementById("statCols");
+const statTableEl = document.getElementById("statTable");
+const statOutEl = document.getElementById("statOut");
+const precDigits = document.getElementById("precDigits");
+const displayModeSelect = document.getElementById("displayMode");
+const displayDigits = document.getElementById("displayDigits");
+const btnSI = document.getElementById("btnSI");
+const numberStyle = document.getElementById("numberStyle");
+const btnSD = document.getElementById("btnSD");
+const btnPolar = document.getElementById("btnPolar");
 const btnClearHistory = document.getElementById("btnClearHistory");
+const btnUndo = document.getElementById("btnUndo");
+const btnRedo = document.getElementById("btnRedo");
+const langSelect = document.getElementById("langSelect");
 
 const modePill = document.getElementById("modePill");
 const secondPill = document.getElementById("secondPill");
 const ansPill = document.getElementById("ansPill");
 
+// engine owns mode (DEG | RAD | GRAD), number mode (REAL | FRAC | PREC | CPLX | PROG), word size, ans, variables and user functions;
+// the UI only keeps what it draws
+const calc = createCalculator({mode:"DEG", ans:0});
+
 let state = {
   expr: "",
-  ans: 0,
-  mode: "DEG",   // DEG | RAD
+  caret: 0,          // where typing goes in expr; anchor is the other end of the selection (== caret: none)
+  anchor: 0,
   second: false,
-  history: []    // {expr, result}
+  hyp: false,         // HYP: the trig keys type sinh/cosh/tanh (asinh... with 2nd)
+  typing: false,     // ABC: letters on the keyboard type names instead of the p/a/r shortcuts
+  suggest: {items: [], active: 0, prefix: ""}, // names offered for the one before the caret (see Typed entry)
+  value: null,       // value behind the result line, for S⇔D
+  dms: false,        // the result line shows it as 30°15'20" (▸DMS), until the next result
+  display: "frac",   // how fractions are shown: frac (7/2) | mixed (3 1/2) | dec (3.5)
+  bigNotation: "full", // how PREC results are shown: full | sci
+  polar: false,      // complex results as r∠θ instead of a+bi
+  format: {...NORM, digits: 4, auto: false}, // how doubles are shown: NORM | FIX n | SCI n | ENG, separators (see format.js); auto: separators follow the UI language, see locale()
+  base: "DEC",       // PROG mode: base of the result line and of typed digits
+  graphs: [{text:"sin(x)/x", color:GRAPH_COLORS[0]}, {text:"x^3-2x", color:GRAPH_COLORS[1]}], // y = f(x) rows
+  stat: {cols: 1, rows: [{x:"", y:""}, {x:"", y:""}, {x:"", y:""}, {x:"", y:""}]}, // data table (text as typed)
+  history: [],   // {id, expr, result, time, pinned, starred}, newest first (see history.js)
+  historyLimit: 0, // entries kept, 0 = unlimited
+  historyQuery: "",
+  starredOnly: false,
+  lang: pickLanguage(null, navigator.languages || [navigator.language]), // th | en, see i18n.js
 };
 
+// undo steps: the expression with its caret, Ans and the history list (see Undo / redo)
+const undoStack = createUndoStack({
+  same: (a, b)=> a.expr === b.expr && a.ans === b.ans && a.history === b.history,
+});
+
 // ---------- Utilities ----------
+// UI text in the current language: t("hint.pasted", {n: 3})
+const t = (key, params)=> translate(state.lang, key, params);
+const locale = ()=> localeFor(state.lang, navigator.languages || [navigator.language]);
+
 function setHint(text){
   hintEl.textContent = text;
 }
+// a new expression puts the caret at its end
 function setExpr(text){
   state.expr = text;
-  exprEl.textContent = state.expr || "";
-}
-function setResult(text){
-  resultEl.textContent = text;
+  state.caret = state.anchor = text.length;
+  renderExpr();
+  checkpoint();
 }
-function isDigit(ch){ return ch >= "0" && ch <= "9"; }
-
-function formatNumber(n){
-  if (!Number.isFinite(n)) return "Error";
-  // prevent -0
-  if (Object.is(n, -0)) n = 0;
-  // show up to 12 significant digits, trim
-  const s = Number(n.toPrecision(12)).toString();
-  return s;
-}
-
-function degToRad(x){ return x * Math.PI / 180; }
-function radToDeg(x){ return x * 180 / Math.PI; }
-
-function factorial(n){
-  if (!Number.isFinite(n)) return NaN;
-  if (n < 0) return NaN;
-  if (Math.abs(n - Math.round(n)) > 1e-12) return NaN; // require integer
-  n = Math.round(n);
-  if (n > 170) return Infinity; // JS overflow for factorial
-  let r = 1;
-  for (let i=2;i<=n;i++) r *= i;
-  return r;
-}
-
-// ---------- Tokenizer ----------
-/*
-Tokens:
-- number: {type:"num", value: number}
-- operator: {type:"op", value:"+|-|*|/|^|%|u-" } (u- = unary minus)
-- paren: {type:"paren", value:"("|")"}
-- func: {type:"fn", value:"sin|cos|tan|asin|acos|atan|log|ln|sqrt|inv"}
-- const: {type:"const", value:"pi|e|ans"}
-*/
-function normalizeInput(raw){
-  return raw
-    .replaceAll("×", "*")
-    .replaceAll("÷", "/")
-    .replaceAll("−", "-")
-    .replaceAll("π", "pi")
-    .replaceAll("Ans", "ans");
-}
-
-function tokenize(input){
-  const s = normalizeInput(input).replace(/\s+/g, "");
-  const out = [];
-  let i = 0;
-
-  const isAlpha = (c)=> (c>="a" && c<="z") || (c>="A" && c<="Z") ;
-
-  while (i < s.length){
-    const c = s[i];
-
-    // number (supports decimals)
-    if (isDigit(c) || (c === ".")){
-      let j = i;
-      let dot = 0;
-      while (j < s.length && (isDigit(s[j]) || s[j] === ".")){
-        if (s[j] === ".") dot++;
-        if (dot > 1) break;
-        j++;
-      }
-      const numStr = s.slice(i, j);
-      const num = Number(numStr);
-      if (!Number.isFinite(num)) throw new Error("Invalid number");
-      out.push({type:"num", value:num});
-      i = j;
-      continue;
-    }
-
-    // parentheses
-    if (c === "(" || c === ")"){
-      out.push({type:"paren", value:c});
-      i++;
-      continue;
-    }
-
-    // operators
-    if ("+-*/^%".includes(c)){
-      out.push({type:"op", value:c});
-      i++;
-      continue;
-    }
-
-    // identifiers (functions/constants)
-    if (isAlpha(c)){
-      let j = i;
-      while (j < s.length && (isAlpha(s[j]))) j++;
-      const id = s.slice(i, j).toLowerCase();
-
-      // constants
-      if (id === "pi") out.push({type:"const", value:"pi"});
-      else if (id === "e") out.push({type:"const", value:"e"});
-      else if (id === "ans") out.push({type:"const", value:"ans"});
-      // functions
-      else if (["sin","cos","tan","asin","acos","atan","log","ln","sqrt","inv"].includes(id)){
-        out.push({type:"fn", value:id});
-      } else {
-        throw new Error("Unknown identifier: " + id);
-      }
-      i = j;
-      continue;
-    }
 
-    // factorial shorthand "!" handled in UI via function, but allow in expression too
-    if (c === "!"){
-      out.push({type:"fn", value:"fact"}); // treat as postfix fn, handled specially
-      i++;
-      continue;
+// the expression with the caret (or the selection) drawn in, and error underlined when given
+function renderExpr(error = null){
+  const text = state.expr;
+  const [from, to] = selection();
+  const classOf = (k)=> [
+    k >= from && k < to ? "sel" : "",
+    error && k >= error.start && k < error.end ? "errSpan" : "",
+  ].filter(Boolean).join(" ");
+  let html = "", run = "", runClass = "";
+  const flush = ()=>{
+    if (run) html += runClass ? `<span class="${runClass}">${escapeHtml(run)}</span>` : escapeHtml(run);
+    run = "";
+  };
+  for (let k=0;k<=text.length;k++){
+    if (k === state.caret && from === to){
+      flush();
+      html += `<span class="caret" aria-hidden="true"></span>`;
     }
-
-    throw new Error("Unexpected char: " + c);
-  }
-
-  return insertImplicitMultiplication(markUnaryMinus(out));
-}
-
-function markUnaryMinus(tokens){
-  // Convert "-" to unary u- when at start or after operator or "("
-  const out = [];
-  for (let i=0;i<tokens.length;i++){
-    const t = tokens[i];
-    if (t.type === "op" && t.value === "-"){
-      const prev = out[out.length - 1];
-      if (!prev || (prev.type === "op") || (prev.type === "paren" && prev.value === "(")){
-        out.push({type:"op", value:"u-"});
-      } else out.push(t);
-    } else {
-      out.push(t);
+    if (k === text.length) break;
+    if (classOf(k) !== runClass){
+      flush();
+      runClass = classOf(k);
     }
+    run += text[k];
   }
-  return out;
+  flush();
+  // an error past the end (a missing ")") underlines a blank
+  if (error && error.start >= text.length) html += `<span class="errSpan">&nbsp;</span>`;
+  exprEl.innerHTML = html;
+  renderSuggestions();
 }
 
-function insertImplicitMultiplication(tokens){
-  // Examples: 2(pi) -> 2 * (pi), 2sin(30) -> 2 * sin(30), (2)(3) -> (2) * (3), pi2 -> pi * 2 (handled)
-  const out = [];
-  const canLeft = (t)=> t && (t.type==="num" || t.type==="const" || (t.type==="paren" && t.value===")"));
-  const canRight = (t)=> t && (t.type==="num" || t.type==="const" || t.type==="fn" || (t.type==="paren" && t.value==="("));
+// ---------- Errors ----------
+// a result with no number in it, or in part of it: Error, Error m, {Error, 2}
+const failed = (out)=> /\bError\b/.test(out);
 
-  for (let i=0;i<tokens.length;i++){
-    const cur = tokens[i];
-    const prev = out[out.length-1];
-    if (canLeft(prev) && canRight(cur)){
-      // don't insert between fn and "(" (sin( ... )
-      if (!(prev?.type==="fn" && cur.type==="paren" && cur.value==="(")){
-        out.push({type:"op", value:"*"});
-      }
-    }
-    out.push(cur);
-  }
+// the span (offsets into the expression, shifted by offset) stays underlined until the next edit
+function showError(e, fallback, offset = 0){
+  setResult("Error");
+  if (e.span) renderExpr({start: e.span.start + offset, end: e.span.end + offset});
+  const label = ERROR_CODES.includes(e.code) ? t("error." + e.code) : fallback;
+  setHint(label === e.message ? label : `${label}: ${e.message}`);
+}
+function setResult(text){
+  resultEl.textContent = text;
+  // long PREC results wrap in a smaller font instead of being cut off
+  resultEl.classList.toggle("long", text.length > 24);
+}
+// the result as shown; History keeps it in NORM, which reads back as an expression
+function formatResult(val, format = state.format){
+  if (isInt(val)) return formatInt(val, BASES[state.base], {bits: calc.wordSize, prefix: true});
+  if (isCplx(val)) return formatComplex(val, {polar: state.polar, mode: calc.mode, format: (x)=> formatNumber(x, format)});
+  if (isBig(val)) return formatBig(val, {notation: state.bigNotation});
+  if (!isFrac(val)) return formatNumber(val, format);
+  if (state.display === "dec") return formatNumber(toNumber(val), format);
+  return formatFraction(val, {mixed: state.display === "mixed"});
+}
+function renderAns(){
+  ansPill.textContent = `Ans: ${formatNumber(calc.ans, state.format)}`;
+}
+// a matrix result is laid out as a grid, one line per row (a vector as one column)
+function setMatrix(m){
+  const cols = m.rows[0].length;
+  resultEl.classList.remove("long");
+  resultEl.innerHTML = `<div class="matrix" style="grid-template-columns: repeat(${cols}, auto)">` +
+    m.rows.flat().map(x => `<span>${escapeHtml(formatNumber(x, state.format))}</span>`).join("") + "</div>";
+}
+function showValue(val, dms = false){
+  state.value = val;
+  state.dms = dms;
+  const out = dms ? formatDMS(toNumber(val)) : formatResult(val);
+  if (isMatrix(val)) setMatrix(val);
+  else setResult(out);
+  renderBaseView();
   return out;
 }
 
-// ---------- Shunting-yard to RPN ----------
-const OP = {
-  "+": {prec: 1, assoc: "L", arity:2},
-  "-": {prec: 1, assoc: "L", arity:2},
-  "*": {prec: 2, assoc: "L", arity:2},
-  "/": {prec: 2, assoc: "L", arity:2},
-  "%": {prec: 2, assoc: "L", arity:2}, // treat a % b = a*(b/100)?? We'll implement as remainder? Better: percent operator in calculator often means a*(b/100) or x% = x/100.
-  "^": {prec: 4, assoc: "R", arity:2},
-  "u-": {prec: 3, assoc: "R", arity:1},
-};
-
-function toRPN(tokens){
-  const output = [];
-  const stack = [];
-
-  for (let i=0;i<tokens.length;i++){
-    const t = tokens[i];
-
-    if (t.type === "num" || t.type === "const"){
-      output.push(t);
-      continue;
-    }
-
-    if (t.type === "fn"){
-      // postfix factorial (fact) support: represent as fn with special flag postfix
-      output.push({type:"fn_marker", value:t.value}); // marker; will be handled when encountering "("? Actually factorial is postfix, no parentheses required.
-      // We'll push as function token to stack for prefix fns (sin...) but factorial we handle as postfix token immediately.
-      // Simpler: treat factorial as special fn in output if token is "fact" marker.
-      continue;
-    }
-
-    if (t.type === "op"){
-      while (stack.length){
-        const top = stack[stack.length-1];
-        if (top.type === "op"){
-          const a = OP[t.value];
-          const b = OP[top.value];
-          if (!a || !b) break;
-
-          if ((a.assoc === "L" && a.prec <= b.prec) || (a.assoc === "R" && a.prec < b.prec)){
-            output.push(stack.pop());
-            continue;
-          }
-        }
-        break;
-      }
-      stack.push(t);
-      continue;
-    }
-
-    if (t.type === "paren" && t.value === "("){
-      // if previous token is a function name in raw string, we'd have tokenized as fn already.
-      stack.push(t);
-      continue;
-    }
-
-    if (t.type === "paren" && t.value === ")"){
-      while (stack.length && !(stack[stack.length-1].type==="paren" && stack[stack.length-1].value==="(")){
-        output.push(stack.pop());
-      }
-      if (!stack.length) throw new Error("Mismatched parentheses");
-      stack.pop(); // pop "("
-
-      // If there's a function on top of stack, pop it into output (prefix functions)
-      // NOTE: In our tokenizer, functions are tokens, but we pushed them as fn_marker (immediate). Let's fix:
-      // We'll instead encode functions in expression string as "sin(" etc using UI; tokenization returns fn tokens.
-      // So we need to handle fn tokens properly: when fn appears, it should go onto stack, and after ")" it is popped.
-      // We'll implement that by re-tokenizing functions as 'fn' and pushing to stack when encountered.
-      continue;
-    }
+// PROG mode: the value in all four bases under the result line
+function renderBaseView(){
+  const val = state.value;
+  for (const row of baseView.querySelectorAll("[data-base]")){
+    const base = row.getAttribute("data-base");
+    row.classList.toggle("active", base === state.base);
+    row.querySelector("b").textContent = isInt(val) ? formatInt(val, BASES[base], {bits: calc.wordSize, group: true}) : "–";
   }
-
-  while (stack.length){
-    const t = stack.pop();
-    if (t.type === "paren") throw new Error("Mismatched parentheses");
-    output.push(t);
-  }
-
-  return output;
 }
 
-// The above toRPN doesn't handle fn tokens properly as written. We'll implement a correct version:
-function toRPN2(tokens){
-  const output = [];
-  const stack = [];
-
-  for (let i=0;i<tokens.length;i++){
-    const t = tokens[i];
-
-    if (t.type === "num" || t.type === "const"){
-      output.push(t);
-      continue;
-    }
-
-    if (t.type === "fn"){
-      if (t.value === "fact"){
-        // postfix factorial
-        output.push({type:"fn", value:"fact", postfix:true});
-      } else {
-        // prefix
-        stack.push(t);
-      }
-      continue;
-    }
-
-    if (t.type === "op"){
-      while (stack.length){
-        const top = stack[stack.length-1];
-        if (top.type === "op"){
-          const a = OP[t.value];
-          const b = OP[top.value];
-          if (!a || !b) break;
-          if ((a.assoc === "L" && a.prec <= b.prec) || (a.assoc === "R" && a.prec < b.prec)){
-            output.push(stack.pop());
-            continue;
-          }
-        } else if (top.type === "fn"){
-          // functions have higher precedence than operators
-          output.push(stack.pop());
-          continue;
-        }
-        break;
-      }
-      stack.push(t);
-      continue;
-    }
-
-    if (t.type === "paren" && t.value === "("){
-      stack.push(t);
-      continue;
-    }
-
-    if (t.type === "paren" && t.value === ")"){
-      while (stack.length && !(stack[stack.length-1].type==="paren" && stack[stack.length-1].value==="(")){
-        output.push(stack.pop());
-      }
-      if (!stack.length) throw new Error("Mismatched parentheses");
-      stack.pop(); // remove "("
-
-      // if function at top, pop it
-      if (stack.length && stack[stack.length-1].type === "fn"){
-        output.push(stack.pop());
-      }
-      continue;
-    }
-
-    throw new Error("Unexpected token");
-  }
+// ---------- Expression builder ----------
+// Every key types at the caret: append() inserts there (replacing the selection), the wrapping keys
+// (functions, ±) look at the term just before it, DEL removes the whole token before it (see caret.js).
+
+// the selection as [from, to], from <= to
+function selection(){ return selectionOf(state.caret, state.anchor); }
+function before(){ return state.expr.slice(0, selection()[0]); }
+function after(){ return state.expr.slice(selection()[1]); }
+function selected(){
+  const [from, to] = selection();
+  return state.expr.slice(from, to);
+}
 
-  while (stack.length){
-    const t = stack.pop();
-    if (t.type === "paren") throw new Error("Mismatched parentheses");
-    output.push(t);
-  }
+// everything before the caret becomes head, the caret goes after it; edits of one kind in a row
+// (digits) are a single undo step
+function replaceLine(head, tail = after(), kind = null){
+  state.expr = head + tail;
+  state.caret = state.anchor = head.length;
+  renderExpr();
+  checkpoint(kind);
+}
 
-  return output;
+// the expression line as edit() returns it
+function setLine(line, kind = null){
+  replaceLine(line.expr.slice(0, line.caret), line.expr.slice(line.caret), kind);
 }
 
-// ---------- RPN Evaluate ----------
-function evalRPN(rpn){
-  const st = [];
-  for (const t of rpn){
-    if (t.type === "num"){
-      st.push(t.value);
-      continue;
-    }
-    if (t.type === "const"){
-      if (t.value === "pi") st.push(Math.PI);
-      else if (t.value === "e") st.push(Math.E);
-      else if (t.value === "ans") st.push(state.ans);
-      continue;
-    }
-    if (t.type === "op"){
-      const info = OP[t.value];
-      if (!info) throw new Error("Unknown op");
-      if (st.length < info.arity) throw new Error("Bad expression");
-
-      if (t.value === "u-"){
-        const a = st.pop();
-        st.push(-a);
-        continue;
-      }
+function append(text, kind = null){
+  setLine(edit(state.expr, state.caret, state.anchor, {type:"insert", text}), kind);
+  preview();
+}
 
-      const b = st.pop();
-      const a = st.pop();
-
-      if (t.value === "+") st.push(a + b);
-      else if (t.value === "-") st.push(a - b);
-      else if (t.value === "*") st.push(a * b);
-      else if (t.value === "/") st.push(a / b);
-      else if (t.value === "^") st.push(Math.pow(a, b));
-      else if (t.value === "%"){
-        // Percent behavior (calculator-like):
-        // a % b -> a * (b/100)
-        // If user types "x%" alone, they should use key "%" on a number then "="; we will interpret as (x/100) when missing left operand via UI using smart insert.
-        st.push(a * (b / 100));
-      }
-      continue;
-    }
-    if (t.type === "fn"){
-      if (st.length < 1) throw new Error("Bad function");
-      const a = st.pop();
-
-      const mode = state.mode;
-      const trigIn = (x)=> mode==="DEG" ? degToRad(x) : x;
-      const trigOut = (x)=> mode==="DEG" ? radToDeg(x) : x;
-
-      let v;
-      switch (t.value){
-        case "sin": v = Math.sin(trigIn(a)); break;
-        case "cos": v = Math.cos(trigIn(a)); break;
-        case "tan": v = Math.tan(trigIn(a)); break;
-
-        case "asin": v = trigOut(Math.asin(a)); break;
-        case "acos": v = trigOut(Math.acos(a)); break;
-        case "atan": v = trigOut(Math.atan(a)); break;
-
-        case "log": v = Math.log10(a); break;
-        case "ln": v = Math.log(a); break;
-        case "sqrt": v = Math.sqrt(a); break;
-        case "inv": v = 1 / a; break;
-        case "fact": v = factorial(a); break;
-        default: throw new Error("Unknown function: " + t.value);
-      }
-      st.push(v);
-      continue;
-    }
-    throw new Error("Unknown token type");
-  }
-  if (st.length !== 1) throw new Error("Bad expression");
-  return st[0];
+// ←/→ a token at a time (with Shift the selection grows), Home/End
+function moveCaret(where, extend = false){
+  ({caret: state.caret, anchor: state.anchor} = edit(state.expr, state.caret, state.anchor, {type:"move", to: where, extend}));
+  undoStack.seal();
+  renderExpr();
 }
 
-function evaluateExpression(raw){
-  const tokens = tokenize(raw);
-  const rpn = toRPN2(tokens);
-  return evalRPN(rpn);
+// caret (and selection) from a click or a drag over the expression
+function textOffset(node, offset){
+  const range = document.createRange();
+  range.setStart(exprEl, 0);
+  range.setEnd(node, offset);
+  return range.toString().length;
+}
+function placeCaret(){
+  const sel = window.getSelection();
+  if (!sel || !sel.rangeCount || !exprEl.contains(sel.anchorNode) || !exprEl.contains(sel.focusNode)) return;
+  const clamp = (k)=> Math.min(k, state.expr.length); // the nbsp of an error underline is not text
+  state.anchor = clamp(textOffset(sel.anchorNode, sel.anchorOffset));
+  state.caret = clamp(textOffset(sel.focusNode, sel.focusOffset));
+  sel.removeAllRanges();
+  undoStack.seal();
+  renderExpr();
 }
 
-// ---------- Expression builder ----------
-function append(text){
-  setExpr(state.expr + text);
-  preview();
+// In PROG mode with HEX/OCT/BIN selected a new number starts with its prefix (0x, 0o, 0b),
+// and digits the base does not have are refused
+function appendDigit(d){
+  const radix = calc.numberMode === "PROG" ? BASES[state.base] : 10;
+  if (radix === 10){
+    append(d, "digit");
+    return;
+  }
+  if (d === "." || parseInt(d, 16) >= radix){
+    setHint(t("hint.digitNotInBase", {digit: d, base: state.base}));
+    return;
+  }
+  const prefix = BASE_PREFIX[radix];
+  if (new RegExp(prefix + "[0-9A-F]*$", "i").test(before())) append(d, "digit");
+  else append(prefix + d, "digit");
 }
 
+// % is postfix and reads like a desk calculator: 200 + 10% = 220, 200 × 10% = 20, 10% alone = 0.1;
+// with 2nd it starts %Δ(old, new), the percent change
 function smartAppendPercent(){
-  // If ends with number/const/")" then append "%<number>"? That’s ambiguous.
-  // We'll implement typical: when user presses %, append "%100" if pattern "a%" expected.
-  // Better: If last token is number/const/")", we interpret "x%" as x%100 -> x*(100/100)=x (not good).
-  // We'll do: if expression ends with number/const/")", append " % 1"??? Not.
-  // Simpler: make "%" act as " /100" when at end; if inside a% b it works as a*(b/100).
-  // So pressing "%" inserts "/100" if at end; else inserts "%" operator.
-  const trimmed = state.expr.trim();
-  if (!trimmed) return;
-  const last = trimmed[trimmed.length-1];
-  if (isDigit(last) || last===")" || last==="e" || last==="π" || last==="s"){ // rough
-    append("/100");
-    setHint("แทรก /100 (เปอร์เซ็นต์แบบ x% = x/100)");
-  } else {
-    append("%");
+  if (state.second){
+    append("%Δ(");
+    setHint(t("hint.percentChange"));
+    return;
   }
+  if (!before().trim()){
+    setHint(t("hint.percentFirst"));
+    return;
+  }
+  append("%");
+  setHint("200 + 10% = 220 • 200 × 10% = 20 • 10% = 0.1");
 }
 
 function toggleParen(){
-  const s = state.expr;
+  const s = before();
   // simple paren toggle: if open parens > close parens and last isn't "(" or operator => add ")"
   const opens = (s.match(/\(/g)||[]).length;
   const closes = (s.match(/\)/g)||[]).length;
   const last = s.trim().slice(-1);
 
-  if (opens > closes && last && !"()+-×÷^".includes(last) && last !== "("){
+  if (opens > closes && last && !"()+-×÷^,".includes(last) && last !== "("){
     append(")");
   } else {
     // implicit multiplication if needed: "2(" or ")("
@@ -472,9 +330,16 @@ function toggleParen(){
 }
 
 function applyFn(fn){
-  // functions operate on the last "value" if possible; otherwise insert fn( )
+  // functions operate on the selection or the last "value" before the caret if possible; otherwise insert fn( )
   // We'll do: if expression ends with number/)/const -> wrap last term; else insert fn(
-  const s = state.expr.trim();
+  const s = before().trim();
+  if (selected()){
+    const atom = "(" + selected() + ")";
+    if (fn === "fact") append(atom + "!");
+    else if (fn === "pow") append(atom + "^");
+    else append(fnLabel(fn) + atom);
+    return;
+  }
   const wrap = tryWrapLastValue(fn);
   if (!wrap){
     // insert like fn(
@@ -482,11 +347,22 @@ function applyFn(fn){
     if (s && /[0-9)\]eπ]$/.test(s)) append("×" + label + "(");
     else append(label + "(");
   } else {
-    setExpr(wrap);
+    replaceLine(wrap);
     preview();
   }
 }
 
+// what the sin/cos/tan keys type: 2nd makes the inverse, HYP the hyperbolic (both: asinh)
+const TRIG_KEYS = ["sin", "cos", "tan"];
+function trigName(fn){
+  return (state.second ? "a" : "") + fn + (state.hyp ? "h" : "");
+}
+function renderTrigKeys(){
+  for (const fn of TRIG_KEYS){
+    document.querySelectorAll(`[data-fn="${fn}"]`).forEach(b=> b.textContent = trigName(fn));
+  }
+}
+
 function fnLabel(fn){
   // UI uses √ and xʸ and 1/x and x! keys that map to internal
   if (fn === "sqrt") return "sqrt";
@@ -495,14 +371,28 @@ function fnLabel(fn){
   if (fn === "fact") return "!"; // postfix
   if (fn === "log") return "log";
   if (fn === "ln") return "ln";
-  if (fn === "sin") return state.second ? "asin" : "sin";
-  if (fn === "cos") return state.second ? "acos" : "cos";
-  if (fn === "tan") return state.second ? "atan" : "tan";
+  if (TRIG_KEYS.includes(fn)) return trigName(fn);
   return fn;
 }
 
+// a number literal ending the text, exponent included: 12, 0.5, 1.2e-5, 6.02ᴇ23
+const NUMBER_TAIL = /(?:\d+\.?\d*|\.\d+)(?:[eEᴇ][+\-−]?\d+)?$/;
+
+// where the number literal ending at s[i] starts (i + 1 when there is none)
+function numberStart(s, i){
+  const m = s.slice(0, i+1).match(NUMBER_TAIL);
+  return m ? i + 1 - m[0].length : i + 1;
+}
+
+// EE: ᴇ after the number before the caret (1ᴇ when there is none); 2ᴇ-5 is the literal 2e-5
+function appendExponent(){
+  if (/[0-9.]$/.test(before())) append("ᴇ");
+  else insertName("1ᴇ");
+}
+
+// the text before the caret with its last term wrapped in fn, or null when there is no term
 function tryWrapLastValue(fn){
-  const s = state.expr;
+  const s = before();
   if (!s) return null;
 
   // Find last "atom": number, constant, parenthesized group
@@ -546,21 +436,19 @@ function tryWrapLastValue(fn){
     return s.slice(0, start) + label + atom + s.slice(i+1);
   }
 
-  // number/constant tail
-  // collect token chars [0-9.] or letters for constants
-  let j = i;
-  while (j>=0 && /[0-9.]/.test(s[j])) j--;
+  // number tail, exponent included (1.2e-5, 6.02ᴇ23)
+  const j = numberStart(s, i) - 1;
   if (j !== i){
     const atom = s.slice(j+1, i+1);
-    if (fn === "fact") return s.slice(0, i+1) + "!" + s.slice(i+1);
-    if (fn === "pow") return s.slice(0, i+1) + "^";
+    if (fn === "fact") return s.slice(0, j+1) + atom + "!" + s.slice(i+1);
+    if (fn === "pow") return s.slice(0, j+1) + atom + "^";
     if (fn === "inv") return s.slice(0, j+1) + "inv(" + atom + ")" + s.slice(i+1);
     const label = fnLabel(fn);
     return s.slice(0, j+1) + label + "(" + atom + ")" + s.slice(i+1);
   }
 
   // constants π, e, Ans
-  const consts = ["π","e","Ans"];
+  const consts = ["π","e","Ans","i"];
   for (const c of consts){
     if (s.endsWith(c)){
       const head = s.slice(0, s.length - c.length);
@@ -575,42 +463,47 @@ function tryWrapLastValue(fn){
   return null;
 }
 
-function del(){
-  if (!state.expr) return;
-  setExpr(state.expr.slice(0, -1));
+// DEL (Backspace): the selection, or else the token before the caret; Delete: the one after it
+function del(forward = false){
+  const line = edit(state.expr, state.caret, state.anchor, {type:"delete", forward});
+  if (line.expr === state.expr) return;
+  setLine(line);
   preview();
 }
 
 function ac(){
   setExpr("");
   setResult("0");
-  setHint("ล้างแล้ว");
+  setHint(t("hint.cleared"));
 }
 
 function toggleSign(){
-  // If expression empty: start with "-"
-  if (!state.expr){
-    setExpr("-");
-    preview();
+  if (selected()){
+    append("-(" + selected() + ")");
+    return;
+  }
+  // If nothing before the caret: start with "-"
+  if (!before()){
+    append("-");
     return;
   }
 
   // Try wrap last value with unary minus
-  const s = state.expr;
+  const s = before();
   // If ends with ... ) or number/const => wrap last atom: -(atom)
   const wrapped = tryWrapLastValue("neg");
   if (wrapped){
     // implement neg manually
-    const t = extractLastAtom(s);
-    if (!t) return;
-    const {start, end} = t;
+    const lastAtom = extractLastAtom(s);
+    if (!lastAtom) return;
+    const {start, end} = lastAtom;
     const atom = s.slice(start, end+1);
-    setExpr(s.slice(0, start) + "-(" + atom + ")" + s.slice(end+1));
+    replaceLine(s.slice(0, start) + "-(" + atom + ")" + s.slice(end+1));
     preview();
     return;
   }
   // fallback: prepend -
-  setExpr("-(" + s + ")");
+  replaceLine("-(" + s + ")");
   preview();
 }
 
@@ -632,14 +525,14 @@ function extractLastAtom(s){
   }
 
   // number tail
-  let j=i;
-  while (j>=0 && /[0-9.]/.test(s[j])) j--;
-  if (j!==i) return {start:j+1, end:i};
+  const j = numberStart(s, i);
+  if (j <= i) return {start:j, end:i};
 
   // constants
   if (s.endsWith("Ans")) return {start:s.length-3, end:s.length-1};
   if (s.endsWith("π")) return {start:s.length-1, end:s.length-1};
   if (s.endsWith("e")) return {start:s.length-1, end:s.length-1};
+  if (s.endsWith("i")) return {start:s.length-1, end:s.length-1};
 
   return null;
 }
@@ -650,19 +543,69 @@ function eq(){
     return;
   }
   try{
-    const val = evaluateExpression(state.expr);
-    const out = formatNumber(val);
+    const res = calc.execute(state.expr);
+    if (res.kind === "define"){
+      const f = calc.funcs.get(res.name);
+      const label = `${f.name}(${f.params.join(", ")})`;
+      addHistory(state.expr, label);
+      renderVars();
+      setResult(label);
+      setHint(t("hint.functionDefined", {name: res.name}));
+      return;
+    }
+    const val = res.value;
+    const out = formatResult(val, NORM);
+
+    if (!failed(out)){
+      calc.ans = val;
+      renderAns();
+      addHistory(state.expr, out); // saves, and so records Ans with the new entry as one undo step
+      renderVars();
+      showValue(val);
+    } else {
+      setResult(out);
+    }
+    if (!failed(out) && res.warnings.length) setHint(t("hint.inaccurate", {warnings: res.warnings.join("; ")}));
+    else setHint(t(failed(out) ? "hint.invalid" : "hint.calculated"));
+  } catch (e){
+    showError(e, t("hint.invalid"));
+  }
+}
 
-    if (out !== "Error"){
-      state.ans = val;
-      ansPill.textContent = `Ans: ${formatNumber(state.ans)}`;
-      addHistory(state.expr, out);
+// SOLVE: the expression as an equation (no "=" means = 0), every root in [-100, 100]
+// or else the nearest one; the first root becomes Ans
+function solveExpr(){
+  const s = state.expr.trim();
+  if (!s){
+    setHint(t("hint.solveFirst"));
+    return;
+  }
+  if (/^solve\(/i.test(s)){
+    eq();
+    return;
+  }
+  try{
+    const {variable, roots} = calc.solve(s);
+    const found = roots.filter(r => r.converged);
+    if (!found.length){
+      const r = roots[0];
+      setResult(t("result.noSolution"));
+      setHint(t("hint.notConverged", {variable, x: formatNumber(r.x, state.format), residual: formatNumber(r.residual, state.format)}));
+      return;
     }
-    setResult(out);
-    setHint(out === "Error" ? "นิพจน์ไม่ถูกต้อง" : "คำนวณแล้ว");
+    // x = x has a root at every grid point; a handful is enough to show
+    const list = (format)=> found.slice(0, 8).map(r => `${variable} = ${formatNumber(r.x, format)}`)
+      .join(format.decimal === "," ? "; " : ", ") + (found.length > 8 ? ", …" : "");
+    const residual = Math.max(...found.map(r => r.residual));
+    calc.ans = found[0].x;
+    renderAns();
+    addHistory(s, list(NORM));
+    state.value = found[0].x;
+    setResult(list(state.format));
+    renderBaseView();
+    setHint(`${found.length > 1 ? t("hint.rootsFound", {n: found.length}) : t("hint.converged")} • ${t("hint.residual", {residual: formatNumber(residual, state.format)})}`);
   } catch (e){
-    setResult("Error");
-    setHint("นิพจน์ไม่ถูกต้อง");
+    showError(e, t("hint.cannotSolve"), state.expr.indexOf(s));
   }
 }
 
@@ -675,12 +618,11 @@ function preview(){
   }
   // Avoid preview if ends with operator or "("
   const last = s[s.length-1];
-  if ("+-×÷^%(".includes(last)) return;
+  if ("+-×÷^%(,".includes(last)) return;
 
   try{
-    const val = evaluateExpression(s);
-    const out = formatNumber(val);
-    if (out !== "Error") setResult(out);
+    const val = calc.evaluate(s, {commit:false});
+    if (!failed(formatNumber(val))) showValue(val);
   } catch {
     // ignore preview errors
   }
@@ -688,31 +630,572 @@ function preview(){
 
 // ---------- History ----------
 function addHistory(expr, result){
-  state.history.unshift({expr, result});
-  if (state.history.length > 18) state.history.pop();
+  state.history = addEntry(state.history, createEntry(expr, result), state.historyLimit);
   renderHistory();
+  persist();
 }
 
 function renderHistory(){
   historyListEl.innerHTML = "";
-  if (state.history.length === 0){
+  const shown = searchHistory(state.history, state.historyQuery, state.starredOnly);
+  if (shown.length === 0){
     const empty = document.createElement("div");
     empty.className = "hitem";
-    empty.innerHTML = `<div class="hExpr">ยังไม่มีประวัติ</div><div class="hRes">เริ่มคำนวณได้เลย</div>`;
+    empty.innerHTML = state.history.length
+      ? `<div class="hExpr">${t("history.noMatch")}</div><div class="hRes">${t("history.tryOther")}</div>`
+      : `<div class="hExpr">${t("history.empty")}</div><div class="hRes">${t("history.start")}</div>`;
     empty.style.opacity = ".7";
     historyListEl.appendChild(empty);
     return;
   }
-  for (const h of state.history){
+  for (const group of groupByDay(shown)){
+    const head = document.createElement("div");
+    head.className = "hDay";
+    head.textContent = dayLabel(group.day);
+    historyListEl.appendChild(head);
+    for (const h of group.entries) historyListEl.appendChild(historyItem(h));
+  }
+}
+
+function dayLabel(day){
+  if (day === "pinned") return t("history.pinned");
+  const now = new Date();
+  if (day === dayKey(now.getTime())) return t("history.today");
+  if (day === dayKey(new Date(now.getFullYear(), now.getMonth(), now.getDate() - 1).getTime())) return t("history.yesterday");
+  const [y, m, d] = day.split("-").map(Number);
+  return new Date(y, m - 1, d).toLocaleDateString(locale(), {day:"numeric", month:"short", year:"numeric"});
+}
+
+// click the expression or the result to insert it at the cursor; ☆ star, 📌 pin, × delete
+function historyItem(h){
+  const item = document.createElement("div");
+  item.className = "hitem vitem";
+  item.classList.toggle("starred", h.starred);
+  const time = new Date(h.time).toLocaleTimeString(locale(), {hour:"2-digit", minute:"2-digit"});
+  item.innerHTML = `<div class="hText"><div class="hExpr" title="${t("history.insertExpr")}">${escapeHtml(h.expr)}</div>` +
+    `<div class="hRes" title="${t("history.insertResult")}">${escapeHtml(shownResult(h.result))}</div><div class="hTime">${time}</div></div>`;
+  item.querySelector(".hRes").addEventListener("click", (ev)=>{
+    ev.stopPropagation();
+    insertText(h.result);
+    setHint(t("hint.resultInserted"));
+  });
+  item.addEventListener("click", ()=>{
+    insertText(h.expr);
+    setHint(t("hint.exprInserted"));
+  });
+  const tools = document.createElement("div");
+  tools.className = "vTools";
+  tools.appendChild(makeItemButton(h.starred ? "★" : "☆", t(h.starred ? "history.unstar" : "history.star"), ()=>{
+    updateEntry(h.id, {starred: !h.starred});
+  }));
+  tools.appendChild(makeItemButton("📌", t(h.pinned ? "history.unpin" : "history.pin"), ()=>{
+    updateEntry(h.id, {pinned: !h.pinned});
+  }));
+  tools.lastChild.classList.toggle("on", h.pinned);
+  tools.appendChild(makeItemButton("×", t("history.delete"), ()=>{
+    state.history = state.history.filter(e => e.id !== h.id);
+    renderHistory();
+    persist();
+    setHint(t("hint.entryDeleted"));
+  }));
+  item.appendChild(tools);
+  return item;
+}
+
+// a plain number is kept in NORM and shown in the display format
+function shownResult(text){
+  return /^-?(?:\d+\.?\d*|\.\d+)(?:e[+-]\d+)?$/.test(text) ? formatReal(Number(text), state.format) : text;
+}
+
+function updateEntry(id, changes){
+  state.history = state.history.map(e => e.id === id ? {...e, ...changes} : e);
+  renderHistory();
+  persist();
+}
+
+// a history expression or result goes in at the cursor; anything longer than a single term is
+// bracketed so that 2×(1+2) stays 2×(1+2)
+function insertText(text){
+  const term = /^-?[0-9A-Za-z_.π]+$/.test(text);
+  insertName(before().trim() && !term ? `(${text})` : text);
+}
+
+function setHistoryLimit(limit){
+  state.historyLimit = limit;
+  historyLimitSelect.value = String(limit);
+  state.history = trimHistory(state.history, limit);
+  renderHistory();
+  persist();
+}
+
+function download(name, type, text){
+  const url = URL.createObjectURL(new Blob([text], {type}));
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = name;
+  a.click();
+  setTimeout(()=> URL.revokeObjectURL(url), 0);
+}
+
+function exportHistory(format){
+  if (!state.history.length){
+    setHint(t("hint.nothingToExport"));
+    return;
+  }
+  const name = `calculator-history-${dayKey(Date.now())}.${format}`;
+  if (format === "json") download(name, "application/json", historyToJSON(state.history));
+  else download(name, "text/csv", historyToCSV(state.history));
+  setHint(t("hint.exported", {n: state.history.length, format: format.toUpperCase()}));
+}
+
+async function importHistory(file){
+  try{
+    const imported = parseHistory(await file.text());
+    const before = state.history.length;
+    state.history = trimHistory(mergeHistory(state.history, imported), state.historyLimit);
+    renderHistory();
+    persist();
+    setHint(t("hint.imported", {n: Math.max(0, state.history.length - before), file: file.name}));
+  } catch (e){
+    setHint(t("hint.importFailed", {message: e.message}));
+  }
+}
+
+// ---------- Saved session ----------
+// settings, Ans and history survive a reload (localStorage); without storage the calculator just forgets
+const storage = (()=>{
+  try{
+    return window.localStorage;
+  } catch {
+    return null;
+  }
+})();
+
+// every saved change (Ans, history) is also an undo step
+function persist(){
+  checkpoint();
+  if (!storage) return;
+  saveSession(storage, {
+    settings: {
+      mode: calc.mode, numberMode: calc.numberMode, precision: calc.precision, wordSize: calc.wordSize, signed: calc.signed,
+      display: state.display, bigNotation: state.bigNotation, polar: state.polar, base: state.base, historyLimit: state.historyLimit,
+      format: state.format, lang: state.lang, typing: state.typing,
+    },
+    ans: calc.ans,
+    history: state.history,
+  });
+}
+
+// before the first render: values go straight into calc/state and the controls, Init draws the rest
+function restoreSession(){
+  const session = storage && loadSession(storage);
+  if (!session) return;
+  const s = session.settings || {};
+  if (Array.isArray(session.history)) state.history = session.history;
+  if (HISTORY_LIMITS.includes(s.historyLimit)) state.historyLimit = s.historyLimit;
+  if (ANGLE_MODES.includes(s.mode)) calc.mode = s.mode;
+  if (["REAL","FRAC","PREC","CPLX","PROG"].includes(s.numberMode)) calc.numberMode = s.numberMode;
+  if ([...precDigits.options].some(o => Number(o.value) === s.precision)) calc.precision = s.precision;
+  if ([...wordSizeSelect.options].some(o => Number(o.value) === s.wordSize)) calc.wordSize = s.wordSize;
+  if (typeof s.signed === "boolean") calc.signed = s.signed;
+  if (["frac","mixed","dec"].includes(s.display)) state.display = s.display;
+  if (["full","sci"].includes(s.bigNotation)) state.bigNotation = s.bigNotation;
+  if (typeof s.polar === "boolean") state.polar = s.polar;
+  if (BASES[s.base]) state.base = s.base;
+  if (LANGUAGES.includes(s.lang)) state.lang = s.lang;
+  if (typeof s.typing === "boolean") state.typing = s.typing;
+  const f = s.format || {};
+  if (DISPLAY_MODES.includes(f.mode) && [...displayDigits.options].some(o => Number(o.value) === f.digits)){
+    state.format = {mode: f.mode, digits: f.digits, si: !!f.si, group: "", decimal: ".", auto: !!f.auto};
+    if ([...numberStyle.options].some(o => o.value === f.group + "|" + f.decimal)) Object.assign(state.format, {group: f.group, decimal: f.decimal});
+  }
+  if (session.ans !== undefined && !failed(formatNumber(session.ans))) calc.ans = session.ans;
+}
+
+// ---------- Undo / redo ----------
+function checkpoint(kind = null){
+  undoStack.commit({expr: state.expr, caret: state.caret, anchor: state.anchor, ans: calc.ans, history: state.history}, kind);
+  btnUndo.disabled = !undoStack.canUndo;
+  btnRedo.disabled = !undoStack.canRedo;
+}
+
+function restore(snap){
+  state.expr = snap.expr;
+  state.caret = snap.caret;
+  state.anchor = snap.anchor;
+  calc.ans = snap.ans;
+  renderAns();
+  state.history = snap.history;
+  renderHistory();
+  persist();
+  renderExpr();
+  if (state.expr.trim()) preview();
+  else setResult("0");
+}
+
+function undo(){
+  const snap = undoStack.undo();
+  if (!snap){
+    setHint(t("hint.nothingToUndo"));
+    return;
+  }
+  restore(snap);
+  setHint(t("hint.undone"));
+}
+
+function redo(){
+  const snap = undoStack.redo();
+  if (!snap){
+    setHint(t("hint.nothingToRedo"));
+    return;
+  }
+  restore(snap);
+  setHint(t("hint.redone"));
+}
+
+// ---------- Units ----------
+// group labels are "unit.<kind>" messages; redrawn when the language changes
+function renderUnitPicker(){
+  unitPicker.querySelectorAll("optgroup").forEach(g => g.remove());
+  for (const [kind, names] of Object.entries(UNIT_GROUPS)){
+    const group = document.createElement("optgroup");
+    group.label = t("unit." + kind);
+    for (const name of names){
+      const opt = document.createElement("option");
+      opt.value = name;
+      opt.textContent = name;
+      group.appendChild(opt);
+    }
+    unitPicker.appendChild(group);
+  }
+}
+
+// a unit follows its number with a space (5 km); after "to" it is the target (… to ft)
+function insertUnit(name){
+  if (/\b(to|in) $/.test(before())) append(name);
+  else append(" " + name);
+  setHint(t("hint.unitInserted", {name}));
+}
+
+// ---------- Graph ----------
+const graph = createGraph(document.getElementById("graphCanvas"), {onTrace: renderTrace});
+
+// trig in degrees or gradians needs a wider x range to show a period
+function resetGraphView(){
+  if (calc.mode === "DEG") graph.resetView(720, 4);
+  else if (calc.mode === "GRAD") graph.resetView(800, 4);
+  else graph.resetView(20);
+}
+
+// Compiles every row once; a row that does not parse is marked and left out
+function refreshGraph(){
+  const list = [];
+  graphFnsEl.querySelectorAll(".gRow").forEach((row, k)=>{
+    const g = state.graphs[k];
+    const input = row.querySelector("input");
+    if (!g.text.trim()){
+      input.classList.remove("bad");
+      return;
+    }
+    try{
+      list.push({f: calc.compile(g.text), color: g.color, label: g.text});
+      input.classList.remove("bad");
+      input.title = "";
+    } catch (e){
+      input.classList.add("bad");
+      input.title = e.message;
+    }
+  });
+  graph.setFunctions(list);
+}
+
+function renderGraphRows(){
+  graphFnsEl.innerHTML = "";
+  state.graphs.forEach((g, k)=>{
+    const row = document.createElement("div");
+    row.className = "gRow";
+    row.innerHTML = `<span class="gSwatch" style="background:${g.color}; color:${g.color}"></span><span class="gY">y =</span>`;
+    const input = document.createElement("input");
+    input.className = "varInput";
+    input.value = g.text;
+    input.placeholder = t("graph.placeholder");
+    input.setAttribute("aria-label", `function ${k + 1}`);
+    input.addEventListener("input", ()=>{
+      g.text = input.value;
+      refreshGraph();
+    });
+    row.appendChild(input);
+    row.appendChild(makeItemButton("×", t("graph.delete"), ()=>{
+      state.graphs.splice(k, 1);
+      renderGraphRows();
+    }));
+    graphFnsEl.appendChild(row);
+  });
+  refreshGraph();
+}
+
+function addGraph(text){
+  const used = new Set(state.graphs.map(g => g.color));
+  const color = GRAPH_COLORS.find(c => !used.has(c)) || GRAPH_COLORS[state.graphs.length % GRAPH_COLORS.length];
+  state.graphs.push({text, color});
+  renderGraphRows();
+}
+
+function renderTrace(x, points){
+  if (x == null){
+    graphReadout.textContent = t("graph.readout");
+    return;
+  }
+  graphReadout.innerHTML = `<span>x = <b>${escapeHtml(formatNumber(x, state.format))}</b></span>` + points.map(p =>
+    `<span style="color:${p.color}">${escapeHtml(p.label)}: <b>${Number.isFinite(p.y) ? escapeHtml(formatNumber(p.y, state.format)) : "—"}</b></span>`
+  ).join("");
+}
+
+// ---------- Statistics ----------
+function toggleStat(){
+  const on = statsPanel.hidden;
+  statsPanel.hidden = !on;
+  btnStat.classList.toggle("active", on);
+  btnStat.setAttribute("aria-pressed", String(on));
+  if (on) renderStatRows();
+  setHint(t(on ? "hint.statOn" : "hint.statOff"));
+}
+
+// a cell holds a number or an expression (1/3, 2pi); empty cells are skipped
+function cellValue(text){
+  if (!text.trim()) return null;
+  try{
+    const v = toNumber(calc.evaluate(text, {commit:false}));
+    return Number.isFinite(v) ? v : NaN;
+  } catch {
+    return NaN;
+  }
+}
+
+// the filled rows as columns; in 2-VAR a row needs both x and y
+function statColumns(){
+  const xs = [], ys = [];
+  for (const row of state.stat.rows){
+    const x = cellValue(row.x), y = state.stat.cols === 2 ? cellValue(row.y) : null;
+    if (x === null || Number.isNaN(x)) continue;
+    if (state.stat.cols === 2){
+      if (y === null || Number.isNaN(y)) continue;
+      ys.push(y);
+    }
+    xs.push(x);
+  }
+  return {xs, ys};
+}
+
+// The columns become the variables xs and ys, then the summary is redrawn
+function refreshStats(){
+  const {xs, ys} = statColumns();
+  if (xs.length) calc.vars.set("xs", list(xs));
+  else calc.vars.delete("xs");
+  if (ys.length) calc.vars.set("ys", list(ys));
+  else calc.vars.delete("ys");
+  renderVars();
+  renderStatOut(xs, ys);
+}
+
+function renderStatOut(xs, ys){
+  if (!xs.length){
+    statOutEl.innerHTML = `<div class="statEmpty">${t("stat.empty")}</div>`;
+    return;
+  }
+  const cols = [["x", summary(xs)]];
+  if (state.stat.cols === 2) cols.push(["y", summary(ys)]);
+  const f = (v)=> escapeHtml(Number.isNaN(v) ? "—" : formatNumber(v, state.format));
+  const sep = state.format.decimal === "," ? "; " : ", ";
+  const line = (label, pick)=> `<tr><td>${label}</td>${cols.map(([, s])=> `<td>${pick(s)}</td>`).join("")}</tr>`;
+  let html = `<table class="statGrid"><tr><th></th>${cols.map(([c])=> `<th>${c}</th>`).join("")}</tr>` +
+    line("n", s => s.n) +
+    line("Σ", s => f(s.sum)) +
+    line(t("stat.mean"), s => f(s.mean)) +
+    line(t("stat.sample"), s => f(s.s)) +
+    line(t("stat.population"), s => f(s.sigma)) +
+    line(t("stat.min"), s => f(s.min)) +
+    line("Q1", s => f(s.q1)) +
+    line(t("stat.median"), s => f(s.median)) +
+    line("Q3", s => f(s.q3)) +
+    line(t("stat.max"), s => f(s.max)) +
+    // no mode when every value occurs equally often
+    line(t("stat.mode"), s => s.n > 1 && s.mode.length === s.n ? "—" : escapeHtml(s.mode.slice(0, 5).map(x => formatNumber(x, state.format)).join(sep) + (s.mode.length > 5 ? sep + "…" : ""))) +
+    `</table>`;
+
+  if (state.stat.cols === 2){
+    const a = (r)=> f(r.a), b = (r)=> f(r.b);
+    const equation = {
+      linear: (r)=> `y = ${a(r)} + ${b(r)}x`,
+      exp: (r)=> `y = ${a(r)}·e^(${b(r)}x)`,
+      log: (r)=> `y = ${a(r)} + ${b(r)}·ln x`,
+      power: (r)=> `y = ${a(r)}·x^${b(r)}`,
+    };
+    html += `<table class="statGrid"><tr><th>${t("stat.regression")}</th><th>${t("stat.equation")}</th><th>r²</th></tr>`;
+    for (const kind of REGRESSIONS){
+      try{
+        const r = regression(kind, xs, ys);
+        html += `<tr><td>${t("stat." + kind)}</td><td class="eq">${equation[kind](r)}</td><td>${f(r.r2)}</td></tr>`;
+      } catch (e){
+        html += `<tr><td>${t("stat." + kind)}</td><td class="eq" title="${escapeHtml(e.message)}">—</td><td>—</td></tr>`;
+      }
+    }
+    html += `</table>`;
+  }
+  statOutEl.innerHTML = html;
+}
+
+function renderStatRows(){
+  statTableEl.innerHTML = "";
+  const cols = state.stat.cols === 2 ? ["x", "y"] : ["x"];
+  state.stat.rows.forEach((row, k)=>{
+    const el = document.createElement("div");
+    el.className = "sRow";
+    el.innerHTML = `<span class="sIdx">${k + 1}</span>`;
+    for (const c of cols){
+      const input = document.createElement("input");
+      input.className = "varInput";
+      input.value = row[c];
+      input.placeholder = c;
+      input.setAttribute("aria-label", `${c}${k + 1}`);
+      input.classList.toggle("bad", Number.isNaN(cellValue(row[c])));
+      input.addEventListener("input", ()=>{
+        row[c] = input.value;
+        input.classList.toggle("bad", Number.isNaN(cellValue(input.value)));
+        refreshStats();
+      });
+      // Enter moves down, adding a row at the end
+      input.addEventListener("keydown", (ev)=>{
+        if (ev.key !== "Enter") return;
+        ev.preventDefault();
+        if (k === state.stat.rows.length - 1) addStatRow();
+        statTableEl.querySelectorAll(".sRow")[k + 1].querySelector(`[aria-label="${c}${k + 2}"]`).focus();
+      });
+      el.appendChild(input);
+    }
+    el.appendChild(makeItemButton("×", t("stat.deleteRow"), ()=>{
+      state.stat.rows.splice(k, 1);
+      if (!state.stat.rows.length) state.stat.rows.push({x:"", y:""});
+      renderStatRows();
+    }));
+    statTableEl.appendChild(el);
+  });
+  refreshStats();
+}
+
+function addStatRow(){
+  state.stat.rows.push({x:"", y:""});
+  renderStatRows();
+}
+
+function setStatCols(n){
+  state.stat.cols = n;
+  statColsSelect.value = String(n);
+  renderStatRows();
+}
+
+// pasted CSV / spreadsheet cells replace the table; two or more columns switch to 2-VAR
+function pasteStats(text){
+  const rows = parseTable(text);
+  if (!rows.length){
+    setHint(t("hint.pasteEmpty"));
+    return;
+  }
+  state.stat.rows = rows.map(r => ({x: String(r[0]), y: r.length > 1 ? String(r[1]) : ""}));
+  setStatCols(rows.some(r => r.length > 1) ? 2 : 1);
+  setHint(t("hint.pasted", {n: rows.length}));
+}
+
+// ---------- Variables & functions ----------
+function insertName(name){
+  // implicit × after a value, same as the Ans key
+  if (/[0-9A-Za-z_)\]π]$/.test(before().trim())) append("×" + name);
+  else append(name);
+}
+
+function makeItemButton(label, title, onClick){
+  const btn = document.createElement("button");
+  btn.className = "vDel";
+  btn.type = "button";
+  btn.title = title;
+  btn.textContent = label;
+  btn.addEventListener("click", (ev)=>{
+    ev.stopPropagation();
+    onClick();
+  });
+  return btn;
+}
+
+function renderVars(){
+  refreshGraph();
+  varListEl.innerHTML = "";
+  if (calc.vars.size === 0 && calc.funcs.size === 0){
+    const empty = document.createElement("div");
+    empty.className = "hitem";
+    empty.innerHTML = `<div class="hExpr">${t("vars.empty")}</div><div class="hRes">${t("vars.example")}</div>`;
+    empty.style.opacity = ".7";
+    varListEl.appendChild(empty);
+    return;
+  }
+  for (const [name, value] of calc.vars){
     const item = document.createElement("div");
-    item.className = "hitem";
-    item.innerHTML = `<div class="hExpr">${escapeHtml(h.expr)}</div><div class="hRes">${escapeHtml(h.result)}</div>`;
+    item.className = "hitem vitem";
+    item.innerHTML = `<div><span class="vName">${escapeHtml(name)}</span><span class="vVal">= ${escapeHtml(formatNumber(value, state.format))}</span></div>`;
     item.addEventListener("click", ()=>{
-      setExpr(h.expr);
+      insertName(name);
+      setHint(t("hint.inserted", {name}));
+    });
+    item.appendChild(makeItemButton("×", t("vars.delete", {name}), ()=>{
+      calc.vars.delete(name);
+      renderVars();
       preview();
-      setHint("ดึงจาก History แล้ว");
+      setHint(t("hint.variableDeleted", {name}));
+    }));
+    varListEl.appendChild(item);
+  }
+  for (const [name, f] of calc.funcs){
+    const item = document.createElement("div");
+    item.className = "hitem vitem";
+    item.innerHTML = `<div><span class="vName">${escapeHtml(name)}(${escapeHtml(f.params.join(", "))})</span><span class="vVal">= ${escapeHtml(f.body)}</span></div>`;
+    item.addEventListener("click", ()=>{
+      insertName(name + "(");
+      setHint(t("hint.inserted", {name: name + "("}));
     });
-    historyListEl.appendChild(item);
+    const tools = document.createElement("div");
+    tools.className = "vTools";
+    tools.appendChild(makeItemButton("✎", t("vars.edit", {name}), ()=>{
+      varInput.value = formatDefinition(f);
+      varInput.focus();
+      setHint(t("hint.editing", {name}));
+    }));
+    tools.appendChild(makeItemButton("×", t("vars.delete", {name}), ()=>{
+      calc.funcs.delete(name);
+      renderVars();
+      preview();
+      setHint(t("hint.functionDeleted", {name}));
+    }));
+    item.appendChild(tools);
+    varListEl.appendChild(item);
+  }
+}
+
+// SET in the panel: `r = 3.5` or `f(x) = x^2 + 1`
+function define(text){
+  if (!text.includes("=")){
+    setHint(t("hint.defineFormat"));
+    return false;
+  }
+  try{
+    const res = calc.execute(text);
+    if (res.kind === "expr") throw new Error("Bad definition");
+    if (res.kind === "assign" && failed(formatNumber(res.value))) throw new Error("Bad value");
+    renderVars();
+    preview();
+    setHint(t(res.kind === "define" ? "hint.functionDefined" : "hint.variableSet", {name: res.name}));
+    return true;
+  } catch (e){
+    setHint(t("hint.defineFailed", {message: e.message}));
+    return false;
   }
 }
 
@@ -722,15 +1205,150 @@ function escapeHtml(s){
 
 // ---------- Mode toggles ----------
 function setMode(m){
-  state.mode = m;
-  const isDeg = m === "DEG";
-  btnDeg.classList.toggle("active", isDeg);
-  btnRad.classList.toggle("active", !isDeg);
-  btnDeg.setAttribute("aria-pressed", String(isDeg));
-  btnRad.setAttribute("aria-pressed", String(!isDeg));
+  calc.mode = m;
+  for (const [btn, mode] of [[btnDeg, "DEG"], [btnRad, "RAD"], [btnGrad, "GRAD"]]){
+    btn.classList.toggle("active", mode === m);
+    btn.setAttribute("aria-pressed", String(mode === m));
+  }
   modePill.textContent = m;
-  setHint(`โหมด ${m}`);
+  setHint(t("hint.mode", {mode: m}));
+  preview();
+  resetGraphView();
+  persist();
+}
+
+function setNumberMode(m){
+  calc.numberMode = m;
+  const exact = m === "FRAC";
+  const precise = m === "PREC";
+  const complex = m === "CPLX";
+  const prog = m === "PROG";
+  btnFrac.classList.toggle("active", exact);
+  btnFrac.setAttribute("aria-pressed", String(exact));
+  btnPrec.classList.toggle("active", precise);
+  btnPrec.setAttribute("aria-pressed", String(precise));
+  btnCplx.classList.toggle("active", complex);
+  btnCplx.setAttribute("aria-pressed", String(complex));
+  btnProg.classList.toggle("active", prog);
+  btnProg.setAttribute("aria-pressed", String(prog));
+  baseView.hidden = !prog;
+  progPad.hidden = !prog;
+  if (exact) setHint(t("hint.fracMode"));
+  else if (precise) setHint(t("hint.precMode", {digits: calc.precision}));
+  else if (complex) setHint(t("hint.cplxMode"));
+  else if (prog) setHint(t("hint.progMode", {bits: calc.wordSize, sign: t(calc.signed ? "sign.signed" : "sign.unsigned"), base: state.base}));
+  else setHint(t("hint.realMode"));
   preview();
+  persist();
+}
+
+function setPrecision(digits){
+  calc.precision = digits;
+  if (calc.numberMode !== "PREC") setNumberMode("PREC");
+  else {
+    setHint(t("hint.precision", {digits}));
+    preview();
+  }
+  persist();
+}
+
+function setBase(base){
+  state.base = base;
+  baseSelect.value = base;
+  if (calc.numberMode !== "PROG") setNumberMode("PROG");
+  if (state.value != null) showValue(state.value);
+  setHint(t("hint.base", {base}));
+  persist();
+}
+
+function setWordSize(bits){
+  calc.wordSize = bits;
+  if (calc.numberMode !== "PROG") setNumberMode("PROG");
+  else {
+    setHint(t("hint.wordSize", {bits}));
+    preview();
+  }
+  persist();
+}
+
+function toggleSigned(){
+  calc.signed = !calc.signed;
+  btnSigned.textContent = calc.signed ? "SIGNED" : "UNSIGNED";
+  setHint(t(calc.signed ? "hint.signed" : "hint.unsigned"));
+  preview();
+  persist();
+}
+
+// S⇔D: fraction -> mixed number -> decimal -> fraction; a decimal result is turned into a fraction first
+function toggleSD(){
+  let v = state.value;
+  if (v == null) return;
+  if (isBig(v)){
+    state.bigNotation = state.bigNotation === "full" ? "sci" : "full";
+    showValue(v);
+    setHint(t(state.bigNotation === "full" ? "hint.fullNotation" : "hint.sciNotation"));
+    return;
+  }
+  if (!isFrac(v)){
+    const f = fracApprox(v);
+    if (!f){
+      setHint(t("hint.noFraction"));
+      return;
+    }
+    state.display = "frac";
+    showValue(f);
+    setHint(t("hint.showFrac"));
+    return;
+  }
+  const order = ["frac", "mixed", "dec"];
+  let next = order[(order.indexOf(state.display) + 1) % order.length];
+  if (next === "mixed" && formatFraction(v, {mixed:true}) === formatFraction(v)) next = "dec";
+  state.display = next;
+  showValue(v);
+  setHint(t({frac:"hint.showFrac", mixed:"hint.showMixed", dec:"hint.showDec"}[next]));
+}
+
+// ▸DMS: a real result as degrees, minutes and seconds (30.2555 -> 30°15'20") and back to decimal
+function toggleDMS(){
+  const v = state.value;
+  if (v == null) return;
+  if (!state.dms && !Number.isFinite(toNumber(v))){
+    setHint(t("hint.dmsRealOnly"));
+    return;
+  }
+  showValue(v, !state.dms);
+  setHint(t(state.dms ? "hint.showDMS" : "hint.showDec"));
+}
+
+// a+bi ⇔ r∠θ (angle in the current DEG/RAD/GRAD mode)
+function togglePolar(){
+  state.polar = !state.polar;
+  btnPolar.textContent = state.polar ? "r∠θ" : "a+bi";
+  btnPolar.classList.toggle("active", state.polar);
+  if (state.value != null) showValue(state.value);
+  setHint(t(state.polar ? "hint.polar" : "hint.rectangular"));
+  persist();
+}
+
+// NORM | FIX n | SCI n | ENG (SI prefixes), thousands separator and decimal mark: result line, Ans and History
+function setDisplayFormat(changes){
+  state.format = {...state.format, ...changes};
+  if (state.format.auto) Object.assign(state.format, numberStyleFor(locale()));
+  const {mode, digits, si, group, decimal, auto} = state.format;
+  displayModeSelect.value = mode;
+  displayDigits.value = String(digits);
+  displayDigits.hidden = mode === "NORM";
+  btnSI.hidden = mode !== "ENG";
+  btnSI.classList.toggle("active", si);
+  btnSI.setAttribute("aria-pressed", String(si));
+  numberStyle.value = auto ? "auto" : group + "|" + decimal;
+  if (state.value != null) showValue(state.value);
+  renderAns();
+  renderHistory();
+  renderVars();
+  if (!statsPanel.hidden) refreshStats();
+  setHint(t("hint.displayFormat", {format: (mode === "NORM" ? t("hint.normal") : mode + " " + digits) + (mode === "ENG" && si ? " (SI)" : ""), sample: formatReal(1234567.5, state.format)}));
+  persist();
 }
 
 function setSecond(on){
@@ -738,11 +1356,121 @@ function setSecond(on){
   btn2nd.classList.toggle("active", on);
   btn2nd.setAttribute("aria-pressed", String(on));
   secondPill.textContent = `2nd: ${on ? "ON" : "OFF"}`;
-  // update labels on trig keys
-  document.querySelectorAll('[data-fn="sin"]').forEach(b=> b.textContent = on ? "asin" : "sin");
-  document.querySelectorAll('[data-fn="cos"]').forEach(b=> b.textContent = on ? "acos" : "cos");
-  document.querySelectorAll('[data-fn="tan"]').forEach(b=> b.textContent = on ? "atan" : "tan");
-  setHint(on ? "2nd เปิด: trig กลายเป็น inverse" : "2nd ปิด");
+  renderTrigKeys();
+  document.querySelectorAll('[data-insert="e"]').forEach(b=> b.textContent = on ? "i" : "e");
+  document.querySelectorAll('[data-insert=","]').forEach(b=> b.textContent = on ? "=" : ",");
+  document.querySelectorAll('[data-insert="%"]').forEach(b=> b.textContent = on ? "%Δ" : "%");
+  document.querySelectorAll('[data-insert="°"]').forEach(b=> b.textContent = on ? "ʳ" : "°");
+  document.querySelectorAll('[data-insert="\'"]').forEach(b=> b.textContent = on ? "ᵍ" : "′");
+  setHint(t(on ? "hint.secondOn" : "hint.secondOff"));
+}
+
+function setHyp(on){
+  state.hyp = on;
+  btnHyp.classList.toggle("active", on);
+  btnHyp.setAttribute("aria-pressed", String(on));
+  renderTrigKeys();
+  setHint(t(on ? "hint.hypOn" : "hint.hypOff"));
+}
+
+// ---------- Typed entry ----------
+// ABC: letters type names; the names that start like the one before the caret are offered with their
+// signatures, ↑/↓ pick one and Tab (or a click) completes it
+function setTyping(on){
+  state.typing = on;
+  btnAbc.classList.toggle("active", on);
+  btnAbc.setAttribute("aria-pressed", String(on));
+  renderSuggestions();
+  setHint(t(on ? "hint.typingOn" : "hint.typingOff"));
+  persist();
+}
+
+// variables and user functions complete like the built-ins
+function userNames(){
+  return [
+    ...[...calc.vars].map(([name, value])=> ({name, signature: `${name} = ${formatNumber(value, state.format)}`, insert: name})),
+    ...[...calc.funcs].map(([name, f])=> ({name, signature: `${name}(${f.params.join(", ")})`, insert: name + "("})),
+  ];
+}
+
+function renderSuggestions(){
+  const [from, to] = selection();
+  const prefix = state.typing && from === to ? namePrefix(before()) : "";
+  let items = completions(prefix, userNames());
+  // a name typed in full has nothing left to complete
+  if (items.length === 1 && items[0].insert === prefix) items = [];
+  // the highlighted name stays highlighted while it still matches
+  const kept = items.findIndex(s => s.name === state.suggest.items[state.suggest.active]?.name);
+  state.suggest = {items, active: Math.max(kept, 0), prefix};
+  suggestEl.innerHTML = "";
+  suggestEl.hidden = !items.length;
+  items.forEach((s, k)=>{
+    const item = document.createElement("button");
+    item.type = "button";
+    item.className = "suggestItem" + (k === state.suggest.active ? " active" : "");
+    item.setAttribute("role", "option");
+    item.setAttribute("aria-selected", String(k === state.suggest.active));
+    item.textContent = s.signature;
+    item.addEventListener("click", ()=> completeName(k));
+    suggestEl.appendChild(item);
+  });
+}
+
+function moveSuggestion(step){
+  const n = state.suggest.items.length;
+  state.suggest.active = (state.suggest.active + step + n) % n;
+  renderSuggestions();
+}
+
+function closeSuggestions(){
+  state.suggest = {items: [], active: 0, prefix: ""};
+  suggestEl.hidden = true;
+}
+
+// the name before the caret is replaced by the whole one, a function with its "("
+function completeName(k = state.suggest.active){
+  const s = state.suggest.items[k];
+  if (!s) return;
+  const head = before();
+  replaceLine(head.slice(0, head.length - state.suggest.prefix.length) + s.insert);
+  preview();
+  setHint(s.signature);
+}
+
+// a pasted expression goes in at the caret as it is: the engine reads ·, ², √ and − itself
+function pasteExpr(text){
+  const line = text.replace(/\s+/g, " ").trim();
+  if (!line) return;
+  append(line);
+  setHint(t("hint.pastedExpr"));
+}
+
+// ---------- Language ----------
+// static text in index.html: data-i18n (text, {n} is the element's value), data-i18n-title, data-i18n-placeholder
+function translatePage(){
+  document.documentElement.lang = state.lang;
+  document.querySelectorAll("[data-i18n]").forEach(el => el.textContent = t(el.dataset.i18n, {n: el.value}));
+  document.querySelectorAll("[data-i18n-title]").forEach(el => el.title = t(el.dataset.i18nTitle));
+  document.querySelectorAll("[data-i18n-placeholder]").forEach(el => el.placeholder = t(el.dataset.i18nPlaceholder));
+  numberStyle.querySelector('[value="auto"]').textContent = t("style.auto", {sample: formatReal(1234.5, numberStyleFor(locale()))});
+  langSelect.value = state.lang;
+}
+
+// everything drawn from messages is drawn again; typed input is unaffected (it always uses "." and ", ")
+function setLanguage(lang){
+  state.lang = lang;
+  if (state.format.auto) Object.assign(state.format, numberStyleFor(locale()));
+  translatePage();
+  renderUnitPicker();
+  renderGraphRows();
+  renderTrace(null);
+  if (state.value != null) showValue(state.value);
+  renderAns();
+  renderHistory();
+  renderVars();
+  if (!statsPanel.hidden) refreshStats();
+  setHint(t("hint.language"));
+  persist();
 }
 
 // ---------- Button handling ----------
@@ -759,19 +1487,26 @@ document.querySelector(".pad").addEventListener("click", (ev)=>{
       smartAppendPercent();
       return;
     }
+    if (/^[0-9.]$/.test(insert)){
+      appendDigit(insert);
+      return;
+    }
     // Convert UI friendly operators into expr symbols
     if (insert === "÷") append("÷");
     else if (insert === "×") append("×");
     else if (insert === ")") append(")");
+    else if (insert === "e" && state.second) append("i");
+    // 2nd: the angle marks become radians and gradians (1.2ʳ, 100ᵍ)
+    else if (insert === "°" && state.second) append("ʳ");
+    else if (insert === "'" && state.second) append("ᵍ");
+    else if (insert === ",") append(state.second ? "=" : ", ");
     else append(insert);
     return;
   }
 
   if (fn){
-    // map trig to inverse if 2nd
-    if (fn === "sin") applyFn(state.second ? "asin" : "sin");
-    else if (fn === "cos") applyFn(state.second ? "acos" : "cos");
-    else if (fn === "tan") applyFn(state.second ? "atan" : "tan");
+    // trig keys follow 2nd (inverse) and HYP (hyperbolic)
+    if (TRIG_KEYS.includes(fn)) applyFn(trigName(fn));
     else if (fn === "sqrt") applyFn("sqrt");
     else if (fn === "log") applyFn("log");
     else if (fn === "ln") applyFn("ln");
@@ -786,16 +1521,20 @@ document.querySelector(".pad").addEventListener("click", (ev)=>{
       case "ac": ac(); break;
       case "del": del(); break;
       case "eq": eq(); break;
+      case "solve": solveExpr(); break;
       case "paren": toggleParen(); break;
       case "ans":
-        if (state.expr && /[0-9)\]eπ]$/.test(state.expr.trim())) append("×Ans");
+        if (/[0-9)\]eπ]$/.test(before().trim())) append("×Ans");
         else append("Ans");
         break;
       case "sign": toggleSign(); break;
+      case "ee": appendExponent(); break;
+      case "dms": toggleDMS(); break;
       case "mc":
-        state.ans = 0;
-        ansPill.textContent = `Ans: 0`;
-        setHint("ล้าง Ans แล้ว");
+        calc.ans = 0;
+        renderAns();
+        persist();
+        setHint(t("hint.ansCleared"));
         preview();
         break;
       default:
@@ -804,20 +1543,152 @@ document.querySelector(".pad").addEventListener("click", (ev)=>{
   }
 });
 
+btnUndo.addEventListener("click", undo);
+btnRedo.addEventListener("click", redo);
+
+// click or drag over the expression to place the caret or select
+exprEl.addEventListener("mouseup", placeCaret);
+
+// PROG keys: hex digits and bitwise operators
+progPad.addEventListener("click", (ev)=>{
+  const btn = ev.target.closest("button");
+  if (!btn) return;
+  const digit = btn.getAttribute("data-digit");
+  if (digit) appendDigit(digit);
+  else append(btn.getAttribute("data-insert"));
+});
+baseView.addEventListener("click", (ev)=>{
+  const row = ev.target.closest("[data-base]");
+  if (row) setBase(row.getAttribute("data-base"));
+});
+
 // top toggles
 btnDeg.addEventListener("click", ()=> setMode("DEG"));
 btnRad.addEventListener("click", ()=> setMode("RAD"));
+btnGrad.addEventListener("click", ()=> setMode("GRAD"));
 btn2nd.addEventListener("click", ()=> setSecond(!state.second));
+btnHyp.addEventListener("click", ()=> setHyp(!state.hyp));
+btnAbc.addEventListener("click", ()=> setTyping(!state.typing));
+btnFrac.addEventListener("click", ()=> setNumberMode(calc.numberMode === "FRAC" ? "REAL" : "FRAC"));
+btnPrec.addEventListener("click", ()=> setNumberMode(calc.numberMode === "PREC" ? "REAL" : "PREC"));
+btnCplx.addEventListener("click", ()=> setNumberMode(calc.numberMode === "CPLX" ? "REAL" : "CPLX"));
+btnProg.addEventListener("click", ()=> setNumberMode(calc.numberMode === "PROG" ? "REAL" : "PROG"));
+baseSelect.addEventListener("change", ()=> setBase(baseSelect.value));
+wordSizeSelect.addEventListener("change", ()=> setWordSize(Number(wordSizeSelect.value)));
+btnSigned.addEventListener("click", toggleSigned);
+precDigits.addEventListener("change", ()=> setPrecision(Number(precDigits.value)));
+displayModeSelect.addEventListener("change", ()=> setDisplayFormat({mode: displayModeSelect.value}));
+displayDigits.addEventListener("change", ()=> setDisplayFormat({digits: Number(displayDigits.value)}));
+btnSI.addEventListener("click", ()=> setDisplayFormat({si: !state.format.si}));
+numberStyle.addEventListener("change", ()=>{
+  if (numberStyle.value === "auto") return setDisplayFormat({auto: true});
+  const [group, decimal] = numberStyle.value.split("|");
+  setDisplayFormat({group, decimal, auto: false});
+});
+langSelect.addEventListener("change", ()=> setLanguage(langSelect.value));
+btnSD.addEventListener("click", ()=>{
+  toggleSD();
+  persist();
+});
+btnPolar.addEventListener("click", togglePolar);
+btnStat.addEventListener("click", toggleStat);
+statColsSelect.addEventListener("change", ()=> setStatCols(Number(statColsSelect.value)));
+document.getElementById("btnStatAdd").addEventListener("click", addStatRow);
+document.getElementById("btnStatClear").addEventListener("click", ()=>{
+  state.stat.rows = [{x:"", y:""}, {x:"", y:""}, {x:"", y:""}, {x:"", y:""}];
+  renderStatRows();
+  setHint(t("hint.statCleared"));
+});
+// a single value pastes into its cell as usual; several rows or columns fill the table
+statTableEl.addEventListener("paste", (ev)=>{
+  const text = ev.clipboardData ? ev.clipboardData.getData("text") : "";
+  if (!/[\n\t,;]/.test(text.trim())) return;
+  ev.preventDefault();
+  pasteStats(text);
+});
+varForm.addEventListener("submit", (ev)=>{
+  ev.preventDefault();
+  if (define(varInput.value)) varInput.value = "";
+});
+unitPicker.addEventListener("change", ()=>{
+  if (unitPicker.value) insertUnit(unitPicker.value);
+  unitPicker.value = "";
+});
+btnTo.addEventListener("click", ()=>{
+  append(" to ");
+  setHint(t("hint.pickTargetUnit"));
+});
+document.getElementById("btnPlotExpr").addEventListener("click", ()=>{
+  if (!state.expr.trim()){
+    setHint(t("hint.plotFirst"));
+    return;
+  }
+  addGraph(state.expr);
+  setHint(t("hint.plotted"));
+});
+document.getElementById("btnGraphAdd").addEventListener("click", ()=>{
+  addGraph("");
+  graphFnsEl.querySelector(".gRow:last-child input").focus();
+});
+document.getElementById("btnGraphReset").addEventListener("click", resetGraphView);
 btnClearHistory.addEventListener("click", ()=>{
-  state.history = [];
+  state.history = clearHistory(state.history);
   renderHistory();
-  setHint("ล้าง History แล้ว");
+  persist();
+  setHint(t(state.history.length ? "hint.historyClearedKept" : "hint.historyCleared"));
+});
+historySearch.addEventListener("input", ()=>{
+  state.historyQuery = historySearch.value;
+  renderHistory();
+});
+btnStarred.addEventListener("click", ()=>{
+  state.starredOnly = !state.starredOnly;
+  btnStarred.classList.toggle("active", state.starredOnly);
+  btnStarred.setAttribute("aria-pressed", String(state.starredOnly));
+  renderHistory();
+});
+historyLimitSelect.addEventListener("change", ()=> setHistoryLimit(Number(historyLimitSelect.value)));
+document.getElementById("btnExportJSON").addEventListener("click", ()=> exportHistory("json"));
+document.getElementById("btnExportCSV").addEventListener("click", ()=> exportHistory("csv"));
+document.getElementById("btnImportHistory").addEventListener("click", ()=> historyFile.click());
+historyFile.addEventListener("change", ()=>{
+  if (historyFile.files[0]) importHistory(historyFile.files[0]);
+  historyFile.value = "";
 });
 
 // ---------- Keyboard support ----------
 window.addEventListener("keydown", (e)=>{
-  // prevent scrolling on space
-  if (e.key === " "){ e.preventDefault(); }
+  // typing in a text field (variables panel) is not calculator input
+  if (e.target.closest && e.target.closest("input, textarea")) return;
+
+  // Ctrl+Z => undo, Ctrl+Y or Ctrl+Shift+Z => redo
+  if (e.ctrlKey || e.metaKey){
+    const k = e.key.toLowerCase();
+    if (k === "z" || k === "y"){
+      e.preventDefault();
+      if (k === "y" || e.shiftKey) redo();
+      else undo();
+    }
+    return;
+  }
+
+  // prevent scrolling on space; in ABC it is typed
+  if (e.key === " "){
+    e.preventDefault();
+    if (state.typing) append(" ");
+    return;
+  }
+  // ABC completions: ↑/↓ pick, Tab completes, Esc closes them
+  if (!suggestEl.hidden && (e.key === "ArrowUp" || e.key === "ArrowDown")){
+    e.preventDefault();
+    moveSuggestion(e.key === "ArrowUp" ? -1 : 1);
+    return;
+  }
+  if (!suggestEl.hidden && e.key === "Tab"){
+    e.preventDefault();
+    completeName();
+    return;
+  }
 
   // Enter => =
   if (e.key === "Enter"){
@@ -825,25 +1696,58 @@ window.addEventListener("keydown", (e)=>{
     eq();
     return;
   }
-  // Backspace => DEL
-  if (e.key === "Backspace"){
+  // Backspace => DEL, Delete removes the token after the caret
+  if (e.key === "Backspace" || e.key === "Delete"){
+    e.preventDefault();
+    del(e.key === "Delete");
+    return;
+  }
+  // caret movement, Shift selects
+  const moves = {ArrowLeft:"left", ArrowRight:"right", Home:"home", End:"end"};
+  if (moves[e.key]){
     e.preventDefault();
-    del();
+    moveCaret(moves[e.key], e.shiftKey);
     return;
   }
-  // Escape => AC
+  // Escape => AC (the first one only closes the completions)
   if (e.key === "Escape"){
     e.preventDefault();
-    ac();
+    if (!suggestEl.hidden) closeSuggestions();
+    else ac();
     return;
   }
 
-  // parentheses
-  if (e.key === "(" || e.key === ")"){ append(e.key); return; }
+  // parentheses and list braces
+  if ("(){}[]".includes(e.key)){ append(e.key); return; }
+
+  // DMS marks: 30°15'20"
+  if ("°'\"".includes(e.key)){ append(e.key); return; }
+
+  // the numpad decimal key types "." even where the layout gives it a ","
+  if (e.code === "NumpadDecimal"){ appendDigit("."); return; }
+  // argument separator: log(8, 2), max(1, 2, 3)
+  if (e.key === ","){ append(", "); return; }
 
   // numbers & dot
   if ((e.key >= "0" && e.key <= "9") || e.key === "."){
-    append(e.key);
+    appendDigit(e.key);
+    return;
+  }
+  // ABC: a letter is part of a name, never a shortcut (hex digits are typed as 0x1f then)
+  if (state.typing && /^[A-Za-z_]$/.test(e.key)){
+    append(e.key, "name");
+    return;
+  }
+  // hex digits in PROG/HEX (a is Ans otherwise)
+  if (calc.numberMode === "PROG" && state.base === "HEX" && /^[a-f]$/i.test(e.key)){
+    appendDigit(e.key.toUpperCase());
+    return;
+  }
+
+  // bitwise operators (PROG mode, but they work everywhere)
+  const bitOps = {"&":" and ", "|":" or ", "~":"not ", "<":" << ", ">":" >> "};
+  if (bitOps[e.key]){
+    append(bitOps[e.key]);
     return;
   }
 
@@ -862,28 +1766,66 @@ window.addEventListener("keydown", (e)=>{
 
   // quick constants
   if (e.key.toLowerCase() === "p"){ // p = pi
-    if (state.expr && /[0-9)\]eπ]$/.test(state.expr.trim())) append("×π");
+    if (/[0-9)\]eπ]$/.test(before().trim())) append("×π");
     else append("π");
     return;
   }
   if (e.key.toLowerCase() === "a"){ // a = Ans
-    if (state.expr && /[0-9)\]eπ]$/.test(state.expr.trim())) append("×Ans");
+    if (/[0-9)\]eπ]$/.test(before().trim())) append("×Ans");
     else append("Ans");
     return;
   }
+  if (e.key === "i"){ // imaginary unit
+    append("i");
+    return;
+  }
+  // e: Euler's number, or the exponent of the number before it (1.2e-5)
+  if (e.key === "e" || e.key === "E"){
+    append("e");
+    return;
+  }
+  // unknown and equation sign for SOLVE / graphs
+  if (e.key === "x" || e.key === "="){
+    append(e.key);
+    return;
+  }
 
-  // quick functions (type letters then "(" yourself)
-  // s = sin, c = cos, t = tan, l = ln, g = log, r = sqrt
+  // quick functions: r = sqrt (ABC types any name)
   if (e.key.toLowerCase() === "r"){ // sqrt(
     applyFn("sqrt"); return;
   }
+  // ABC: anything else printable goes in as it is (!, ;, …)
+  if (state.typing && e.key.length === 1) append(e.key);
+});
+
+// Ctrl+V outside the text fields pastes an expression at the caret
+document.addEventListener("paste", (e)=>{
+  if (e.target.closest && e.target.closest("input, textarea")) return;
+  e.preventDefault();
+  pasteExpr(e.clipboardData?.getData("text/plain") || "");
 });
 
 // ---------- Init ----------
-setMode("DEG");
+restoreSession();
+translatePage();
+baseSelect.value = state.base;
+wordSizeSelect.value = String(calc.wordSize);
+precDigits.value = String(calc.precision);
+historyLimitSelect.value = String(state.historyLimit);
+btnSigned.textContent = calc.signed ? "SIGNED" : "UNSIGNED";
+btnPolar.textContent = state.polar ? "r∠θ" : "a+bi";
+btnPolar.classList.toggle("active", state.polar);
+setDisplayFormat({});
+renderUnitPicker();
+renderGraphRows();
+setMode(calc.mode);
+setNumberMode(calc.numberMode);
 setSecond(false);
+setHyp(false);
+setTyping(state.typing);
 renderHistory();
+renderVars();
 setExpr("");
 setResult("0");
-ansPill.textContent = `Ans: 0`;
-setHint("พร้อมใช้งาน");
+renderAns();
+setHint(t("hint.ready"));
@@ -0,0 +1,223 @@
+// Arbitrary-precision decimals for PREC mode (no external libs)
+// A big number is a plain object {type:"big", m: BigInt, e: number} meaning m × 10^e.
+// Integers are kept exact however long they get (200!, 2^2000); anything with a fractional
+// part is rounded to P significant digits, P being the precision the caller passes in.
+// Operations that cannot be done here return null and the caller (engine.js) falls back to a number.
+
+const MAX_DIGITS = 100000; // refuse results longer than this rather than freeze the page
+
+function digitCount(m){
+  return (m < 0n ? -m : m).toString().length;
+}
+
+function pow10(k){ return 10n ** BigInt(k); }
+
+export function isBig(v){ return !!v && v.type === "big"; }
+
+// Strip trailing zeros and round non-integers to P significant digits (half away from zero)
+export function big(m, e = 0, P = Infinity){
+  m = BigInt(m);
+  if (m === 0n) return {type:"big", m: 0n, e: 0};
+  if (e < 0 && Number.isFinite(P)){
+    const drop = digitCount(m) - P;
+    if (drop > 0){
+      const unit = pow10(drop);
+      const neg = m < 0n;
+      let q = (neg ? -m : m) / unit;
+      const r = (neg ? -m : m) % unit;
+      if (r * 2n >= unit) q += 1n;
+      m = neg ? -q : q;
+      e += drop;
+    }
+  }
+  while (m % 10n === 0n && m !== 0n){ m /= 10n; e++; }
+  return {type:"big", m, e};
+}
+
+// "12.5e-3" / "0.1" / "42" -> exact big (no binary rounding on the way)
+export function bigFromString(str){
+  const m = String(str).trim().match(/^([+-]?)(\d*)(?:\.(\d*))?(?:[eE]([+-]?\d+))?$/);
+  if (!m || (!m[2] && !m[3])) return null;
+  const [, sign, int = "", dec = "", exp = "0"] = m;
+  const mant = BigInt((int + dec) || "0");
+  return big(sign === "-" ? -mant : mant, Number(exp) - dec.length);
+}
+
+export function bigFromNumber(x){
+  if (!Number.isFinite(x)) return null;
+  return bigFromString(String(x));
+}
+
+export function bigToNumber(b){
+  return Number(`${b.m}e${b.e}`);
+}
+
+export function bigIsInteger(b){ return b.e >= 0; }
+
+// Exact BigInt of an integer-valued big (caller checks bigIsInteger)
+export function bigToBigInt(b){ return b.m * pow10(b.e); }
+
+function align(a, b){
+  const e = Math.min(a.e, b.e);
+  return [a.m * pow10(a.e - e), b.m * pow10(b.e - e), e];
+}
+
+export function bigAdd(a, b, P){
+  const [x, y, e] = align(a, b);
+  return big(x + y, e, P);
+}
+export function bigSub(a, b, P){
+  const [x, y, e] = align(a, b);
+  return big(x - y, e, P);
+}
+export function bigMul(a, b, P){ return big(a.m * b.m, a.e + b.e, P); }
+export function bigNeg(a){ return {type:"big", m: -a.m, e: a.e}; }
+export function bigCompare(a, b){
+  const [x, y] = align(a, b);
+  return x < y ? -1 : x > y ? 1 : 0;
+}
+
+export function bigDiv(a, b, P){
+  if (b.m === 0n) return null;
+  // enough digits for P significant digits plus a guard digit
+  const k = Math.max(0, P + 2 + digitCount(b.m) - digitCount(a.m));
+  return big(a.m * pow10(k) / b.m, a.e - b.e - k, P);
+}
+
+// a^b for integer b; exact when a is an integer, otherwise squared with P+10 working digits
+export function bigPow(a, b, P){
+  if (!bigIsInteger(b)) return null;
+  let k = bigToBigInt(b);
+  if (k === 0n) return big(1n);
+  if (a.m === 0n) return k < 0n ? null : big(0n);
+  const negExp = k < 0n;
+  if (negExp) k = -k;
+
+  let r;
+  if (bigIsInteger(a)){
+    const m = bigToBigInt(a);
+    if (digitCount(m) * Number(k) > MAX_DIGITS) return null;
+    r = big(m ** k);
+  } else {
+    if (k > 1000000n) return null;
+    const W = P + 10;
+    r = big(1n);
+    let base = a;
+    while (k > 0n){
+      if (k & 1n) r = bigMul(r, base, W);
+      k >>= 1n;
+      if (k) base = bigMul(base, base, W);
+    }
+    r = big(r.m, r.e, P);
+  }
+  return negExp ? bigDiv(big(1n), r, P) : r;
+}
+
+// Largest r with r^n <= m (m >= 0), Newton's method
+function intRoot(m, n){
+  if (m < 2n) return m;
+  const N = BigInt(n);
+  let x = 1n << BigInt(Math.ceil(m.toString(2).length / n));
+  for (;;){
+    const y = ((N - 1n) * x + m / x ** (N - 1n)) / N;
+    if (y >= x) return x;
+    x = y;
+  }
+}
+
+// nth root for a positive integer n; exact roots come out exact (sqrt(16) = 4)
+export function bigRoot(a, n, P){
+  if (!Number.isInteger(n) || n < 1) return null;
+  const neg = a.m < 0n;
+  if (neg && n % 2 === 0) return null;
+  let m = neg ? -a.m : a.m;
+  let e = a.e;
+  // make the exponent a multiple of n, then scale so the root has P+2 digits
+  const shift = ((e % n) + n) % n;
+  m *= pow10(shift);
+  e -= shift;
+  const k = Math.max(0, Math.ceil(((P + 2) * n - digitCount(m)) / n));
+  const r = intRoot(m * pow10(k * n), n);
+  return big(neg ? -r : r, (e - k * n) / n, P);
+}
+
+export function bigFactorial(n, stop = 1n){
+  let r = 1n;
+  for (let k = n; k > stop; k--) r *= k;
+  return r;
+}
+
+// ---------- Constants ----------
+// pi (Machin) and e (Taylor series) to P digits, cached per precision
+const constCache = new Map();
+
+function arctanInv(x, unit){
+  // arctan(1/x) * unit
+  let sum = 0n, term = unit / x, k = 1n, sign = 1n;
+  const x2 = x * x;
+  while (term){
+    sum += sign * term / k;
+    term /= x2;
+    k += 2n;
+    sign = -sign;
+  }
+  return sum;
+}
+
+export function bigPi(P){
+  const key = "pi" + P;
+  if (!constCache.has(key)){
+    const W = P + 10;
+    const unit = pow10(W);
+    const pi = 4n * (4n * arctanInv(5n, unit) - arctanInv(239n, unit));
+    constCache.set(key, big(pi, -W, P));
+  }
+  return constCache.get(key);
+}
+
+export function bigE(P){
+  const key = "e" + P;
+  if (!constCache.has(key)){
+    const W = P + 10;
+    let term = pow10(W), sum = 0n, k = 1n;
+    while (term){
+      sum += term;
+      term /= k;
+      k++;
+    }
+    constCache.set(key, big(sum, -W, P));
+  }
+  return constCache.get(key);
+}
+
+// ---------- Formatting ----------
+// full: every digit (12345678901234567890, 0.000125)
+// sci:  d.ddd…e±x with every significant digit, or maxDigits of them
+// auto: full when it fits in maxDigits, sci otherwise
+export function formatBig(b, {notation = "auto", maxDigits = Infinity} = {}){
+  const neg = b.m < 0n;
+  let digits = (neg ? -b.m : b.m).toString();
+  let e = b.e;
+  const sign = neg ? "-" : "";
+
+  const intDigits = digits.length + e; // digits before the decimal point
+  let fullLength;
+  if (e >= 0) fullLength = intDigits;
+  else if (intDigits > 0) fullLength = digits.length + 1;
+  else fullLength = digits.length + 2 - intDigits;
+
+  if (notation === "sci" || (notation === "auto" && fullLength > maxDigits)){
+    if (digits.length > maxDigits){
+      const r = big(BigInt(digits), -digits.length, maxDigits); // round 0.ddd… to maxDigits
+      e += digits.length + r.e;
+      digits = r.m.toString();
+    }
+    const exp = digits.length - 1 + e;
+    const mant = digits.length > 1 ? digits[0] + "." + digits.slice(1) : digits;
+    return `${sign}${mant}e${exp < 0 ? "-" : "+"}${Math.abs(exp)}`;
+  }
+
+  if (e >= 0) return sign + digits + "0".repeat(e);
+  if (intDigits > 0) return sign + digits.slice(0, intDigits) + "." + digits.slice(intDigits);
+  return sign + "0." + "0".repeat(-intDigits) + digits;
+}
@@ -0,0 +1,51 @@
+// Caret editing of the expression line (no DOM, no external libs)
+// A line is {expr, caret, anchor}: the caret and the other end of the selection (anchor === caret: none).
+// edit() takes a line and an action and returns the line after it; app.js draws it and records undo steps.
+
+// a token is a function name with its "(", a word (Ans, mod, a unit with its space), ", " or one character
+export const TOKEN_BEFORE = /(?:d\/dx\(|%Δ\(|\b[A-Za-z_]\w*\(|\s*\b[A-Za-z_]\w*\s?| (?:<<|>>) |, |[\s\S])$/u;
+export const TOKEN_AFTER = /^(?:d\/dx\(|%Δ\(|[A-Za-z_]\w*\(|\s?[A-Za-z_]\w*\b\s*| (?:<<|>>) |, |[\s\S])/u;
+
+// the length of the token that ends text / starts text: tokenBefore("2 + sin(") = 4
+export function tokenBefore(text){
+  const m = text.match(TOKEN_BEFORE);
+  return m ? m[0].length : 0;
+}
+export function tokenAfter(text){
+  const m = text.match(TOKEN_AFTER);
+  return m ? m[0].length : 0;
+}
+
+// the selection as [from, to], from <= to
+export function selection(caret, anchor){
+  return [Math.min(caret, anchor), Math.max(caret, anchor)];
+}
+
+// action is one of
+//   {type:"insert", text}                          replaces the selection, the caret goes after text
+//   {type:"move", to:"left|right|home|end", extend} ←/→ a token at a time; extend (Shift) grows the
+//                                                   selection, without it a selection collapses
+//   {type:"delete", forward}                       the selection, or else the token before the caret
+//                                                   (Backspace) or after it (Delete)
+export function edit(expr, caret, anchor, action){
+  const [from, to] = selection(caret, anchor);
+  const head = expr.slice(0, from), tail = expr.slice(to);
+  const put = (h, t)=> ({expr: h + t, caret: h.length, anchor: h.length});
+  switch (action.type){
+    case "insert": return put(head + action.text, tail);
+    case "move": {
+      let k;
+      if (action.to === "home") k = 0;
+      else if (action.to === "end") k = expr.length;
+      else if (!action.extend && from !== to) k = action.to === "left" ? from : to;
+      else if (action.to === "left") k = caret - tokenBefore(expr.slice(0, caret));
+      else k = caret + tokenAfter(expr.slice(caret));
+      return {expr, caret: k, anchor: action.extend ? anchor : k};
+    }
+    case "delete":
+      if (from !== to) return put(head, tail);
+      if (action.forward) return put(head, tail.slice(tokenAfter(tail)));
+      return put(head.slice(0, head.length - tokenBefore(head)), tail);
+    default: throw new Error("Unknown edit: " + action.type);
+  }
+}
@@ -0,0 +1,50 @@
+// Completion of typed names: built-in functions with their signatures, constants, and whatever
+// names the caller adds (variables, user functions). No DOM, no external libs.
+
+import { FUNCTIONS, CONSTANTS } from "./engine.js";
+
+// how each built-in is called; [ ] marks optional arguments, … any number more
+export const SIGNATURES = {
+  sin:"sin(x)", cos:"cos(x)", tan:"tan(x)", asin:"asin(x)", acos:"acos(x)", atan:"atan(x)", atan2:"atan2(y, x)",
+  sec:"sec(x)", csc:"csc(x)", cot:"cot(x)", asec:"asec(x)", acsc:"acsc(x)", acot:"acot(x)",
+  sinh:"sinh(x)", cosh:"cosh(x)", tanh:"tanh(x)", asinh:"asinh(x)", acosh:"acosh(x)", atanh:"atanh(x)",
+  log:"log(x[, base])", ln:"ln(x)", sqrt:"sqrt(x)", root:"root(x, n)", inv:"inv(x)", gamma:"gamma(x)",
+  nCr:"nCr(n, r)", nPr:"nPr(n, r)", pctchange:"pctchange(old, new)",
+  re:"re(z)", im:"im(z)", abs:"abs(x)", arg:"arg(z)", conj:"conj(z)",
+  min:"min(a, b, …)", max:"max(a, b, …)", hypot:"hypot(a, b, …)",
+  solve:"solve(equation, x[, guess | a, b])", "d/dx":"d/dx(f, x, at)", integral:"integral(f, x, a, b)",
+  sum:"sum(xs | f, k, a, b)", prod:"prod(f, k, a, b)",
+  list:"list(a, b, …)", mean:"mean(xs)", median:"median(xs)", mode:"mode(xs)",
+  var:"var(xs)", stdev:"stdev(xs)", varp:"varp(xs)", stdevp:"stdevp(xs)", quartiles:"quartiles(xs)",
+  normpdf:"normpdf(x[, μ, σ])", normcdf:"normcdf(x[, μ, σ])", invnorm:"invnorm(p[, μ, σ])",
+  binompdf:"binompdf(n, p, k)", binomcdf:"binomcdf(n, p, k)", invbinom:"invbinom(q, n, p)",
+  matrix:"matrix(row, …)", det:"det(A)", transpose:"transpose(A)", rank:"rank(A)", rref:"rref(A)",
+  dot:"dot(u, v)", cross:"cross(u, v)", norm:"norm(v)",
+};
+
+const CONSTANT_SIGNATURES = {pi:"π", e:"e = 2.71828…", ans:"Ans", i:"i = √-1", inf:"∞"};
+
+// the name being typed just before the caret: "2si" -> "si", "3 + " -> ""; not the x of 0x1F
+export function namePrefix(text){
+  const m = text.match(/[A-Za-z_]\w*$/);
+  if (!m || /(?:^|[^\w.])0$/.test(text.slice(0, m.index)) && /^[xbo]/i.test(m[0])) return "";
+  return m[0];
+}
+
+// the names starting with prefix (any case), at most limit of them, shortest match first then A–Z.
+// A suggestion is {name, signature, insert}: insert replaces the prefix (a function brings its "(").
+// extra: more suggestions in the same shape, e.g. {name:"r", signature:"r = 3.5", insert:"r"}
+export function completions(prefix, extra = [], limit = 8){
+  if (!prefix) return [];
+  const p = prefix.toLowerCase();
+  const all = [
+    ...FUNCTIONS.map(name => ({name, signature: SIGNATURES[name] || name + "(…)", insert: name + "("})),
+    ...CONSTANTS.map(name => ({name, signature: CONSTANT_SIGNATURES[name] || name, insert: name})),
+    ...extra,
+  ];
+  const seen = new Set();
+  return all
+    .filter(s => s.name.toLowerCase().startsWith(p) && !seen.has(s.name) && seen.add(s.name))
+    .sort((a, b)=> a.name.length - b.name.length || a.name.localeCompare(b.name))
+    .slice(0, limit);
+}
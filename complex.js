@@ -0,0 +1,132 @@
+// Complex numbers for CPLX mode (no external libs)
+// A complex number is a plain object {type:"cplx", re, im} of two doubles.
+// Every function here takes and returns complex objects; engine.js turns a result
+// with im === 0 back into a plain number.
+
+export function isCplx(v){ return !!v && v.type === "cplx"; }
+export function cx(re, im = 0){ return {type:"cplx", re, im}; }
+
+export const I = cx(0, 1);
+
+export function cAdd(a, b){ return cx(a.re + b.re, a.im + b.im); }
+export function cSub(a, b){ return cx(a.re - b.re, a.im - b.im); }
+export function cMul(a, b){ return cx(a.re * b.re - a.im * b.im, a.re * b.im + a.im * b.re); }
+export function cNeg(a){ return cx(-a.re, -a.im); }
+export function cConj(a){ return cx(a.re, -a.im); }
+export function cAbs(a){ return Math.hypot(a.re, a.im); }
+export function cArg(a){ return Math.atan2(a.im, a.re); }
+export function cScale(a, k){ return cx(a.re * k, a.im * k); }
+
+// Smith's algorithm: no overflow from squaring large denominators
+export function cDiv(a, b){
+  if (b.re === 0 && b.im === 0) return cx(NaN, NaN);
+  if (Math.abs(b.re) >= Math.abs(b.im)){
+    const r = b.im / b.re, d = b.re + b.im * r;
+    return cx((a.re + a.im * r) / d, (a.im - a.re * r) / d);
+  }
+  const r = b.re / b.im, d = b.re * r + b.im;
+  return cx((a.re * r + a.im) / d, (a.im * r - a.re) / d);
+}
+
+export function cExp(a){
+  const m = Math.exp(a.re);
+  return cx(m * Math.cos(a.im), m * Math.sin(a.im));
+}
+
+// principal branch: arg in (-π, π]
+export function cLn(a){
+  return cx(Math.log(cAbs(a)), cArg(a));
+}
+
+export function cSqrt(a){
+  const r = cAbs(a);
+  const re = Math.sqrt((r + a.re) / 2);
+  const im = Math.sqrt((r - a.re) / 2);
+  return cx(re, a.im < 0 ? -im : im);
+}
+
+// a^b; integer exponents multiply out so i^2 is exactly -1
+export function cPow(a, b){
+  if (b.im === 0 && Number.isInteger(b.re) && Math.abs(b.re) <= 1024){
+    let k = Math.abs(b.re), base = a, r = cx(1, 0);
+    while (k > 0){
+      if (k & 1) r = cMul(r, base);
+      k >>= 1;
+      if (k) base = cMul(base, base);
+    }
+    return b.re < 0 ? cDiv(cx(1, 0), r) : r;
+  }
+  if (a.re === 0 && a.im === 0) return b.re > 0 ? cx(0, 0) : cx(NaN, NaN);
+  return cExp(cMul(b, cLn(a)));
+}
+
+export function cSin(a){
+  return cx(Math.sin(a.re) * Math.cosh(a.im), Math.cos(a.re) * Math.sinh(a.im));
+}
+export function cCos(a){
+  return cx(Math.cos(a.re) * Math.cosh(a.im), -Math.sin(a.re) * Math.sinh(a.im));
+}
+export function cTan(a){ return cDiv(cSin(a), cCos(a)); }
+
+// asin z = -i ln(iz + sqrt(1 - z²)); on the cuts of the real line (|x| > 1) the imaginary part is
+// +acosh|x| as in C99 casin, so asin(2) = π/2 + 1.317i and acos(2) = -1.317i
+export function cAsin(a){
+  if (a.im === 0 && Math.abs(a.re) > 1) return cx(Math.sign(a.re) * Math.PI / 2, Math.acosh(Math.abs(a.re)));
+  const iz = cMul(I, a);
+  const root = cSqrt(cSub(cx(1, 0), cMul(a, a)));
+  return cMul(cx(0, -1), cLn(cAdd(iz, root)));
+}
+// acos z = π/2 - asin z
+export function cAcos(a){ return cSub(cx(Math.PI / 2, 0), cAsin(a)); }
+// atan z = (i/2) (ln(1 - iz) - ln(1 + iz))
+export function cAtan(a){
+  const iz = cMul(I, a);
+  const d = cSub(cLn(cSub(cx(1, 0), iz)), cLn(cAdd(cx(1, 0), iz)));
+  return cMul(cx(0, 0.5), d);
+}
+
+export function cSinh(a){
+  return cx(Math.sinh(a.re) * Math.cos(a.im), Math.cosh(a.re) * Math.sin(a.im));
+}
+export function cCosh(a){
+  return cx(Math.cosh(a.re) * Math.cos(a.im), Math.sinh(a.re) * Math.sin(a.im));
+}
+export function cTanh(a){ return cDiv(cSinh(a), cCosh(a)); }
+
+// asinh z = ln(z + sqrt(z² + 1))
+export function cAsinh(a){
+  return cLn(cAdd(a, cSqrt(cAdd(cMul(a, a), cx(1, 0)))));
+}
+// acosh z = ln(z + sqrt(z + 1) sqrt(z - 1)), so acosh(0.5) = 1.047i
+export function cAcosh(a){
+  return cLn(cAdd(a, cMul(cSqrt(cAdd(a, cx(1, 0))), cSqrt(cSub(a, cx(1, 0))))));
+}
+// atanh z = (ln(1 + z) - ln(1 - z)) / 2
+export function cAtanh(a){
+  return cScale(cSub(cLn(cAdd(cx(1, 0), a)), cLn(cSub(cx(1, 0), a))), 0.5);
+}
+
+function trimPart(x){
+  if (Object.is(x, -0)) x = 0;
+  return Number(x.toPrecision(12)).toString();
+}
+
+// "3+4i" / "-2.5i" / "i", or polar "5∠53.1301023542°" (angle in the given mode).
+// Parts below 1e-12 of the magnitude are rounding noise and dropped: sin(π+0i) prints 0, not 1.2e-16i
+export function formatComplex(z, {polar = false, mode = "RAD", format = trimPart} = {}){
+  if (!Number.isFinite(z.re) || !Number.isFinite(z.im)) return "Error";
+  const r = cAbs(z);
+  if (polar){
+    const theta = cArg(z) * ({DEG: 180, GRAD: 200}[mode] ?? Math.PI) / Math.PI;
+    return `${format(r)}∠${format(theta)}${{DEG: "°", GRAD: "ᵍ"}[mode] ?? ""}`;
+  }
+  const eps = r * 1e-12;
+  const re = Math.abs(z.re) < eps ? 0 : z.re;
+  const im = Math.abs(z.im) < eps ? 0 : z.im;
+  if (im === 0) return format(re);
+  const imAbs = Math.abs(im);
+  const imText = (imAbs === 1 ? "" : format(imAbs)) + "i";
+  if (re === 0) return (im < 0 ? "-" : "") + imText;
+  return `${format(re)}${im < 0 ? "-" : "+"}${imText}`;
+}
+
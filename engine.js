@@ -0,0 +1,1669 @@
+// Neon Scientific Calculator — evaluation engine (no DOM, no external libs)
+// Pipeline: tokenize -> markUnaryMinus -> insertImplicitMultiplication -> toRPN (shunting-yard) -> evalRPN
+// Works in the browser (app.js) and in Node (test/), nothing here touches `document`.
+
+import {
+  isFrac, frac, fracFromString, fracToNumber, formatFraction, isInteger, isZero,
+  fracAdd, fracSub, fracMul, fracDiv, fracNeg, fracPow, fracRoot, fracCompare,
+} from "./fraction.js";
+import {
+  isBig, big, bigFromString, bigToNumber, bigIsInteger, bigToBigInt, formatBig, bigFactorial,
+  bigAdd, bigSub, bigMul, bigDiv, bigNeg, bigPow, bigRoot, bigCompare, bigPi, bigE,
+} from "./bignum.js";
+import {
+  isCplx, cx, I, cAdd, cSub, cMul, cDiv, cNeg, cPow, cConj, cAbs, cArg, cScale,
+  cLn, cSqrt, cSin, cCos, cTan, cAsin, cAcos, cAtan, cSinh, cCosh, cTanh, cAsinh, cAcosh, cAtanh, formatComplex,
+} from "./complex.js";
+import { findRoot, findRoots } from "./solver.js";
+import { derivative, integrate } from "./calculus.js";
+import {
+  isList, list, sum as listSum, mean, median, modes, variance, quartiles,
+  normalPdf, normalCdf, normalInv, binomialPdf, binomialCdf, binomialInv,
+} from "./stats.js";
+import {
+  isMatrix, size, fromItems, matAdd, matScale, matMul, matPow, transpose, det, inverse, rref, rank,
+  dot, cross, norm, formatMatrix,
+} from "./matrix.js";
+import { CalcError, located } from "./errors.js";
+import { formatReal, NORM } from "./format.js";
+import { isInt, wrapInt, intFromString, intDiv, intMod, intPow, intShift } from "./programmer.js";
+import {
+  isQty, isUnitName, readUnit, applyUnit, convertTo, formatQuantity,
+  qtyAdd, qtyMul, qtyDiv, qtyPow, qtyNeg, qtyFunction,
+} from "./units.js";
+
+// ---------- Utilities ----------
+export function isDigit(ch){ return ch >= "0" && ch <= "9"; }
+function isAlpha(c){ return (c>="a" && c<="z") || (c>="A" && c<="Z") || c === "_"; }
+
+// format (see format.js) shows the doubles in n as FIX/SCI/ENG with separators; NORM by default.
+// Fractions, PROG integers and out-of-range PREC values keep their own form.
+export function formatNumber(n, format = NORM){
+  const part = (x)=> formatNumber(x, format);
+  const sep = format.decimal === "," ? "; " : ", "; // 1,5; 2 rather than 1,5, 2
+  if (isFrac(n)) return formatFraction(n);
+  if (isCplx(n)) return formatComplex(n, {format: part});
+  if (isInt(n)) return n.toString();
+  if (isQty(n)) return formatQuantity(n, part);
+  if (isList(n)) return "{" + n.items.map(part).join(sep) + "}";
+  if (isMatrix(n)) return formatMatrix(n, part, sep);
+  if (isBig(n)){
+    // compact form (Ans pill, variables): like a double when it fits, scientific when it does not
+    const x = bigToNumber(n);
+    if ((Number.isFinite(x) && x !== 0) || n.m === 0n) return part(x);
+    return formatBig(n, {notation:"sci", maxDigits:12});
+  }
+  return formatReal(n, format);
+}
+
+// ---------- Angles ----------
+// angle modes by the size of half a turn; a suffix (90°, 1.2ʳ, 100ᵍ) fixes the unit of one value.
+// Radians and gradians are marked with modifier letters: a plain g after a number is grams (500g to kg)
+const HALF_TURN = {DEG: 180, RAD: Math.PI, GRAD: 200};
+export const ANGLE_MODES = Object.keys(HALF_TURN);
+const ANGLE_SUFFIXES = {"°": "DEG", "ʳ": "RAD", "ᵍ": "GRAD"};
+const ANGLE_SYMBOLS = Object.fromEntries(Object.entries(ANGLE_SUFFIXES).map(([k, v])=> [v, k]));
+
+function toRadians(x, mode){ return mode === "RAD" ? x : x * Math.PI / HALF_TURN[mode]; }
+function fromRadians(x, mode){ return mode === "RAD" ? x : x * HALF_TURN[mode] / Math.PI; }
+
+// 30°15'20" from the "°" at s[i] on -> {degrees, end}: minutes then, optionally, seconds; null for a lone 90°
+function readDMS(s, i, degrees){
+  const m = s.slice(i).match(/^°\s*(\d+(?:\.\d*)?)'(?:\s*(\d+(?:\.\d*)?)")?/);
+  if (!m) return null;
+  return {degrees: degrees + Number(m[1]) / 60 + Number(m[2] ?? 0) / 3600, end: i + m[0].length};
+}
+
+// sec, csc and cot as 1/cos, 1/sin and cos/sin; a whole number of half turns (csc, cot) or an odd
+// number of quarter turns (sec) has none, checked on the angle itself since cos(90°) is 6e-17, not 0
+const RECIPROCAL_TRIG = new Set(["sec","csc","cot"]);
+
+function reciprocalTrig(name, x, mode){
+  const halfTurns = x / HALF_TURN[mode];
+  const sinZero = Number.isInteger(halfTurns);
+  const cosZero = Number.isInteger(halfTurns - 0.5);
+  const r = toRadians(x, mode);
+  switch (name){
+    case "sec": return cosZero ? NaN : 1 / Math.cos(r);
+    case "csc": return sinZero ? NaN : 1 / Math.sin(r);
+    case "cot": return sinZero ? NaN : cosZero ? 0 : Math.cos(r) / Math.sin(r);
+  }
+}
+
+function nPr(n, r){
+  if (!isNonNegInt(n) || !isNonNegInt(r) || r > n) return NaN;
+  let v = 1;
+  for (let k=0;k<r;k++) v *= n - k;
+  return v;
+}
+
+function nCr(n, r){
+  if (!isNonNegInt(n) || !isNonNegInt(r) || r > n) return NaN;
+  r = Math.min(r, n - r); // C(n, r) = C(n, n-r), fewer steps
+  let v = 1;
+  for (let k=1;k<=r;k++) v = v * (n - r + k) / k;
+  return Math.round(v);
+}
+
+function isNonNegInt(n){ return Number.isInteger(n) && n >= 0; }
+
+// real nth root: root(-27, 3) = -3, root(-16, 4) = NaN
+function nthRoot(x, n){
+  if (x < 0 && Number.isInteger(n) && Math.abs(n % 2) === 1) return -Math.pow(-x, 1 / n);
+  return Math.pow(x, 1 / n);
+}
+
+// Lanczos approximation (g = 7, n = 9), ~15 significant digits
+const LANCZOS = [
+  0.99999999999980993, 676.5203681218851, -1259.1392167224028, 771.32342877765313,
+  -176.61502916214059, 12.507343278686905, -0.13857109526572012, 9.9843695780195716e-6,
+  1.5056327351493116e-7,
+];
+
+export function gamma(x){
+  if (!Number.isFinite(x)) return x === Infinity ? Infinity : NaN;
+  if (x <= 0 && Number.isInteger(x)) return NaN; // poles at 0, -1, -2, ...
+  if (x < 0.5) return Math.PI / (Math.sin(Math.PI * x) * gamma(1 - x)); // reflection
+  x -= 1;
+  let a = LANCZOS[0];
+  const t = x + 7.5;
+  for (let i=1;i<LANCZOS.length;i++) a += LANCZOS[i] / (x + i);
+  // t^(x+0.5) split in two halves so it does not overflow before the result does
+  const half = Math.pow(t, (x + 0.5) / 2);
+  return Math.sqrt(2 * Math.PI) * half * (half * Math.exp(-t)) * a;
+}
+
+// n! for integers, gamma(n+1) for everything else: 2.5! = 3.3233...
+function factorial(n){
+  if (!Number.isFinite(n)) return NaN;
+  if (Math.abs(n - Math.round(n)) > 1e-12) return gamma(n + 1);
+  if (n < 0) return NaN;
+  n = Math.round(n);
+  if (n > 170) return Infinity; // JS overflow for factorial
+  let r = 1;
+  for (let i=2;i<=n;i++) r *= i;
+  return r;
+}
+
+// ---------- Tokenizer ----------
+/*
+Tokens:
+- number: {type:"num", value: number, raw: "literal text"} (also 0xFF, 0b1010, 0o17, and 6.02e23 / 1.2E-5:
+  an e straight after a number and before a digit or sign is its exponent, anywhere else it is Euler's e;
+  the EE key's 2ᴇ-5 is the same literal as 2e-5; a typed 2×10^-5 is a product and a power)
+- operator: {type:"op", value:"+|-|*|/|^|u-|mod|and|or|xor|not|<<|>>" } (u- = unary minus, not = bitwise not)
+- paren: {type:"paren", value:"("|")"}; a list literal {1, 2} is read as list(1, 2) with brace:"{" on its parens,
+  a matrix literal [[1, 2], [3, 4]] as matrix(matrix(1, 2), matrix(3, 4)) with brace:"["
+- func: {type:"fn", value:"sin|cos|...|fact|%"} (see FUNCTION_ARITY); fact (5!) and % (10%) are postfix,
+  %Δ(old, new) is pctchange
+  user-defined: {type:"fn", value:name, user:true}; toRPN adds argc when called with (...)
+- const: {type:"const", value:"pi|e|ans|i|inf"} (i = imaginary unit, see complex.js; inf = ∞ for integral limits)
+- variable: {type:"var", value:name} (looked up when evaluated, so it may be defined later)
+- assignment: {type:"assign", value:"="} (only valid as `name = expr` / `f(x) = expr`, see parseStatement)
+- comma: {type:"comma", value:","} (argument separator)
+- unit: {type:"unit", value:"km/h", unit:{name, factor, dim, offset}} (postfix like "!": 5 km, 10 m / 2 s);
+  target:true after to/in (5 km to ft). A unit name only counts as a unit straight after a value,
+  and only if it is not a variable or function name, so x = 5 / 2x keep working
+- angle: {type:"angle", value:"°|ʳ|ᵍ", angle:"DEG|RAD|GRAD"} (postfix: 90°, 1.2ʳ, 100ᵍ, see angleAt);
+  target:true after to/in (100ᵍ to ° = 90, the value is an angle in the current mode);
+  a DMS literal 30°15'20" is the number of degrees 30.2555... followed by "°"
+
+A call of a LAZY_FUNCTIONS name leaves toRPN as one token {type:"fn", value, lazy:true, body, variable, argc}:
+its first argument is kept unevaluated as `body` (an equation "l = r" becomes l - r) in the bound
+variable named by the second one; only the remaining arguments are evaluated onto the stack.
+*/
+// name -> [min args, max args]; names are matched case-insensitively (ncr, NCR -> nCr)
+export const FUNCTION_ARITY = {
+  sin:[1,1], cos:[1,1], tan:[1,1],
+  asin:[1,1], acos:[1,1], atan:[1,1], atan2:[2,2],
+  sec:[1,1], csc:[1,1], cot:[1,1], asec:[1,1], acsc:[1,1], acot:[1,1],
+  sinh:[1,1], cosh:[1,1], tanh:[1,1], asinh:[1,1], acosh:[1,1], atanh:[1,1],
+  log:[1,2], ln:[1,1], sqrt:[1,1], root:[2,2], inv:[1,1], gamma:[1,1],
+  nCr:[2,2], nPr:[2,2], pctchange:[2,2],
+  re:[1,1], im:[1,1], abs:[1,1], arg:[1,1], conj:[1,1],
+  min:[1,Infinity], max:[1,Infinity], hypot:[1,Infinity],
+  solve:[2,4], "d/dx":[3,3], integral:[4,4], sum:[1,4], prod:[4,4],
+  list:[1,Infinity], mean:[1,Infinity], median:[1,Infinity], mode:[1,Infinity],
+  var:[1,Infinity], stdev:[1,Infinity], varp:[1,Infinity], stdevp:[1,Infinity], quartiles:[1,Infinity],
+  normpdf:[1,3], normcdf:[1,3], invnorm:[1,3], binompdf:[3,3], binomcdf:[3,3], invbinom:[3,3],
+  matrix:[1,Infinity], det:[1,1], transpose:[1,1], rank:[1,1], rref:[1,1], dot:[2,2], cross:[2,2], norm:[1,1],
+};
+// counts inside [min, max] that are still wrong: sum is sum(xs) or sum(f, k, a, b), nothing between
+const ARITY_GAPS = {sum: [2, 3]};
+// functions whose first argument is an expression in a variable, evaluated many times (see evalLazy);
+// sum with one argument is the sum of a list instead
+const LAZY_FUNCTIONS = new Set(["solve","d/dx","integral","sum","prod"]);
+// functions of a data list (see statFunction); min and max take lists too
+const LIST_FUNCTIONS = new Set(["list","sum","mean","median","mode","var","stdev","varp","stdevp","quartiles"]);
+// functions of matrices and vectors (see matrixFunction); inv takes a matrix too
+const MATRIX_FUNCTIONS = new Set(["matrix","det","transpose","rank","rref","dot","cross","norm"]);
+export const FUNCTIONS = Object.keys(FUNCTION_ARITY);
+const FUNCTION_NAMES = new Map(FUNCTIONS.map(f => [f.toLowerCase(), f]));
+export const CONSTANTS = ["pi","e","ans","i","inf"];
+// operators written as words: 7 mod 3, 0xF0 and 0x3C, not 0
+const WORD_OPERATORS = ["mod","and","or","xor","not","to","in"];
+
+// symbols as the keys write them or as they come pasted: 2·3, √9, 5 − 2 (superscripts: see superscript)
+const NORMALIZE = [
+  ["×", "*"], ["·", "*"], ["⋅", "*"], ["÷", "/"], ["−", "-"], ["√", "sqrt "], ["π", "pi"], ["∞", "inf"], ["Ans", "ans"],
+  ["′", "'"], ["″", "\""], ["%Δ", "pctchange"],
+];
+
+export function normalizeInput(raw){
+  return normalize(raw).text;
+}
+
+// "ᴇ" between a number and its (signed) exponent: only the EE key writes it, so a typed ×10^ stays
+// a product and a power (2^3×10^2 = 800)
+const EE_MARK = "ᴇ";
+const isExponentMark = (raw, i)=> raw.startsWith(EE_MARK, i) &&
+  /(?:^|[^\w.])(?:\d+\.?\d*|\.\d+)$/.test(raw.slice(0, i)) && /^[+\-−]?\d/.test(raw.slice(i + EE_MARK.length));
+
+// a run of superscript digits is a power: x² -> x^2, 10⁻³ -> 10^(-3)
+const SUPERSCRIPT_DIGITS = "⁰¹²³⁴⁵⁶⁷⁸⁹";
+function superscript(raw, i){
+  const m = raw.slice(i).match(/^[⁺⁻]?[⁰¹²³⁴⁵⁶⁷⁸⁹]+/u);
+  if (!m) return null;
+  const digits = [...m[0]].map(c => c === "⁻" ? "-" : c === "⁺" ? "" : SUPERSCRIPT_DIGITS.indexOf(c)).join("");
+  return [m[0], digits.startsWith("-") ? `^(${digits})` : "^" + digits];
+}
+
+// the normalized text and, for each of its characters, the offset in raw it came from (π -> pi
+// is two characters from one), so token spans point into what the user typed
+function normalize(raw){
+  let text = "";
+  const from = [];
+  for (let i=0;i<raw.length;){
+    const [key, value] = isExponentMark(raw, i) ? [EE_MARK, "e"] : superscript(raw, i) ||
+      NORMALIZE.find(([k])=> raw.startsWith(k, i)) || [raw[i], raw[i]];
+    text += value;
+    for (let k=0;k<value.length;k++) from.push(i);
+    i += key.length;
+  }
+  from.push(raw.length);
+  return {text, from};
+}
+
+// ctx.funcs (Map of user functions) decides whether a name is a function or a variable.
+// Every token gets span {start, end}: where it stands in input (see errors.js)
+export function tokenize(input, ctx = {}){
+  const funcs = ctx.funcs;
+  const {text: s, from} = normalize(input);
+  const out = [];
+  let i = 0;
+  // the tokens read since the last call came from s[start, i)
+  let start = 0, done = 0;
+  const at = (a, b)=> ({start: from[a], end: from[b]});
+  const locate = ()=>{
+    for (; done<out.length; done++) out[done].span = at(start, i);
+    start = i;
+  };
+
+  while (i < s.length){
+    locate();
+    const c = s[i];
+
+    // whitespace only separates tokens ("pi r^2")
+    if (/\s/.test(c)){
+      i++;
+      continue;
+    }
+
+    // 0x / 0b / 0o literals (programmer mode)
+    const radix = /^0(?:[xX][0-9a-fA-F]|[bB][01]|[oO][0-7])/.test(s.slice(i, i+3));
+    if (radix){
+      const digits = {x:/[0-9a-fA-F]/, b:/[01]/, o:/[0-7]/}[s[i+1].toLowerCase()];
+      let j = i + 2;
+      while (j < s.length && digits.test(s[j])) j++;
+      const lit = s.slice(i, j);
+      out.push({type:"num", value:Number(lit), raw:lit});
+      i = j;
+      continue;
+    }
+
+    // number (supports decimals and an exponent: 1.2e-5)
+    if (isDigit(c) || (c === ".")){
+      let j = i;
+      let dot = 0;
+      while (j < s.length && (isDigit(s[j]) || s[j] === ".")){
+        if (s[j] === ".") dot++;
+        if (dot > 1) break;
+        j++;
+      }
+      if ((s[j] === "e" || s[j] === "E") && (isDigit(s[j+1]) || ("+-".includes(s[j+1]) && isDigit(s[j+2])))){
+        j += 2;
+        while (j < s.length && isDigit(s[j])) j++;
+      }
+      const numStr = s.slice(i, j);
+      const num = Number(numStr);
+      if (Number.isNaN(num)) throw new CalcError("SYNTAX", "Invalid number", at(i, j));
+      if (!Number.isFinite(num)) throw new CalcError("OVERFLOW", "Number too large", at(i, j));
+      const dms = readDMS(s, j, num);
+      if (dms){
+        out.push({type:"num", value:dms.degrees}, {type:"angle", value:"°", angle:"DEG"});
+        i = dms.end;
+        continue;
+      }
+      out.push({type:"num", value:num, raw:numStr}); // raw keeps digits a double would lose (PREC mode)
+      i = j;
+      continue;
+    }
+
+    // parentheses
+    if (c === "(" || c === ")"){
+      out.push({type:"paren", value:c});
+      i++;
+      continue;
+    }
+
+    // list literal: {1, 4, 9} is list(1, 4, 9); matrix literal: [1, 2] is matrix(1, 2)
+    if ("{}[]".includes(c)){
+      const open = c === "{" || c === "[";
+      if (open) out.push({type:"fn", value: c === "{" ? "list" : "matrix"});
+      out.push({type:"paren", value: open ? "(" : ")", brace: c === "{" || c === "}" ? "{" : "["});
+      i++;
+      continue;
+    }
+
+    // percent: postfix like "!" (see markPercent)
+    if (c === "%"){
+      out.push({type:"fn", value:"%"});
+      i++;
+      continue;
+    }
+
+    // operators
+    if ("+-*/^".includes(c)){
+      out.push({type:"op", value:c});
+      i++;
+      continue;
+    }
+
+    // bit shifts
+    if (s.startsWith("<<", i) || s.startsWith(">>", i)){
+      out.push({type:"op", value:s.slice(i, i+2)});
+      i += 2;
+      continue;
+    }
+
+    // argument separator
+    if (c === ","){
+      out.push({type:"comma", value:","});
+      i++;
+      continue;
+    }
+
+    // assignment
+    if (c === "="){
+      out.push({type:"assign", value:"="});
+      i++;
+      continue;
+    }
+
+    // derivative: d/dx(x^2, x, 3)
+    if (s.startsWith("d/dx", i) && /^\s*\(/.test(s.slice(i + 4))){
+      out.push({type:"fn", value:"d/dx"});
+      i += 4;
+      continue;
+    }
+
+    // angle suffixes: 90°, (a + b)°, 1.2ʳ, 100ᵍ, and the target of 100ᵍ to °
+    const angle = angleAt(s, i, out);
+    if (angle){
+      const prev = out[out.length-1];
+      const target = prev.type === "op" && (prev.value === "to" || prev.value === "in");
+      out.push({type:"angle", value:s[i], angle:angle, ...(target && {target:true})});
+      i++;
+      continue;
+    }
+
+    // units: 5 km, 20 °C, 100 km/h to m/s
+    const unit = unitAt(s, i, out, ctx);
+    if (unit){
+      const prev = out[out.length-1];
+      const target = prev.type === "op" && (prev.value === "to" || prev.value === "in");
+      out.push({type:"unit", value:unit.unit.name, unit:unit.unit, ...(target && {target:true})});
+      i = unit.end;
+      continue;
+    }
+
+    // identifiers (functions/constants/variables)
+    if (isAlpha(c)){
+      let j = i;
+      while (j < s.length && (isAlpha(s[j]))) j++;
+      // digits only belong to a name when they complete a built-in (atan2); x2 stays x * 2
+      let k = j;
+      while (k < s.length && isDigit(s[k])) k++;
+      if (k > j && FUNCTION_NAMES.has(s.slice(i, k).toLowerCase())) j = k;
+      const name = s.slice(i, j);
+      const id = name.toLowerCase();
+
+      // functions and constants win over variables, so sin/pi/ans keep working; only a variable i
+      // (i = 3) hides the imaginary unit
+      if (WORD_OPERATORS.includes(id)) out.push({type:"op", value:id});
+      else if (FUNCTION_NAMES.has(id)) out.push({type:"fn", value:FUNCTION_NAMES.get(id)});
+      else if (CONSTANTS.includes(id) && !(name === "i" && ctx.vars && ctx.vars.has("i"))) out.push({type:"const", value:id});
+      else if (funcs && funcs.has(name)) out.push({type:"fn", value:name, user:true});
+      else out.push({type:"var", value:name});
+      i = j;
+      continue;
+    }
+
+    // factorial shorthand "!" handled in UI via function, but allow in expression too
+    if (c === "!"){
+      out.push({type:"fn", value:"fact"}); // treat as postfix fn, handled specially
+      i++;
+      continue;
+    }
+
+    throw new CalcError("SYNTAX", "Unexpected char: " + c, at(i, i + 1));
+  }
+  locate();
+
+  return insertImplicitMultiplication(markUnaryMinus(out));
+}
+
+// A unit straight after a value (or after to/in) that is not shadowed by a variable or function:
+// 5 km and 2 min are units, min(1, 2) and m = 3; 2m are not
+function unitAt(s, i, out, ctx){
+  if (!(isAlpha(s[i]) || s[i] === "°" || s[i] === "µ")) return null;
+  const prev = out[out.length-1];
+  if (!prev) return null;
+  const target = prev.type === "op" && (prev.value === "to" || prev.value === "in");
+  const afterValue = ["num","const","var","unit"].includes(prev.type) || (prev.type === "paren" && prev.value === ")") || isPostfix(prev);
+  if (!target && !afterValue) return null;
+  const found = readUnit(s, i);
+  if (!found || target) return found;
+  const name = s.slice(i).match(/^(°[CF]|µ?[A-Za-z]+)/)[1];
+  if ((ctx.vars && ctx.vars.has(name)) || (ctx.funcs && ctx.funcs.has(name))) return null;
+  if (FUNCTION_NAMES.has(name.toLowerCase()) && /^\s*\(/.test(s.slice(i + name.length))) return null;
+  return found;
+}
+
+// a suffix after any value or after to/in: 90°, 2ʳ, (a + b)ᵍ, 1 to ° (but 20 °C is a temperature)
+function angleAt(s, i, out){
+  const suffix = ANGLE_SUFFIXES[s[i]];
+  const prev = out[out.length-1];
+  if (!suffix || !prev) return null;
+  const afterValue = ["num","const","var","unit","angle"].includes(prev.type) || (prev.type === "paren" && prev.value === ")") || isPostfix(prev) ||
+    (prev.type === "op" && (prev.value === "to" || prev.value === "in"));
+  // 20 °C is a temperature
+  return afterValue && !(s[i] === "°" && /[CF]/.test(s[i+1] || "")) ? suffix : null;
+}
+
+const isPostfix = (t)=> t.type === "fn" && (t.value === "fact" || t.value === "%");
+
+function markUnaryMinus(tokens){
+  // Convert "-" to unary u- when at start or after operator, "(" or a prefix function (sin-30)
+  const out = [];
+  for (let i=0;i<tokens.length;i++){
+    const t = tokens[i];
+    if (t.type === "op" && t.value === "-"){
+      const prev = out[out.length - 1];
+      if (!prev || (prev.type === "op") || (prev.type === "assign") || (prev.type === "comma") || (prev.type === "paren" && prev.value === "(") || (prev.type === "fn" && !isPostfix(prev))){
+        out.push({...t, value:"u-"});
+      } else out.push(t);
+    } else {
+      out.push(t);
+    }
+  }
+  return out;
+}
+
+function insertImplicitMultiplication(tokens){
+  // Examples: 2(pi) -> 2 * (pi), 2sin(30) -> 2 * sin(30), (2)(3) -> (2) * (3), pi2 -> pi * 2, 2x -> 2 * x, x(y+1) -> x * (y+1)
+  const out = [];
+  const isValue = (t)=> t.type==="num" || t.type==="const" || t.type==="var";
+  const canLeft = (t)=> t && (isValue(t) || (t.type==="paren" && t.value===")") || isPostfix(t) || (t.type==="unit" && !t.target) || (t.type==="angle" && !t.target));
+  const canRight = (t)=> t && (isValue(t) || t.type==="fn" || (t.type==="paren" && t.value==="("));
+
+  for (let i=0;i<tokens.length;i++){
+    const cur = tokens[i];
+    const prev = out[out.length-1];
+    if (canLeft(prev) && canRight(cur)){
+      // "!" and "%" are postfix: 5! stays 5!, never 5 * !
+      if (!isPostfix(cur)){
+        out.push({type:"op", value:"*", implicit:true});
+      }
+    }
+    out.push(cur);
+  }
+  return out;
+}
+
+// ---------- Shunting-yard to RPN ----------
+// bitwise operators bind looser than arithmetic, as in C: 1 + 2 << 3 = 24
+export const OP = {
+  "to": {prec: 0, assoc: "L", arity:2}, // 5 km + 300 m to ft converts the whole sum
+  "in": {prec: 0, assoc: "L", arity:2},
+  "or": {prec: 1, assoc: "L", arity:2},
+  "xor": {prec: 2, assoc: "L", arity:2},
+  "and": {prec: 3, assoc: "L", arity:2},
+  "<<": {prec: 4, assoc: "L", arity:2},
+  ">>": {prec: 4, assoc: "L", arity:2},
+  "+": {prec: 5, assoc: "L", arity:2},
+  "-": {prec: 5, assoc: "L", arity:2},
+  "*": {prec: 6, assoc: "L", arity:2},
+  "/": {prec: 6, assoc: "L", arity:2},
+  "mod": {prec: 6, assoc: "L", arity:2},
+  "^": {prec: 8, assoc: "R", arity:2},
+  "u-": {prec: 7, assoc: "R", arity:1},
+  "not": {prec: 7, assoc: "R", arity:1},
+};
+
+export function toRPN(tokens){
+  const output = [];
+  const stack = [];
+
+  for (let i=0;i<tokens.length;i++){
+    const t = tokens[i];
+    const prev = tokens[i-1];
+
+    // a unit or angle suffix is postfix like "!" (or the operand of to/in), so it goes straight to the output
+    if (t.type === "num" || t.type === "const" || t.type === "var" || t.type === "unit" || t.type === "angle"){
+      output.push(t);
+      continue;
+    }
+
+    if (t.type === "assign"){
+      throw new CalcError("SYNTAX", "Unexpected =", t.span);
+    }
+
+    if (t.type === "fn"){
+      if (LAZY_FUNCTIONS.has(t.value)){
+        const close = lazyCall(tokens, i, output);
+        if (close !== null){
+          i = close;
+          continue;
+        }
+      }
+      if (isPostfix(t)){
+        // postfix factorial and percent
+        output.push({type:"fn", value:t.value, postfix:true, span:t.span});
+      } else {
+        // prefix
+        stack.push(t);
+      }
+      continue;
+    }
+
+    if (t.type === "op"){
+      // prefix unary minus (and not) has nothing on its left to reduce: 2^-3 keeps ^ on the stack
+      if (t.value === "u-" || t.value === "not"){
+        stack.push(t);
+        continue;
+      }
+      while (stack.length){
+        const top = stack[stack.length-1];
+        if (top.type === "op"){
+          const a = OP[t.value];
+          const b = OP[top.value];
+          if (!a || !b) break;
+          if ((a.assoc === "L" && a.prec <= b.prec) || (a.assoc === "R" && a.prec < b.prec)){
+            output.push(stack.pop());
+            continue;
+          }
+        } else if (top.type === "fn"){
+          // functions have higher precedence than operators
+          output.push(stack.pop());
+          continue;
+        }
+        break;
+      }
+      stack.push(t);
+      continue;
+    }
+
+    if (t.type === "paren" && t.value === "("){
+      // "(" straight after a prefix function opens its argument list; count the arguments on it
+      const call = !!prev && prev.type === "fn" && !isPostfix(prev);
+      const empty = tokens[i+1]?.type === "paren" && tokens[i+1].value === ")";
+      stack.push({type:"paren", value:"(", call, argc: empty ? 0 : 1, span:t.span, ...(t.brace && {brace:t.brace})});
+      continue;
+    }
+
+    if (t.type === "comma"){
+      while (stack.length && !(stack[stack.length-1].type==="paren" && stack[stack.length-1].value==="(")){
+        output.push(stack.pop());
+      }
+      if (!stack.length || !stack[stack.length-1].call) throw new CalcError("SYNTAX", "Unexpected ,", t.span);
+      stack[stack.length-1].argc++;
+      continue;
+    }
+
+    if (t.type === "paren" && t.value === ")"){
+      while (stack.length && !(stack[stack.length-1].type==="paren" && stack[stack.length-1].value==="(")){
+        output.push(stack.pop());
+      }
+      if (!stack.length) throw new CalcError("SYNTAX", "Mismatched parentheses", t.span);
+      const open = stack.pop(); // remove "("
+      if (open.brace !== t.brace) throw new CalcError("SYNTAX", "Mismatched parentheses", t.span); // {1, 2) or [1}
+
+      // if function at top, pop it
+      if (open.call && stack.length && stack[stack.length-1].type === "fn"){
+        output.push({...stack.pop(), argc: open.argc});
+      }
+      continue;
+    }
+
+    throw new CalcError("SYNTAX", "Unexpected token", t.span);
+  }
+
+  while (stack.length){
+    const t = stack.pop();
+    if (t.type === "paren") throw new CalcError("SYNTAX", "Mismatched parentheses", t.span); // never closed
+    output.push(t);
+  }
+
+  return markPercent(output);
+}
+
+// An operator whose right operand ends in "%" takes the percentage whole: the % keeps b (operand)
+// and the operator gets percent:true, so a + b% adds b percent of a (see percentOp)
+const PERCENT_OPS = ["+", "-", "*", "/"];
+function markPercent(rpn){
+  const isPercent = (x)=> x && x.type === "fn" && x.value === "%";
+  const taken = (x)=> x && x.type === "op" && PERCENT_OPS.includes(x.value);
+  return rpn.map((t, k)=>{
+    if (isPercent(t) && taken(rpn[k+1])) return {...t, operand:true};
+    if (taken(t) && isPercent(rpn[k-1])) return {...t, percent:true};
+    return t;
+  });
+}
+
+// i is a name wherever only a name fits: a parameter, a bound variable, the target of an assignment
+const isName = (t)=> t.type === "var" || (t.type === "const" && t.value === "i");
+
+// a parameter or bound variable named like a unit was read as one after a value
+// (f(m) = 2m, sum(2s, s, 1, 3), f(g) = 2g), or one named i as the imaginary unit; it is the variable
+function asVariables(tokens, names){
+  return tokens.flatMap(t =>{
+    if (!names.includes(t.value)) return [t];
+    if (t.type === "unit" && !t.target) return [{type:"op", value:"*", implicit:true}, {type:"var", value:t.value}];
+    if (t.type === "const") return [{...t, type:"var"}];
+    return [t];
+  });
+}
+
+// solve(x^2 = 2, x, 1) starting at tokens[i]: pushes the evaluated arguments (1) and then the
+// call token holding the rest; returns the index of the closing ")", or null for sum(list),
+// which is an ordinary call
+function lazyCall(tokens, i, output){
+  const name = tokens[i].value;
+  if (tokens[i+1]?.type !== "paren" || tokens[i+1].value !== "(") throw new CalcError("SYNTAX", `${name} needs (…)`, tokens[i].span);
+  const args = [[]];
+  let depth = 0, k = i + 1;
+  for (;;){
+    k++;
+    const t = tokens[k];
+    if (!t) throw new CalcError("SYNTAX", "Mismatched parentheses", tokens[i+1].span);
+    if (t.type === "paren") depth += t.value === "(" ? 1 : -1;
+    if (depth < 0) break;
+    if (t.type === "comma" && depth === 0) args.push([]);
+    else args[args.length-1].push(t);
+  }
+  if (name === "sum" && args.length === 1) return null;
+  const argc = args.length === 1 && !args[0].length ? 0 : args.length;
+  try { checkArity(name, argc); } catch (e){ throw located(e, tokens[i].span); }
+  const [expr, variable, ...rest] = args;
+  if (rest.some(arg => !arg.length)) throw new CalcError("SYNTAX", "Unexpected ,", tokens[i].span);
+  if (variable.length !== 1 || !isName(variable[0])){
+    throw new CalcError("SYNTAX", `${name} needs a variable name as argument 2`, spanOf(variable) || tokens[i].span);
+  }
+  const v = variable[0].value;
+  const body = asVariables(expr, [v]);
+  for (const arg of rest) output.push(...toRPN(arg));
+  output.push({type:"fn", value: name, lazy:true, body: equationRPN(body, name), variable: v, argc: args.length, span: tokens[i].span});
+  return k;
+}
+
+// from the first to the last token that has a place in the input
+function spanOf(tokens){
+  const spans = tokens.map(t => t.span).filter(Boolean);
+  return spans.length ? {start: spans[0].start, end: spans[spans.length-1].end} : null;
+}
+
+// "l = r" -> RPN of l - r; an expression without "=" stands for expr = 0
+function equationRPN(tokens, name){
+  const eqAt = tokens.findIndex(t => t.type === "assign");
+  if (!tokens.length || eqAt === 0 || eqAt === tokens.length - 1) throw new CalcError("SYNTAX", `${name} needs an equation`, spanOf(tokens));
+  if (eqAt === -1) return toRPN(tokens);
+  const rhs = tokens.slice(eqAt + 1);
+  const extra = rhs.find(t => t.type === "assign");
+  if (extra) throw new CalcError("SYNTAX", "Too many =", extra.span);
+  return [...toRPN(tokens.slice(0, eqAt)), ...toRPN(rhs), {type:"op", value:"-"}];
+}
+
+// ---------- Arithmetic ----------
+// Values are JS numbers, exact fractions (FRAC mode), big decimals (PREC mode, P digits),
+// complex numbers, word-size BigInts (PROG mode) or quantities with a unit (units.js). Two values of the same kind stay in that kind; anything mixed with a number
+// (sin(x), a failed exact root, ...) falls back to a number. Complex wins over every other kind,
+// and a complex result that lands on the real axis ((1+i)(1-i)) becomes a number again.
+export function toNumber(v){
+  if (isFrac(v)) return fracToNumber(v);
+  if (isBig(v)) return bigToNumber(v);
+  if (isCplx(v)) return v.im === 0 ? v.re : NaN;
+  if (isInt(v)) return Number(v);
+  if (isQty(v) || isList(v) || isMatrix(v)) return NaN;
+  return v;
+}
+
+function asComplex(v){ return isCplx(v) ? v : cx(toNumber(v), 0); }
+function real(v){ return isCplx(v) && v.im === 0 ? v.re : v; }
+
+// quantities: the plain side of a mixed pair is turned into a number first
+const plain = (v)=> isQty(v) ? v : toNumber(v);
+
+// lists work element by element: {1, 2, 3} * 2, {1, 2} + {10, 20}
+function listwise(a, b, op){
+  if (isList(a) && isList(b)){
+    if (a.items.length !== b.items.length) throw new Error(`Lists differ in length (${a.items.length} and ${b.items.length})`);
+    return list(a.items.map((x, k)=> listItem(op(x, b.items[k]))));
+  }
+  if (isList(a)) return list(a.items.map(x => listItem(op(x, b))));
+  return list(b.items.map(x => listItem(op(a, x))));
+}
+
+// a list holds doubles: 1/3 in FRAC mode is stored as 0.333...
+function listItem(v){
+  if (typeof v === "number") return v;
+  const x = toNumber(v);
+  if (Number.isNaN(x)) throw new Error("A list holds plain numbers");
+  return x;
+}
+
+// matrices hold doubles too; a number with a matrix scales it, + and - need two matrices of one size
+function matrixArith(op, a, b){
+  if (isList(a) || isList(b)) throw new Error("Can't mix lists and matrices");
+  const A = isMatrix(a) ? a : null, B = isMatrix(b) ? b : null;
+  if (A && B){
+    if (op === "*") return matMul(A, B);
+    if (op === "/") throw new Error("Can't divide by a matrix, multiply by inv() instead");
+    if (op === "^") throw new Error("A matrix power needs a whole-number exponent");
+    return matAdd(A, B, op === "-");
+  }
+  const k = matrixEntry(A ? b : a);
+  switch (op){
+    case "*": return matScale(A || B, k);
+    case "/":
+      if (!A) throw new Error("Can't divide by a matrix, multiply by inv() instead");
+      return matScale(A, 1 / k);
+    case "^":
+      if (!A) throw new Error("Can't raise a number to a matrix power");
+      return matPow(A, k);
+    default: throw new Error(`Can't ${op === "+" ? "add" : "subtract"} a number and a ${size(A || B)} matrix`);
+  }
+}
+
+function matrixEntry(v){
+  if (typeof v === "number") return v;
+  const x = toNumber(v);
+  if (Number.isNaN(x)) throw new Error("A matrix holds plain numbers");
+  return x;
+}
+
+function add(a, b, P){
+  if (isMatrix(a) || isMatrix(b)) return matrixArith("+", a, b);
+  if (isList(a) || isList(b)) return listwise(a, b, (x, y)=> add(x, y, P));
+  if (isQty(a) || isQty(b)) return qtyAdd(plain(a), plain(b));
+  if (isInt(a) && isInt(b)) return a + b;
+  if (isCplx(a) || isCplx(b)) return real(cAdd(asComplex(a), asComplex(b)));
+  if (isFrac(a) && isFrac(b)) return fracAdd(a, b);
+  if (isBig(a) && isBig(b)) return bigAdd(a, b, P);
+  return toNumber(a) + toNumber(b);
+}
+function sub(a, b, P){
+  if (isMatrix(a) || isMatrix(b)) return matrixArith("-", a, b);
+  if (isList(a) || isList(b)) return listwise(a, b, (x, y)=> sub(x, y, P));
+  if (isQty(a) || isQty(b)) return qtyAdd(plain(a), plain(b), true);
+  if (isInt(a) && isInt(b)) return a - b;
+  if (isCplx(a) || isCplx(b)) return real(cSub(asComplex(a), asComplex(b)));
+  if (isFrac(a) && isFrac(b)) return fracSub(a, b);
+  if (isBig(a) && isBig(b)) return bigSub(a, b, P);
+  return toNumber(a) - toNumber(b);
+}
+function mul(a, b, P){
+  if (isMatrix(a) || isMatrix(b)) return matrixArith("*", a, b);
+  if (isList(a) || isList(b)) return listwise(a, b, (x, y)=> mul(x, y, P));
+  if (isQty(a) || isQty(b)) return qtyMul(plain(a), plain(b));
+  if (isInt(a) && isInt(b)) return a * b;
+  if (isCplx(a) || isCplx(b)) return real(cMul(asComplex(a), asComplex(b)));
+  if (isFrac(a) && isFrac(b)) return fracMul(a, b);
+  if (isBig(a) && isBig(b)) return bigMul(a, b, P);
+  return toNumber(a) * toNumber(b);
+}
+function div(a, b, P){
+  if (isMatrix(a) || isMatrix(b)) return matrixArith("/", a, b);
+  if (isList(a) || isList(b)) return listwise(a, b, (x, y)=> div(x, y, P));
+  if (isQty(a) || isQty(b)) return qtyDiv(plain(a), plain(b));
+  if (isInt(a) && isInt(b)) return intDiv(a, b);
+  if (isCplx(a) || isCplx(b)) return real(cDiv(asComplex(a), asComplex(b)));
+  if (isFrac(a) && isFrac(b) && !isZero(b)) return fracDiv(a, b);
+  if (isBig(a) && isBig(b)){
+    const r = bigDiv(a, b, P);
+    if (r) return r;
+  }
+  return toNumber(a) / toNumber(b);
+}
+// complex: (-8)^(1/3) has no real value, CPLX mode gives the principal one (1+1.732i)
+function pow(a, b, P, complex){
+  if (isMatrix(a) || isMatrix(b)) return matrixArith("^", a, b);
+  if (isList(a) || isList(b)) return listwise(a, b, (x, y)=> pow(x, y, P, complex));
+  if (isQty(a) || isQty(b)) return qtyPow(plain(a), plain(b));
+  if (isInt(a) && isInt(b)) return intPow(a, b);
+  if (isCplx(a) || isCplx(b)) return real(cPow(asComplex(a), asComplex(b)));
+  if (isFrac(a) && isFrac(b)){
+    const r = fracPow(a, b);
+    if (r) return r;
+  }
+  if (isBig(a) && isBig(b)){
+    const r = bigPow(a, b, P);
+    if (r) return r;
+  }
+  const x = toNumber(a), y = toNumber(b);
+  const v = Math.pow(x, y);
+  if (complex && Number.isNaN(v) && !Number.isNaN(x) && !Number.isNaN(y)) return real(cPow(cx(x), cx(y)));
+  return v;
+}
+function neg(a){
+  if (isMatrix(a)) return matScale(a, -1);
+  if (isList(a)) return list(a.items.map(x => -x));
+  if (isQty(a)) return qtyNeg(a);
+  if (isInt(a)) return -a;
+  if (isCplx(a)) return cNeg(a);
+  if (isFrac(a)) return fracNeg(a);
+  if (isBig(a)) return bigNeg(a);
+  return -a;
+}
+
+// floored modulo, the result takes the sign of b: 7 mod 3 = 1, -7 mod 3 = 2
+function mod(a, b){
+  if (isInt(a) && isInt(b)) return intMod(a, b);
+  if (isFrac(a) && isFrac(b) && !isZero(b)){
+    const q = fracDiv(a, b);
+    let fl = q.n / q.d;
+    if (q.n < 0n && q.n % q.d !== 0n) fl -= 1n;
+    return fracSub(a, fracMul(b, frac(fl)));
+  }
+  if (isBig(a) && isBig(b) && bigIsInteger(a) && bigIsInteger(b) && b.m !== 0n){
+    return big(intMod(bigToBigInt(a), bigToBigInt(b)));
+  }
+  const x = toNumber(a), y = toNumber(b);
+  return x - y * Math.floor(x / y);
+}
+
+// and/or/xor/not/<</>> need whole numbers; outside PROG mode the result is a plain number
+function bitwise(op, a, b){
+  const ints = isInt(a) && (b === undefined || isInt(b));
+  const x = wholeOperand(a, op);
+  const y = b === undefined ? 0n : wholeOperand(b, op);
+  let r;
+  switch (op){
+    case "and": r = x & y; break;
+    case "or": r = x | y; break;
+    case "xor": r = x ^ y; break;
+    case "not": r = ~x; break;
+    case "<<": r = intShift(x, y, true); break;
+    case ">>": r = intShift(x, y, false); break;
+  }
+  return ints ? r : Number(r);
+}
+
+function wholeOperand(v, op){
+  if (isInt(v)) return v;
+  if (isFrac(v) && isInteger(v)) return v.n;
+  if (isBig(v) && bigIsInteger(v)) return bigToBigInt(v);
+  const x = toNumber(v);
+  if (!Number.isInteger(x)) throw new Error(`${op} needs whole numbers`);
+  return BigInt(x);
+}
+
+// PROG mode: every operand becomes a whole number of the word size, fractions truncate toward zero
+function toInt(v, bits, signed){
+  if (isInt(v)) return wrapInt(v, bits, signed);
+  if (isFrac(v)) return wrapInt(v.n / v.d, bits, signed);
+  if (isBig(v)) return wrapInt(v.e >= 0 ? bigToBigInt(v) : v.m / 10n ** BigInt(-v.e), bits, signed);
+  const x = toNumber(v);
+  if (!Number.isFinite(x)) throw new CalcError("DOMAIN", "No integer value");
+  return wrapInt(BigInt(Math.trunc(x)), bits, signed);
+}
+
+const MAX_EXACT_FACTORIAL = 5000n;
+
+// Functions that keep fractions / big decimals exact; null means "use the floating-point version"
+function exactFunction(name, args, P){
+  if (args.length && args.every(isInt)) return intFunction(name, args);
+  if (args.every(isFrac)) return fracFunction(name, args);
+  if (args.every(isBig)) return bigFunction(name, args, P);
+  return null;
+}
+
+function fracFunction(name, args){
+  const [a, b] = args;
+  const whole = (f)=> isInteger(f) && f.n >= 0n;
+  switch (name){
+    case "sqrt": return fracRoot(a, 2);
+    case "root": return isInteger(b) && b.n > 0n && b.n <= 64n ? fracRoot(a, Number(b.n)) : null;
+    case "inv": return isZero(a) ? null : fracDiv(frac(1n), a);
+    case "fact": return whole(a) && a.n <= MAX_EXACT_FACTORIAL ? frac(bigFactorial(a.n)) : null;
+    case "nPr":
+      if (!whole(a) || !whole(b) || b.n > a.n) return null;
+      return frac(bigFactorial(a.n, a.n - b.n));
+    case "nCr":
+      if (!whole(a) || !whole(b) || b.n > a.n) return null;
+      return frac(bigFactorial(a.n, a.n - b.n) / bigFactorial(b.n));
+    case "min": return args.reduce((m, x)=> fracCompare(x, m) < 0 ? x : m);
+    case "max": return args.reduce((m, x)=> fracCompare(x, m) > 0 ? x : m);
+    case "abs": return a.n < 0n ? fracNeg(a) : a;
+    case "re":
+    case "conj": return a;
+    case "im": return frac(0n);
+    default: return null;
+  }
+}
+
+function intFunction(name, args){
+  const [a] = args;
+  switch (name){
+    case "abs": return a < 0n ? -a : a;
+    case "re":
+    case "conj": return a;
+    case "im": return 0n;
+    case "min": return args.reduce((m, x)=> x < m ? x : m);
+    case "max": return args.reduce((m, x)=> x > m ? x : m);
+    default: return null;
+  }
+}
+
+const MAX_BIG_FACTORIAL = 20000n;
+
+function bigFunction(name, args, P){
+  const [a, b] = args;
+  const whole = (x)=> bigIsInteger(x) && x.m >= 0n;
+  switch (name){
+    case "sqrt": return bigRoot(a, 2, P);
+    case "root": return whole(b) && b.m > 0n && bigToBigInt(b) <= 1000n ? bigRoot(a, Number(bigToBigInt(b)), P) : null;
+    case "inv": return bigDiv(big(1n), a, P);
+    case "fact": {
+      if (!whole(a)) return null;
+      const n = bigToBigInt(a);
+      return n <= MAX_BIG_FACTORIAL ? big(bigFactorial(n)) : null;
+    }
+    case "nPr":
+    case "nCr": {
+      if (!whole(a) || !whole(b)) return null;
+      const n = bigToBigInt(a), r = bigToBigInt(b);
+      if (r > n) return null;
+      const p = bigFactorial(n, n - r);
+      return big(name === "nPr" ? p : p / bigFactorial(r));
+    }
+    case "min": return args.reduce((m, x)=> bigCompare(x, m) < 0 ? x : m);
+    case "max": return args.reduce((m, x)=> bigCompare(x, m) > 0 ? x : m);
+    case "abs": return a.m < 0n ? bigNeg(a) : a;
+    case "re":
+    case "conj": return a;
+    case "im": return big(0n);
+    default: return null;
+  }
+}
+
+// the numbers in the arguments of a list function: mean({1, 2}, 3) is the mean of 1, 2, 3
+function statFunction(name, args){
+  if (name === "list") return list(args.map(listItem));
+  const xs = args.flatMap(a => isList(a) ? a.items : [listItem(a)]);
+  switch (name){
+    case "sum": return listSum(xs);
+    case "mean": return mean(xs);
+    case "median": return median(xs);
+    case "mode": {
+      const m = modes(xs);
+      return m.length === 1 ? m[0] : list(m);
+    }
+    case "var": return variance(xs, true);
+    case "varp": return variance(xs, false);
+    case "stdev": return Math.sqrt(variance(xs, true));
+    case "stdevp": return Math.sqrt(variance(xs, false));
+    case "quartiles": return list(quartiles(xs));
+    case "min": return xs.length ? Math.min(...xs) : NaN;
+    case "max": return xs.length ? Math.max(...xs) : NaN;
+    default: throw new Error(`${name} needs a number, not a list`);
+  }
+}
+
+// [1, 2] builds a matrix; the rest take matrices (inv(A) is the inverse, norm(v) the length)
+function matrixFunction(name, args){
+  if (name === "matrix") return fromItems(args.map(a => isMatrix(a) ? a : matrixEntry(a)));
+  const [A, B] = args;
+  if (!args.every(isMatrix)) throw new Error(MATRIX_FUNCTIONS.has(name) ? `${name} needs a matrix or vector` : `${name} needs a number, not a matrix`);
+  switch (name){
+    case "det": return det(A);
+    case "inv": return inverse(A);
+    case "transpose": return transpose(A);
+    case "rank": return rank(A);
+    case "rref": return rref(A);
+    case "dot": return dot(A, B);
+    case "cross": return cross(A, B);
+    case "norm": return norm(A);
+    default: throw new Error(`${name} needs a number, not a matrix`);
+  }
+}
+
+// Complex versions of the built-ins; angles follow the DEG/RAD/GRAD mode like the real ones
+const COMPLEX_FUNCTIONS = new Set(["sin","cos","tan","asin","acos","atan","sec","csc","cot","asec","acsc","acot",
+  "sinh","cosh","tanh","asinh","acosh","atanh","log","ln","sqrt","root","inv","re","im","abs","arg","conj"]);
+
+function complexFunction(name, args, mode){
+  if (!COMPLEX_FUNCTIONS.has(name)) throw new Error(`${name} is not defined for complex numbers`);
+  const [a, b] = args.map(asComplex);
+  const toRad = (z)=> mode==="RAD" ? z : cScale(z, Math.PI / HALF_TURN[mode]);
+  // an inverse trig result turns only its real part into degrees: asin(2) = 90+1.317i in DEG
+  const fromRad = (z)=> mode==="RAD" ? z : cx(z.re * HALF_TURN[mode] / Math.PI, z.im);
+  switch (name){
+    case "sin": return cSin(toRad(a));
+    case "cos": return cCos(toRad(a));
+    case "tan": return cTan(toRad(a));
+    case "asin": return fromRad(cAsin(a));
+    case "acos": return fromRad(cAcos(a));
+    case "atan": return fromRad(cAtan(a));
+    case "sec": return cDiv(cx(1), cCos(toRad(a)));
+    case "csc": return cDiv(cx(1), cSin(toRad(a)));
+    case "cot": return cDiv(cCos(toRad(a)), cSin(toRad(a)));
+    case "asec": return fromRad(cAcos(cDiv(cx(1), a)));
+    case "acsc": return fromRad(cAsin(cDiv(cx(1), a)));
+    case "acot": return fromRad(cAtan(cDiv(cx(1), a)));
+    case "sinh": return cSinh(a);
+    case "cosh": return cCosh(a);
+    case "tanh": return cTanh(a);
+    case "asinh": return cAsinh(a);
+    case "acosh": return cAcosh(a);
+    case "atanh": return cAtanh(a);
+    case "log": return cDiv(cLn(a), b ? cLn(b) : cx(Math.LN10));
+    case "ln": return cLn(a);
+    case "sqrt": return cSqrt(a);
+    case "root": return cPow(a, cDiv(cx(1), b));
+    case "inv": return cDiv(cx(1), a);
+    case "re": return a.re;
+    case "im": return a.im;
+    case "abs": return cAbs(a);
+    case "arg": return fromRadians(cArg(a), mode);
+    case "conj": return cConj(a);
+  }
+}
+
+// a + b% = a + a·b/100 and a - b% = a - a·b/100 (200 + 10% = 220); a × b% = a·b/100, a ÷ b% = a·100/b
+function percentOp(op, a, b, hundred, P){
+  switch (op){
+    case "+": return add(a, div(mul(a, b, P), hundred, P), P);
+    case "-": return sub(a, div(mul(a, b, P), hundred, P), P);
+    case "*": return div(mul(a, b, P), hundred, P);
+    case "/": return div(mul(a, hundred, P), b, P);
+  }
+}
+
+// ---------- RPN Evaluate ----------
+// ctx supplies what used to be read from globals: angle mode, number mode (REAL | FRAC | PREC | CPLX | PROG),
+// the precision and word size that go with it, the last answer, variables and user functions (Maps).
+// locals holds parameters while a user function runs. strict turns NaN and overflow into CalcErrors
+// (see Domain errors); every error leaves here as a CalcError with the span of the token that failed.
+export function evalRPN(rpn, ctx = {}){
+  const mode = ctx.mode || "DEG";
+  const exact = ctx.numberMode === "FRAC";
+  const precise = ctx.numberMode === "PREC";
+  const complex = ctx.numberMode === "CPLX";
+  const prog = ctx.numberMode === "PROG";
+  const bits = ctx.wordSize || 64;
+  const signed = ctx.signed ?? true;
+  const P = ctx.precision || 50;
+  const ans = ctx.ans ?? 0;
+  const strict = !!ctx.strict;
+  const vars = ctx.vars;
+  const locals = ctx.locals;
+  const hundred = counter(100, ctx.numberMode); // for x%, in the kind of the number mode
+  const trigIn = (x)=> toRadians(x, mode);
+  const trigOut = (x)=> fromRadians(x, mode);
+
+  const st = [];
+  for (const t of rpn){
+    try{
+      if (t.type === "num"){
+        const raw = t.raw ?? String(t.value);
+        if (exact) st.push(fracFromString(raw) ?? t.value);
+        else if (precise) st.push(bigFromString(raw) ?? t.value);
+        else if (prog) st.push(intFromString(raw) ?? t.value);
+        else st.push(t.value);
+        continue;
+      }
+      if (t.type === "const"){
+        if (t.value === "pi") st.push(precise ? bigPi(P) : Math.PI);
+        else if (t.value === "e") st.push(precise ? bigE(P) : Math.E);
+        else if (t.value === "ans") st.push(ans);
+        else if (t.value === "i") st.push(I);
+        else if (t.value === "inf") st.push(Infinity);
+        continue;
+      }
+      if (t.type === "unit"){
+        if (t.target){
+          st.push({type:"unitRef", unit:t.unit});
+          continue;
+        }
+        if (!st.length) throw new CalcError("SYNTAX", "Bad expression");
+        const x = plain(st.pop());
+        const q = applyUnit(x, t.unit);
+        if (strict && lostNumber(q, [x])) throw tooLarge();
+        st.push(q);
+        continue;
+      }
+      // 90° in RAD mode is pi/2: the value goes from its own unit to the mode's
+      if (t.type === "angle"){
+        if (t.target){
+          st.push({type:"angleRef", angle:t.angle});
+          continue;
+        }
+        if (!st.length) throw new CalcError("SYNTAX", "Bad expression");
+        const a = st.pop();
+        st.push(t.angle === mode ? a : mul(a, HALF_TURN[mode] / HALF_TURN[t.angle], P));
+        continue;
+      }
+      if (t.type === "var"){
+        if (locals && locals.has(t.value)) st.push(locals.get(t.value));
+        else if (vars && vars.has(t.value)) st.push(vars.get(t.value));
+        else throw new CalcError("UNKNOWN_NAME", "Unknown identifier: " + t.value);
+        continue;
+      }
+      if (t.type === "op"){
+        const info = OP[t.value];
+        if (!info) throw new Error("Unknown op");
+        if (st.length < info.arity) throw new CalcError("SYNTAX", "Bad expression");
+
+        if (info.arity === 1){
+          const a = prog ? toInt(st.pop(), bits, signed) : st.pop();
+          st.push(t.value === "not" ? bitwise("not", a) : neg(a));
+          continue;
+        }
+
+        let b = st.pop();
+        let a = st.pop();
+        if ((t.value === "to" || t.value === "in") && b && b.type === "angleRef"){
+          if (Number.isNaN(toNumber(a))) throw new Error(`${t.value} ${ANGLE_SYMBOLS[b.angle]} needs a real number`);
+          st.push(b.angle === mode ? a : mul(a, HALF_TURN[b.angle] / HALF_TURN[mode], P));
+          continue;
+        }
+        if (t.value === "to" || t.value === "in"){
+          if (!b || b.type !== "unitRef") throw new Error(`${t.value} needs a unit on the right`);
+          st.push(convertTo(plain(a), b.unit));
+          continue;
+        }
+        if (prog){
+          a = toInt(a, bits, signed);
+          b = toInt(b, bits, signed);
+        }
+
+        if (strict && (t.value === "/" || t.value === "mod") && isZeroValue(b)){
+          throw new CalcError("DIVISION_BY_ZERO", "Division by zero");
+        }
+        const top = st.length;
+        if (t.percent) st.push(percentOp(t.value, a, b, hundred, P));
+        else if (t.value === "+") st.push(add(a, b, P));
+        else if (t.value === "-") st.push(sub(a, b, P));
+        else if (t.value === "*") st.push(mul(a, b, P));
+        else if (t.value === "/") st.push(div(a, b, P));
+        else if (t.value === "^") st.push(pow(a, b, P, complex));
+        else if (t.value === "mod") st.push(mod(a, b));
+        else st.push(bitwise(t.value, a, b));
+        if (strict && st.length > top && lostNumber(st[top], [a, b])){
+          // a list names the first item that went wrong: {1, 2}/{0, 1} is a division by zero
+          const k = numbersIn(st[top]).findIndex(x => !Number.isFinite(x));
+          throw opDomain(t.value, bare(a, k), bare(b, k), bare(st[top], k));
+        }
+        continue;
+      }
+      if (t.type === "fn" && t.lazy){
+        checkArity(t.value, t.argc);
+        const args = st.splice(st.length - (t.argc - 2), t.argc - 2).map(toNumber);
+        st.push(evalLazy(t, args, ctx));
+        continue;
+      }
+      // x% is x/100, unless an operator takes it whole (markPercent)
+      if (t.type === "fn" && t.value === "%"){
+        if (!st.length) throw new CalcError("SYNTAX", "Bad expression");
+        if (!t.operand) st.push(div(st.pop(), hundred, P));
+        continue;
+      }
+      if (t.type === "fn"){
+        const argc = t.argc ?? 1;
+        if (st.length < argc) throw new CalcError("SYNTAX", "Bad function");
+        const args = st.splice(st.length - argc, argc);
+        if (t.user){
+          st.push(callUserFunction(t.value, args, ctx));
+          continue;
+        }
+        checkArity(t.value, argc);
+        if (t.value === "pctchange"){
+          if (strict && isZeroValue(args[0])) throw new CalcError("DIVISION_BY_ZERO", "Division by zero (percent change from 0)");
+          st.push(mul(div(sub(args[1], args[0], P), args[0], P), hundred, P));
+          continue;
+        }
+        if (MATRIX_FUNCTIONS.has(t.value) || args.some(isMatrix)){
+          st.push(matrixFunction(t.value, args));
+          continue;
+        }
+        if (LIST_FUNCTIONS.has(t.value) || args.some(isList)){
+          st.push(statFunction(t.value, args));
+          continue;
+        }
+        if (args.some(isQty)){
+          const q = qtyFunction(t.value, args.map(plain));
+          if (strict && lostNumber(q, args)) throw functionDomain(t.value, args.map(bare), bare(q));
+          st.push(q);
+          continue;
+        }
+        if (args.some(isCplx)){
+          st.push(real(complexFunction(t.value, args, mode)));
+          continue;
+        }
+        const exactValue = exactFunction(t.value, args, P);
+        if (exactValue){
+          st.push(exactValue);
+          continue;
+        }
+        for (let k=0;k<argc;k++) args[k] = toNumber(args[k]);
+        const a = args[0];
+
+        let v;
+        switch (t.value){
+          case "sin": v = Math.sin(trigIn(a)); break;
+          case "cos": v = Math.cos(trigIn(a)); break;
+          case "tan": v = Math.tan(trigIn(a)); break;
+
+          case "asin": v = trigOut(Math.asin(a)); break;
+          case "acos": v = trigOut(Math.acos(a)); break;
+          case "atan": v = trigOut(Math.atan(a)); break;
+
+          case "atan2": v = trigOut(Math.atan2(args[0], args[1])); break;
+
+          case "sec":
+          case "csc":
+          case "cot": v = reciprocalTrig(t.value, a, mode); break;
+          case "asec": v = trigOut(Math.acos(1 / a)); break;
+          case "acsc": v = trigOut(Math.asin(1 / a)); break;
+          case "acot": v = trigOut(Math.atan(1 / a)); break;
+
+          case "sinh": v = Math.sinh(a); break;
+          case "cosh": v = Math.cosh(a); break;
+          case "tanh": v = Math.tanh(a); break;
+          case "asinh": v = Math.asinh(a); break;
+          case "acosh": v = Math.acosh(a); break;
+          case "atanh": v = Math.atanh(a); break;
+
+          case "log": v = argc === 2 ? Math.log(a) / Math.log(args[1]) : Math.log10(a); break;
+          case "ln": v = Math.log(a); break;
+          case "sqrt": v = Math.sqrt(a); break;
+          case "root": v = nthRoot(a, args[1]); break;
+          case "inv": v = 1 / a; break;
+
+          case "nCr": v = nCr(a, args[1]); break;
+          case "nPr": v = nPr(a, args[1]); break;
+          case "min": v = Math.min(...args); break;
+          case "max": v = Math.max(...args); break;
+          case "hypot": v = Math.hypot(...args); break;
+          case "fact": v = factorial(a); break;
+          case "gamma": v = gamma(a); break;
+
+          case "re": v = a; break;
+          case "im": v = 0; break;
+          case "abs": v = Math.abs(a); break;
+          case "arg": v = a < 0 ? trigOut(Math.PI) : 0; break;
+          case "conj": v = a; break;
+
+          case "normpdf": v = normalPdf(a, args[1] ?? 0, args[2] ?? 1); break;
+          case "normcdf": v = normalCdf(a, args[1] ?? 0, args[2] ?? 1); break;
+          case "invnorm": v = normalInv(a, args[1] ?? 0, args[2] ?? 1); break;
+          case "binompdf": v = binomialPdf(a, args[1], args[2]); break;
+          case "binomcdf": v = binomialCdf(a, args[1], args[2]); break;
+          case "invbinom": v = binomialInv(a, args[1], args[2]); break;
+          default: throw new CalcError("UNKNOWN_NAME", "Unknown function: " + t.value);
+        }
+        // sqrt(-4), ln(-1), asin(2) have no real value; CPLX mode takes the principal complex one
+        // (sec(90) has none at all: it is a pole)
+        if (complex && Number.isNaN(v) && COMPLEX_FUNCTIONS.has(t.value) && !RECIPROCAL_TRIG.has(t.value) && !args.some(Number.isNaN)){
+          v = real(complexFunction(t.value, args, mode));
+        }
+        if (strict && lostNumber(v, args)) throw functionDomain(t.value, args, v);
+        st.push(v);
+        continue;
+      }
+      throw new Error("Unknown token type");
+    } catch (e){
+      // the token being evaluated is where it went wrong, unless a deeper step already knows better
+      throw located(e, t.span);
+    }
+  }
+  if (st.length !== 1) throw new CalcError("SYNTAX", "Bad expression");
+  if (strict && numbersIn(st[0]).some(Number.isNaN)) throw new CalcError("DOMAIN", "No real result");
+  if (!prog) return st[0];
+  // PROG results are integers: 5 km or a list has none, and the last step takes the blame
+  try{
+    return toInt(st[0], bits, signed);
+  } catch (e){
+    throw located(e, rpn[rpn.length - 1].span);
+  }
+}
+
+// ---------- Domain errors ----------
+// With ctx.strict (calc.execute), a step that turns finite numbers into NaN or ±Infinity
+// fails with a named error instead; graphs and lazy bodies keep the NaN and skip the point.
+function isZeroValue(v){
+  if (typeof v === "number") return v === 0;
+  if (isFrac(v)) return v.n === 0n;
+  if (isBig(v)) return v.m === 0n;
+  return false;
+}
+
+// the doubles in a value: a number, the value of a quantity (in SI units), the items of a list
+function numbersIn(v){
+  if (typeof v === "number") return [v];
+  if (isQty(v)) return [v.value];
+  if (isList(v)) return v.items;
+  return [];
+}
+// the k-th of them (a number or quantity is the same for every k)
+const bare = (v, k = 0)=> isList(v) ? v.items[k] : isQty(v) ? v.value : toNumber(v);
+
+function lostNumber(v, args){
+  return numbersIn(v).some(x => !Number.isFinite(x)) &&
+    args.every(x => numbersIn(x).every(Number.isFinite));
+}
+
+const tooLarge = ()=> new CalcError("OVERFLOW", "Result too large");
+
+function opDomain(op, a, b, v){
+  if ((op === "/" || op === "mod") && isZeroValue(b)) return new CalcError("DIVISION_BY_ZERO", "Division by zero");
+  if (op === "^" && isZeroValue(a)) return new CalcError("DIVISION_BY_ZERO", "Division by zero (0 to a negative power)");
+  if (!Number.isNaN(v)) return tooLarge();
+  if (op === "^") return new CalcError("DOMAIN", "Negative number to a fractional power");
+  return new CalcError("DOMAIN", "No real result");
+}
+
+function functionDomain(name, args, v){
+  const [a, b] = args;
+  const domain = (message)=> new CalcError("DOMAIN", message);
+  switch (name){
+    case "log":
+    case "ln":
+      if (b !== undefined && (b <= 0 || b === 1)) return domain("Log base must be positive and not 1");
+      if (a === 0) return domain("Log of zero");
+      if (a < 0) return domain("Log of a negative number");
+      break;
+    case "sqrt":
+      if (a < 0) return domain("Square root of a negative number");
+      break;
+    case "root":
+      if (b === 0) return domain("Zeroth root");
+      if (a < 0) return domain("Even or fractional root of a negative number");
+      break;
+    case "inv":
+      if (a === 0) return new CalcError("DIVISION_BY_ZERO", "Division by zero");
+      break;
+    case "asin":
+    case "acos":
+      return domain(`${name} needs a value from -1 to 1`);
+    case "asec":
+    case "acsc":
+      return domain(`${name} needs a value ≤ -1 or ≥ 1`);
+    case "sec":
+      return domain("sec is undefined where cos is 0");
+    case "csc":
+    case "cot":
+      return domain(`${name} is undefined where sin is 0`);
+    case "acosh":
+      return domain("acosh needs a value ≥ 1");
+    case "atanh":
+      return domain("atanh needs a value between -1 and 1");
+    case "fact":
+      if (Number.isNaN(v)) return domain("Factorial of a negative integer");
+      break;
+    case "gamma":
+      if (Number.isNaN(v)) return domain("gamma is undefined at 0 and the negative integers");
+      break;
+    case "nCr":
+    case "nPr":
+      return domain(`${name} needs whole numbers n ≥ r ≥ 0`);
+  }
+  return Number.isNaN(v) ? domain(`No real result for ${name}`) : tooLarge();
+}
+
+function checkArity(name, argc){
+  const [min, max] = FUNCTION_ARITY[name] || [1, 1];
+  const gaps = ARITY_GAPS[name];
+  if (argc >= min && argc <= max && !(gaps && gaps.includes(argc))) return;
+  const plural = (n)=> `${n} argument${n === 1 ? "" : "s"}`;
+  let want;
+  if (min === max) want = plural(min);
+  else if (gaps) want = `${min} or ${plural(max)}`;
+  else if (max === Infinity) want = "at least " + plural(min);
+  else want = `${min} ${max === min + 1 ? "or" : "to"} ${plural(max)}`;
+  throw new CalcError("ARGUMENTS", `${name} expects ${want}, got ${argc}`);
+}
+
+// the body of a lazy call as x => number, always in REAL numbers (root finding needs doubles)
+function bodyFunction(body, variable, ctx){
+  return (x)=>{
+    const locals = new Map(ctx.locals || []);
+    locals.set(variable, x);
+    return toNumber(evalRPN(body, {...ctx, numberMode:"REAL", strict:false, locals}));
+  };
+}
+
+// ctx.warnings (an array, when given) collects results that may be inaccurate
+function warn(ctx, message){
+  if (ctx.warnings) ctx.warnings.push(message);
+}
+
+const MAX_TERMS = 1e6;
+
+// the counter of sum/prod in the kind of the number mode, so sum(1/k, k, 1, 10) stays exact in FRAC
+function counter(k, numberMode){
+  if (numberMode === "FRAC") return frac(BigInt(k));
+  if (numberMode === "PREC") return big(BigInt(k));
+  if (numberMode === "PROG") return BigInt(k);
+  return k;
+}
+
+function evalLazy(t, args, ctx){
+  const f = bodyFunction(t.body, t.variable, ctx);
+  switch (t.value){
+    case "d/dx": {
+      const r = derivative(f, args[0]);
+      if (!Number.isFinite(r.value)) return NaN;
+      if (!r.converged) warn(ctx, `d/dx may be inaccurate (error ≈ ${formatNumber(r.error)})`);
+      return r.value;
+    }
+    case "integral": {
+      const r = integrate(f, args[0], args[1]);
+      if (!r.converged) warn(ctx, `integral may not have converged (error ≈ ${formatNumber(r.error)})`);
+      return r.value;
+    }
+    case "sum":
+    case "prod": {
+      const [from, to] = args;
+      if (!Number.isInteger(from) || !Number.isInteger(to)) throw new Error(`${t.value} needs whole-number limits`);
+      if (to - from >= MAX_TERMS) throw new Error(`${t.value} allows at most ${MAX_TERMS} terms`);
+      const P = ctx.precision || 50;
+      let acc = null;
+      for (let k=from;k<=to;k++){
+        const locals = new Map(ctx.locals || []);
+        locals.set(t.variable, counter(k, ctx.numberMode));
+        const v = evalRPN(t.body, {...ctx, locals});
+        acc = acc === null ? v : t.value === "sum" ? add(acc, v, P) : mul(acc, v, P);
+      }
+      // an empty range (to < from) is the empty sum 0 or the empty product 1
+      return acc ?? counter(t.value === "sum" ? 0 : 1, ctx.numberMode);
+    }
+    case "solve": {
+      // solve(eq, x) starts at the current x (or 0), solve(eq, x, guess), solve(eq, x, a, b) gives the first root in [a, b]
+      let r;
+      if (args.length === 2){
+        r = findRoots(f, Math.min(...args), Math.max(...args))[0];
+        if (!r) throw new Error(`No root in [${args.map(x => formatNumber(x)).join(", ")}]`);
+      } else {
+        const current = ctx.vars && ctx.vars.get(t.variable);
+        r = findRoot(f, args.length ? args[0] : typeof current === "number" ? current : 0);
+        if (!r.converged) throw new Error(`solve did not converge (residual ${formatNumber(r.residual)})`);
+      }
+      return r.x;
+    }
+    default: throw new CalcError("UNKNOWN_NAME", "Unknown function: " + t.value);
+  }
+}
+
+function callUserFunction(name, args, ctx){
+  const f = ctx.funcs && ctx.funcs.get(name);
+  if (!f) throw new CalcError("UNKNOWN_NAME", "Unknown function: " + name);
+  if (args.length !== f.params.length){
+    const want = f.params.length;
+    throw new CalcError("ARGUMENTS", `${name} expects ${want} argument${want === 1 ? "" : "s"}, got ${args.length}`);
+  }
+  const locals = new Map(f.params.map((p, k)=> [p, args[k]]));
+  try{
+    return evalRPN(f.rpn, {...ctx, locals});
+  } catch (e){
+    // spans in the body point into the definition, not into this line: the call gets the blame
+    const err = located(e);
+    err.span = null;
+    throw err;
+  }
+}
+
+// ---------- Statements ----------
+// A line is a plain expression, `name = expr` or a function definition `f(x, y) = expr`
+export function parseStatement(tokens){
+  // only an "=" outside parentheses: solve(x^2 = 2, x) is an expression
+  let depth = 0;
+  const eqAt = tokens.findIndex(t =>{
+    if (t.type === "paren") depth += t.value === "(" ? 1 : -1;
+    return t.type === "assign" && depth === 0;
+  });
+  if (eqAt === -1) return {kind:"expr", rpn: toRPN(tokens)};
+
+  const body = tokens.slice(eqAt + 1);
+  const head = tokens.slice(0, eqAt).filter(t => !t.implicit); // f(x) was tokenized as f * (x)
+  const target = head[0];
+  const eq = tokens[eqAt].span;
+  if (!target || !(isName(target) || target.type === "const" || target.type === "fn")){
+    throw new CalcError("SYNTAX", "Can only assign to a name", spanOf(head) || eq);
+  }
+
+  if (head.length > 1){
+    const isOpen = head[1].type === "paren" && head[1].value === "(";
+    const last = head[head.length-1];
+    if (!isOpen || !(last.type === "paren" && last.value === ")")) throw new CalcError("SYNTAX", "Can only assign to a name", spanOf(head));
+    if (target.type !== "var" && !target.user) throw new CalcError("SYNTAX", "Cannot redefine " + target.value, target.span);
+
+    const params = [];
+    const list = head.slice(2, -1);
+    for (let k=0;k<list.length;k++){
+      const p = list[k];
+      const wantName = k % 2 === 0;
+      if (wantName && !isName(p)) throw new CalcError("SYNTAX", `Bad parameter in ${target.value}: ${p.value}`, p.span);
+      if (!wantName && p.type !== "comma") throw new CalcError("SYNTAX", "Bad parameter list for " + target.value, p.span);
+      if (wantName){
+        if (params.includes(p.value)) throw new CalcError("SYNTAX", "Duplicate parameter: " + p.value, p.span);
+        params.push(p.value);
+      }
+    }
+    if (!params.length || list.length % 2 === 0) throw new CalcError("SYNTAX", "Bad parameter list for " + target.value, spanOf(head));
+    if (!body.length) throw new CalcError("SYNTAX", "Missing body for " + target.value, eq);
+    return {kind:"define", name: target.value, params, rpn: toRPN(asVariables(body, params))};
+  }
+
+  if (target.user) throw new CalcError("SYNTAX", `${target.value} is already a function`, target.span);
+  if (!isName(target)) throw new CalcError("SYNTAX", "Cannot assign to " + target.value, target.span);
+  if (!body.length) throw new CalcError("SYNTAX", "Missing value for " + target.value, eq);
+  return {kind:"assign", name: target.value, rpn: toRPN(body)};
+}
+
+// Checks a parsed definition against the calculator before it is stored:
+// every free name must be a parameter or an existing variable, and no call chain may lead back to itself
+function checkDefinition(def, calc){
+  const {name, params, rpn} = def;
+  if (calc.vars.has(name)) throw new CalcError("SYNTAX", `${name} is already a variable`);
+
+  for (const t of rpn){
+    if (t.type !== "var" || params.includes(t.value)) continue;
+    if (t.value === name) throw new CalcError("SYNTAX", `Recursive definition: ${name} calls itself`, t.span);
+    if (!calc.vars.has(t.value)){
+      throw new CalcError("UNKNOWN_NAME", `Undefined parameter ${t.value} in ${name}(${params.join(", ")})`, t.span);
+    }
+  }
+
+  const visit = (fname, path)=>{
+    const f = fname === name ? def : calc.funcs.get(fname);
+    if (!f) return;
+    for (const t of calls(f.rpn)){
+      if (!t.user) continue;
+      if (t.value === name) throw new CalcError("SYNTAX", "Recursive definition: " + [...path, name].join(" → "));
+      if (!path.includes(t.value)) visit(t.value, [...path, t.value]);
+    }
+  };
+  visit(name, [name]);
+}
+
+// function tokens of an RPN list, including those inside lazy calls
+const calls = (rpn)=> rpn.flatMap(t => t.type !== "fn" ? [] : t.lazy ? [t, ...calls(t.body)] : [t]);
+
+export function formatDefinition(f){
+  return `${f.name}(${f.params.join(", ")}) = ${f.body}`;
+}
+
+function unknownIn(tokens, calc){
+  const names = [...new Set(tokens.filter(t => t.type === "var").map(t => t.value))];
+  if (names.includes("x")) return "x";
+  const free = names.filter(n => !calc.vars.has(n));
+  if (free.length === 1) return free[0];
+  if (!free.length && names.length === 1) return names[0];
+  throw new Error(names.length ? "Which unknown? Use solve(…, x)" : "Nothing to solve for");
+}
+
+// ---------- Public API ----------
+/*
+const calc = createCalculator({mode:"RAD", ans:0});
+calc.evaluate("2sin(pi/6)")   // -> 1
+calc.evaluate("r = 3")        // -> 3, stores r in calc.vars
+calc.evaluate("pi r^2")       // -> 28.27...
+calc.evaluate("f(x) = x^2+1") // -> undefined, stores f in calc.funcs
+calc.evaluate("f(3)")         // -> 10
+calc.numberMode = "FRAC";     // exact rationals: calc.evaluate("1/3 + 1/6") -> {type:"frac", n:1n, d:2n}
+calc.numberMode = "PREC";     // big decimals with calc.precision digits: calc.evaluate("200!") is exact
+calc.numberMode = "CPLX";     // sqrt(-4) -> {type:"cplx", re:0, im:2}; i works in every mode
+calc.numberMode = "PROG";     // wordSize-bit integers (BigInt): calc.evaluate("0xFF and not 0x0F") -> 240n
+calc.compile("sin(x)/x")      // -> x => number, parsed once for graphing
+calc.solve("cos(x) = x")      // -> {variable:"x", roots:[{x:0.739..., residual, converged:true}]}
+calc.evaluate("integral(e^-(x^2), x, -inf, inf)") // -> 1.772..., calc.warnings says if it may be off
+calc.mode = "DEG";            // mode/numberMode/ans/vars/funcs are plain fields, change them any time
+*/
+export function createCalculator({mode = "DEG", numberMode = "REAL", precision = 50, wordSize = 64, signed = true, ans = 0, vars = {}} = {}){
+  const calc = {
+    mode,
+    numberMode, // REAL | FRAC | PREC | CPLX | PROG
+    precision,  // significant digits for non-integers in PREC mode
+    wordSize,   // 8 | 16 | 32 | 64 bits in PROG mode
+    signed,     // PROG mode: two's complement (true) or unsigned
+    ans,
+    vars: new Map(Object.entries(vars)),
+    funcs: new Map(), // name -> {name, params, body, rpn}
+    warnings: [],     // set by execute
+    tokenize: (expr)=> tokenize(expr, calc),
+    toRPN,
+    evalRPN: (rpn)=> evalRPN(rpn, calc),
+    // Runs one line and says what it was: {kind:"expr"|"assign"|"define", name?, value?}
+    // commit:false evaluates without storing variables or functions (used for live preview)
+    // warnings lists results of this line that may be inaccurate (an integral that did not converge)
+    // Fails with a CalcError {code, message, span}: 1/0 is DIVISION_BY_ZERO at the "/", not Infinity
+    execute(expr, {commit = true} = {}){
+      calc.warnings = [];
+      const stmt = parseStatement(tokenize(expr, calc));
+      if (stmt.kind === "define"){
+        checkDefinition(stmt, calc);
+        const body = expr.slice(expr.indexOf("=") + 1).trim();
+        if (commit) calc.funcs.set(stmt.name, {name: stmt.name, params: stmt.params, body, rpn: stmt.rpn});
+        return {kind:"define", name: stmt.name};
+      }
+      const value = evalRPN(stmt.rpn, {...calc, strict:true});
+      if (stmt.kind === "assign" && commit) calc.vars.set(stmt.name, value);
+      return {kind: stmt.kind, name: stmt.name, value, warnings: calc.warnings};
+    },
+    evaluate(expr, opts){
+      return calc.execute(expr, opts).value;
+    },
+    // Parses an expression in one variable once and returns x => number to evaluate it many
+    // times (graphing). "y = x^2" plots x^2; the result is NaN where there is no real value.
+    compile(expr, variable = "x"){
+      const stmt = parseStatement(tokenize(expr, calc));
+      if (stmt.kind === "define") throw new Error("Cannot plot a definition");
+      const run = (x)=> toNumber(evalRPN(stmt.rpn, {...calc, numberMode:"REAL", warnings: null, locals: new Map([[variable, x]])}));
+      run(1); // unknown names and bad syntax fail here, not silently at every point
+      return (x)=>{
+        try { return run(x); } catch { return NaN; }
+      };
+    },
+    // The SOLVE key: every root of an equation (or of expr = 0) in [a, b], or else the one
+    // nearest the current value of the unknown, with how well it converged.
+    // The unknown is x when the equation uses x, otherwise its only undefined name.
+    solve(expr, {variable, a = -100, b = 100} = {}){
+      const tokens = tokenize(expr, calc);
+      variable = variable || unknownIn(tokens, calc);
+      const run = bodyFunction(equationRPN(tokens, "solve"), variable, calc);
+      const f = (x)=>{
+        try { return run(x); } catch { return NaN; }
+      };
+      run(1);
+      let roots = findRoots(f, a, b);
+      if (!roots.length){
+        const current = calc.vars.get(variable);
+        roots = [findRoot(f, typeof current === "number" ? current : 0)];
+      }
+      return {variable, roots};
+    },
+  };
+  return calc;
+}
@@ -0,0 +1,31 @@
+// Structured errors for the engine (no DOM, no external libs)
+// A CalcError says what went wrong (code), in words (message) and where: span is {start, end} in
+// characters of the line given to calc.execute, end exclusive. span is null when there is no one
+// place to point at (an empty line, a failure inside the body of a user function).
+
+export const ERROR_CODES = [
+  "SYNTAX",           // Unexpected char, Mismatched parentheses, Bad expression, …
+  "UNKNOWN_NAME",     // Unknown identifier: z
+  "ARGUMENTS",        // atan2 expects 2 arguments, got 1
+  "DIVISION_BY_ZERO", // 1/0, 5 mod 0, 0^-1
+  "DOMAIN",           // Log of a negative number, Square root of a negative number, …
+  "OVERFLOW",         // 10^400, 200! outside PREC mode
+  "EVAL",             // everything else: units, lists and matrices that do not fit, …
+];
+
+export class CalcError extends Error{
+  constructor(code, message, span = null){
+    super(message);
+    this.name = "CalcError";
+    this.code = code;
+    this.span = span;
+  }
+}
+
+// any error as a CalcError (plain Errors from the value modules become EVAL), pointing at span
+// unless it already points somewhere
+export function located(e, span){
+  const err = e instanceof CalcError ? e : new CalcError("EVAL", e.message);
+  if (!err.span && span) err.span = span;
+  return err;
+}
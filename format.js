@@ -0,0 +1,90 @@
+// Display formats for real numbers: NORM, FIX n, SCI n, ENG (no DOM, no external libs)
+// A format is {mode, digits, si, group, decimal}; the value itself is never rounded, only its text.
+//   NORM     up to 12 significant digits, trailing zeros trimmed: 0.333333333333, 1e+21
+//   FIX n    n decimals: 3.14
+//   SCI n    n significant digits: 1.235×10^5
+//   ENG n    up to n significant digits (at least 3), exponent a multiple of 3: 123.5×10^3, or 123.5k with si
+// group goes between thousands (",", ".", " ", "'" or "" for none) and decimal is the mark (. or ,).
+// formatDMS shows an angle in degrees as 30°15'20" instead.
+// numberStyleFor picks group and decimal for a locale; input text always uses "." whatever the display shows.
+
+export const DISPLAY_MODES = ["NORM", "FIX", "SCI", "ENG"];
+export const NORM = {mode: "NORM", digits: 10, si: false, group: "", decimal: "."};
+
+const SI_PREFIXES = {
+  24: "Y", 21: "Z", 18: "E", 15: "P", 12: "T", 9: "G", 6: "M", 3: "k",
+  "-3": "m", "-6": "µ", "-9": "n", "-12": "p", "-15": "f", "-18": "a", "-21": "z", "-24": "y",
+};
+
+// "1234567.5" -> "1,234,567.5"; an exponent part is left alone
+function mark(text, group, decimal){
+  const [, sign, int, dec = "", rest] = text.match(/^(-?)(\d+)(?:\.(\d+))?(.*)$/);
+  const grouped = group ? int.replace(/\B(?=(\d{3})+$)/g, group) : int;
+  return sign + grouped + (dec ? decimal + dec : "") + rest;
+}
+
+// mantissa digits and exponent of x rounded to n significant digits: 1234.5, 3 -> {digits:"123", exp:3}
+function scientific(x, n){
+  const [m, e] = Math.abs(x).toExponential(n - 1).split("e");
+  return {digits: m.replace(".", ""), exp: Number(e)};
+}
+
+// the digits with the point after the first `int` of them, zero-padded: ("125", 2) -> "12.5"
+function place(digits, int){
+  const all = digits.padEnd(int, "0");
+  const dec = all.slice(int);
+  return all.slice(0, int) + (dec ? "." + dec : "");
+}
+
+const trimZeros = (s)=> s.includes(".") ? s.replace(/\.?0+$/, "") : s;
+
+export function formatReal(x, format = NORM){
+  if (!Number.isFinite(x)) return "Error";
+  if (Object.is(x, -0)) x = 0;
+  const {mode = "NORM", digits = 10, si = false, group = "", decimal = "."} = format;
+  const sign = x < 0 ? "-" : "";
+  let text;
+  if (mode === "FIX" && Math.abs(x) < 1e21){
+    text = x.toFixed(Math.min(Math.max(digits, 0), 20));
+    if (Number(text) === 0) text = text.replace("-", "");
+  } else if (mode === "SCI" || mode === "FIX"){
+    const n = Math.min(Math.max(mode === "FIX" ? digits + 1 : digits, 1), 21); // FIX past 1e21: its digits after the point
+    const {digits: d, exp} = x === 0 ? {digits: "0".repeat(n), exp: 0} : scientific(x, n);
+    text = sign + place(d, 1) + "×10^" + exp;
+  } else if (mode === "ENG"){
+    if (x === 0) return "0";
+    const n = Math.min(Math.max(digits, 3), 21); // 3 digits at least, so 123×10^3 keeps its 123
+    const {digits: d, exp} = scientific(x, n);
+    const shift = ((exp % 3) + 3) % 3;
+    const e3 = exp - shift;
+    const mantissa = sign + trimZeros(place(d, 1 + shift));
+    if (e3 === 0) text = mantissa;
+    else if (si && SI_PREFIXES[e3]) text = mantissa + SI_PREFIXES[e3];
+    else text = mantissa + "×10^" + e3;
+  } else {
+    text = Number(x.toPrecision(12)).toString();
+  }
+  return mark(text, group, decimal);
+}
+
+// degrees as degrees, minutes and seconds, seconds to 2 decimals: 30.2555... -> 30°15'20", reads back as a DMS literal
+export function formatDMS(x){
+  if (!Number.isFinite(x)) return "Error";
+  const hundredths = Math.round(Math.abs(x) * 360000);
+  const d = Math.floor(hundredths / 360000);
+  const m = Math.floor(hundredths % 360000 / 6000);
+  const s = hundredths % 6000 / 100;
+  return (x < 0 && hundredths ? "-" : "") + `${d}°${m}'${s}"`;
+}
+
+// the separators a locale writes numbers with, mapped onto the ones formatReal offers:
+// "en-US" -> {group:",", decimal:"."}, "de-DE" -> {group:".", decimal:","}, "fr-FR" -> {group:"\u202f", decimal:","}
+export function numberStyleFor(locale){
+  let parts;
+  try { parts = new Intl.NumberFormat(locale).formatToParts(1234567.5); }
+  catch { return {group: NORM.group, decimal: NORM.decimal}; }
+  const part = (type)=> parts.find(p => p.type === type)?.value ?? "";
+  const group = part("group").replace(/[ \u00a0]/g, "\u202f").replace("\u2019", "'"); // any space is the thin one the picker offers
+  const decimal = part("decimal") === "," ? "," : ".";
+  return {group: [",", ".", "\u202f", "'"].includes(group) && group !== decimal ? group : "", decimal};
+}
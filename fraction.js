@@ -0,0 +1,138 @@
+// Exact rational numbers for FRAC mode (no external libs)
+// A fraction is a plain object {type:"frac", n: BigInt, d: BigInt}, always reduced, d > 0.
+// Anything that cannot stay exact is handed back as a JS number by the caller (engine.js).
+
+import { CalcError } from "./errors.js";
+
+function gcd(a, b){
+  if (a < 0n) a = -a;
+  if (b < 0n) b = -b;
+  while (b){ [a, b] = [b, a % b]; }
+  return a;
+}
+
+function bitLength(n){
+  if (n < 0n) n = -n;
+  return n.toString(2).length;
+}
+
+export function isFrac(v){ return !!v && v.type === "frac"; }
+
+export function frac(n, d = 1n){
+  n = BigInt(n);
+  d = BigInt(d);
+  if (d === 0n) throw new CalcError("DIVISION_BY_ZERO", "Division by zero");
+  if (d < 0n){ n = -n; d = -d; }
+  const g = gcd(n, d) || 1n;
+  return {type:"frac", n: n / g, d: d / g};
+}
+
+// Exact value of a decimal literal: "0.1" -> 1/10, "2.5e-3" -> 1/400
+export function fracFromString(str){
+  const m = String(str).trim().match(/^([+-]?)(\d*)(?:\.(\d*))?(?:[eE]([+-]?\d+))?$/);
+  if (!m || (!m[2] && !m[3])) return null;
+  const [, sign, int = "", dec = "", exp = "0"] = m;
+  let n = BigInt((int + dec) || "0");
+  let d = 10n ** BigInt(dec.length);
+  const e = Number(exp);
+  if (e > 0) n *= 10n ** BigInt(e);
+  else if (e < 0) d *= 10n ** BigInt(-e);
+  return frac(sign === "-" ? -n : n, d);
+}
+
+// Exact value of a finite double as written in decimal: 0.1 -> 1/10 (not 3602879701896397/36028797018963968)
+export function fracFromNumber(x){
+  if (!Number.isFinite(x)) return null;
+  return fracFromString(String(x));
+}
+
+export function fracToNumber(f){
+  const {n, d} = f;
+  if (bitLength(n) <= 1000 && bitLength(d) <= 1000) return Number(n) / Number(d);
+  // huge parts: take a 64-bit quotient and scale it, so n/d stays finite when the value is
+  const s = bitLength(n) - bitLength(d) - 64;
+  const q = s >= 0 ? n / (d << BigInt(s)) : (n << BigInt(-s)) / d;
+  return Number(q) * Math.pow(2, s);
+}
+
+export function isInteger(f){ return f.d === 1n; }
+export function isZero(f){ return f.n === 0n; }
+
+export function fracAdd(a, b){ return frac(a.n * b.d + b.n * a.d, a.d * b.d); }
+export function fracSub(a, b){ return frac(a.n * b.d - b.n * a.d, a.d * b.d); }
+export function fracMul(a, b){ return frac(a.n * b.n, a.d * b.d); }
+export function fracDiv(a, b){ return frac(a.n * b.d, a.d * b.n); }
+export function fracNeg(a){ return {type:"frac", n: -a.n, d: a.d}; }
+export function fracCompare(a, b){
+  const l = a.n * b.d, r = b.n * a.d;
+  return l < r ? -1 : l > r ? 1 : 0;
+}
+
+// Largest r with r^k <= n (n >= 0), Newton's method on BigInt
+function intRoot(n, k){
+  if (n < 2n) return n;
+  const K = BigInt(k);
+  let x = 1n << BigInt(Math.ceil(bitLength(n) / k)); // start above the root
+  for (;;){
+    const y = ((K - 1n) * x + n / x ** (K - 1n)) / K;
+    if (y >= x) return x;
+    x = y;
+  }
+}
+
+// Exact kth root or null when the result is irrational (sqrt(2)) or not real (root(-4, 2))
+export function fracRoot(a, k){
+  if (!Number.isInteger(k) || k < 1) return null;
+  const neg = a.n < 0n;
+  if (neg && k % 2 === 0) return null;
+  const n = neg ? -a.n : a.n;
+  const rn = intRoot(n, k), rd = intRoot(a.d, k);
+  if (rn ** BigInt(k) !== n || rd ** BigInt(k) !== a.d) return null;
+  return frac(neg ? -rn : rn, rd);
+}
+
+const MAX_EXACT_BITS = 100000;
+
+// a^b with b rational: exact for integer b, and for b = p/q when a has an exact qth root.
+// Returns null when the caller should fall back to floating point.
+export function fracPow(a, b){
+  if (b.d !== 1n){
+    if (b.d > 64n) return null;
+    const r = fracRoot(a, Number(b.d));
+    return r ? fracPow(r, frac(b.n)) : null;
+  }
+  let k = b.n;
+  if (k === 0n) return frac(1n);
+  if (isZero(a)) return k < 0n ? null : frac(0n);
+  let base = a;
+  if (k < 0n){ base = frac(a.d, a.n); k = -k; }
+  if (bitLength(base.n) * Number(k) > MAX_EXACT_BITS || bitLength(base.d) * Number(k) > MAX_EXACT_BITS) return null;
+  return {type:"frac", n: base.n ** k, d: base.d ** k};
+}
+
+// "7/2", or "3 1/2" when mixed; integers print without a denominator
+export function formatFraction(f, {mixed = false} = {}){
+  if (f.d === 1n) return f.n.toString();
+  if (!mixed || -f.d < f.n && f.n < f.d) return `${f.n}/${f.d}`;
+  const neg = f.n < 0n;
+  const n = neg ? -f.n : f.n;
+  return `${neg ? "-" : ""}${n / f.d} ${n % f.d}/${f.d}`;
+}
+
+// Best rational p/q (q <= maxDen) for a double via continued fractions, or null if none is
+// within 1e-12 relative: 0.75 -> 3/4, 0.333333333333 -> 1/3, pi -> null
+export function fracApprox(x, maxDen = 100000){
+  if (!Number.isFinite(x)) return null;
+  if (Number.isInteger(x)) return frac(BigInt(x));
+  let h0 = 0, h1 = 1, k0 = 1, k1 = 0, v = x;
+  for (let i=0;i<64;i++){
+    const a = Math.floor(v);
+    [h0, h1] = [h1, a * h1 + h0];
+    [k0, k1] = [k1, a * k1 + k0];
+    if (k1 > maxDen) return null;
+    if (Math.abs(x - h1 / k1) <= 1e-12 * Math.abs(x)) return frac(BigInt(h1), BigInt(k1));
+    v = 1 / (v - a);
+    if (!Number.isFinite(v)) break;
+  }
+  return null;
+}
@@ -0,0 +1,236 @@
+// Function graphing on a canvas (no external libs)
+// createGraph(canvas) draws compiled functions (calc.compile) and handles pan/zoom/trace with
+// pointer events, so mouse and touch work the same. sampleFunction and niceStep do not touch the DOM.
+
+import { formatNumber } from "./engine.js";
+
+export const GRAPH_COLORS = ["#2ee59d", "#7c5cff", "#ff4d7d", "#ffd166", "#4cc9f0", "#f72585"];
+
+// n+1 samples of f on [x0, x1] as polylines [[x, y], ...]. A line breaks where f has no value
+// and where it jumps by more than `jump` with a midpoint outside the two ends (tan at 90°),
+// which a steep but continuous curve (x^9) never has.
+export function sampleFunction(f, x0, x1, n, jump = Infinity){
+  const segments = [];
+  let seg = [];
+  let prev = null;
+  for (let k=0;k<=n;k++){
+    const x = x0 + (x1 - x0) * k / n;
+    const y = f(x);
+    if (!Number.isFinite(y)){
+      if (seg.length) segments.push(seg);
+      seg = [];
+      prev = null;
+      continue;
+    }
+    if (prev && Math.abs(y - prev[1]) > jump){
+      const ym = f((prev[0] + x) / 2);
+      if (!Number.isFinite(ym) || ym < Math.min(prev[1], y) || ym > Math.max(prev[1], y)){
+        segments.push(seg);
+        seg = [];
+      }
+    }
+    seg.push([x, y]);
+    prev = [x, y];
+  }
+  if (seg.length) segments.push(seg);
+  return segments;
+}
+
+// grid spacing of 1, 2 or 5 × 10^k giving roughly `lines` lines over span
+export function niceStep(span, lines = 8){
+  const raw = span / lines;
+  const p = Math.pow(10, Math.floor(Math.log10(raw)));
+  const m = raw / p;
+  return (m < 1.5 ? 1 : m < 3.5 ? 2 : m < 7.5 ? 5 : 10) * p;
+}
+
+const label = (x)=> formatNumber(Number(x.toPrecision(10)));
+
+// onTrace(x, points) is called with the traced x and [{label, color, y}] (null when the trace leaves)
+export function createGraph(canvas, {onTrace = ()=>{}} = {}){
+  const ctx = canvas.getContext && canvas.getContext("2d");
+  let fns = [];             // {f, color, label}
+  let view = {x0:-10, x1:10, y0:-6, y1:6};
+  let traceX = null;
+  const pointers = new Map(); // pointerId -> {x, y} in CSS pixels
+  let moved = false;
+
+  const size = ()=> ({w: canvas.clientWidth || canvas.width, h: canvas.clientHeight || canvas.height});
+  const toPx = (x, y, w, h)=> [(x - view.x0) / (view.x1 - view.x0) * w, (view.y1 - y) / (view.y1 - view.y0) * h];
+  const toX = (px, w)=> view.x0 + px / w * (view.x1 - view.x0);
+  const toY = (py, h)=> view.y1 - py / h * (view.y1 - view.y0);
+
+  function draw(){
+    if (!ctx) return;
+    const {w, h} = size();
+    const dpr = (typeof window !== "undefined" && window.devicePixelRatio) || 1;
+    if (canvas.width !== Math.round(w * dpr) || canvas.height !== Math.round(h * dpr)){
+      canvas.width = Math.round(w * dpr);
+      canvas.height = Math.round(h * dpr);
+    }
+    ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+    ctx.clearRect(0, 0, w, h);
+    drawGrid(w, h);
+
+    // clamp far-off points so huge values (tan near 90°) still draw as lines off the edge
+    const clampY = (py)=> Math.max(-10 * h, Math.min(11 * h, py));
+    ctx.lineWidth = 2;
+    ctx.lineJoin = "round";
+    for (const fn of fns){
+      ctx.strokeStyle = fn.color;
+      ctx.beginPath();
+      for (const seg of sampleFunction(fn.f, view.x0, view.x1, Math.ceil(w), view.y1 - view.y0)){
+        seg.forEach(([x, y], k)=>{
+          const [px, py] = toPx(x, y, w, h);
+          if (k === 0) ctx.moveTo(px, clampY(py));
+          else ctx.lineTo(px, clampY(py));
+        });
+      }
+      ctx.stroke();
+    }
+    drawTrace(w, h);
+  }
+
+  function drawGrid(w, h){
+    ctx.font = "11px ui-sans-serif, system-ui, sans-serif";
+    ctx.lineWidth = 1;
+    const sx = niceStep(view.x1 - view.x0, w / 70);
+    const sy = niceStep(view.y1 - view.y0, h / 50);
+    const [ox, oy] = toPx(0, 0, w, h);
+    const axisX = Math.min(Math.max(ox, 2), w - 30); // labels stay on screen when the axis is off it
+    const axisY = Math.min(Math.max(oy, 12), h - 4);
+
+    ctx.strokeStyle = "rgba(255,255,255,.07)";
+    ctx.fillStyle = "rgba(154,166,196,.9)";
+    ctx.beginPath();
+    for (let x = Math.ceil(view.x0 / sx) * sx; x <= view.x1; x += sx){
+      const [px] = toPx(x, 0, w, h);
+      ctx.moveTo(px, 0);
+      ctx.lineTo(px, h);
+      if (Math.abs(x) > sx / 2) ctx.fillText(label(x), px + 3, axisY - 3);
+    }
+    for (let y = Math.ceil(view.y0 / sy) * sy; y <= view.y1; y += sy){
+      const [, py] = toPx(0, y, w, h);
+      ctx.moveTo(0, py);
+      ctx.lineTo(w, py);
+      if (Math.abs(y) > sy / 2) ctx.fillText(label(y), axisX + 3, py - 3);
+    }
+    ctx.stroke();
+
+    ctx.strokeStyle = "rgba(255,255,255,.35)";
+    ctx.beginPath();
+    ctx.moveTo(ox, 0);
+    ctx.lineTo(ox, h);
+    ctx.moveTo(0, oy);
+    ctx.lineTo(w, oy);
+    ctx.stroke();
+  }
+
+  function drawTrace(w, h){
+    if (traceX == null) return;
+    const [px] = toPx(traceX, 0, w, h);
+    ctx.strokeStyle = "rgba(255,255,255,.35)";
+    ctx.setLineDash([4, 4]);
+    ctx.beginPath();
+    ctx.moveTo(px, 0);
+    ctx.lineTo(px, h);
+    ctx.stroke();
+    ctx.setLineDash([]);
+    for (const p of tracePoints()){
+      if (!Number.isFinite(p.y)) continue;
+      const [, py] = toPx(traceX, p.y, w, h);
+      ctx.fillStyle = p.color;
+      ctx.beginPath();
+      ctx.arc(px, py, 4, 0, 2 * Math.PI);
+      ctx.fill();
+    }
+  }
+
+  const tracePoints = ()=> fns.map(fn => ({label: fn.label, color: fn.color, y: fn.f(traceX)}));
+
+  function setTrace(px){
+    traceX = px == null ? null : toX(px, size().w);
+    onTrace(traceX, traceX == null ? null : tracePoints());
+    draw();
+  }
+
+  // zoom by factor k around the point (px, py); k < 1 zooms in
+  function zoom(k, px, py){
+    const {w, h} = size();
+    const x = toX(px, w), y = toY(py, h);
+    view = {x0: x + (view.x0 - x) * k, x1: x + (view.x1 - x) * k, y0: y + (view.y0 - y) * k, y1: y + (view.y1 - y) * k};
+  }
+
+  function pan(dx, dy){
+    const {w, h} = size();
+    const ux = dx / w * (view.x1 - view.x0), uy = dy / h * (view.y1 - view.y0);
+    view = {x0: view.x0 - ux, x1: view.x1 - ux, y0: view.y0 + uy, y1: view.y1 + uy};
+  }
+
+  const local = (ev)=>{
+    const r = canvas.getBoundingClientRect();
+    return {x: ev.clientX - r.left, y: ev.clientY - r.top};
+  };
+
+  canvas.addEventListener("pointerdown", (ev)=>{
+    canvas.setPointerCapture && canvas.setPointerCapture(ev.pointerId);
+    pointers.set(ev.pointerId, local(ev));
+    moved = false;
+  });
+  canvas.addEventListener("pointermove", (ev)=>{
+    const p = local(ev);
+    const last = pointers.get(ev.pointerId);
+    if (!last){
+      if (ev.pointerType === "mouse") setTrace(p.x); // hover traces
+      return;
+    }
+    if (pointers.size === 1){
+      if (Math.hypot(p.x - last.x, p.y - last.y) > 0) moved = true;
+      pan(p.x - last.x, p.y - last.y);
+    } else if (pointers.size === 2){
+      // pinch: zoom by the change in finger distance around their midpoint
+      const other = [...pointers].find(([id])=> id !== ev.pointerId)[1];
+      const before = Math.hypot(last.x - other.x, last.y - other.y);
+      const after = Math.hypot(p.x - other.x, p.y - other.y);
+      if (before > 0 && after > 0) zoom(before / after, (p.x + other.x) / 2, (p.y + other.y) / 2);
+      moved = true;
+    }
+    pointers.set(ev.pointerId, p);
+    if (ev.pointerType === "mouse") setTrace(p.x);
+    else draw();
+  });
+  const release = (ev)=>{
+    if (!pointers.has(ev.pointerId)) return;
+    pointers.delete(ev.pointerId);
+    if (!moved) setTrace(local(ev).x); // a tap traces on touch screens
+  };
+  canvas.addEventListener("pointerup", release);
+  canvas.addEventListener("pointercancel", (ev)=> pointers.delete(ev.pointerId));
+  canvas.addEventListener("pointerleave", (ev)=>{
+    if (ev.pointerType === "mouse" && !pointers.size) setTrace(null);
+  });
+  canvas.addEventListener("wheel", (ev)=>{
+    ev.preventDefault();
+    const p = local(ev);
+    zoom(Math.pow(1.0015, ev.deltaY), p.x, p.y);
+    draw();
+  }, {passive:false});
+
+  if (typeof ResizeObserver !== "undefined") new ResizeObserver(()=> draw()).observe(canvas);
+
+  return {
+    setFunctions(list){
+      fns = list;
+      if (traceX != null) onTrace(traceX, tracePoints());
+      draw();
+    },
+    // x range centred on 0; y range follows the canvas aspect unless given
+    resetView(xSpan = 20, ySpan){
+      const {w, h} = size();
+      const ys = ySpan ?? xSpan * (h / w || 0.6);
+      view = {x0: -xSpan / 2, x1: xSpan / 2, y0: -ys / 2, y1: ys / 2};
+      draw();
+    },
+    draw,
+  };
+}
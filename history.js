@@ -0,0 +1,174 @@
+// History entries and the saved session (no DOM, no external libs)
+// An entry is {id, expr, result, time, pinned, starred}; the newest comes first. Pinned entries are
+// listed above the rest, starred ones can be filtered on; neither is dropped by the size limit or CLR-H.
+// The session (settings, Ans, history) lives in localStorage as JSON; exact values keep their BigInts.
+
+export const STORAGE_KEY = "neonCalc.session";
+export const HISTORY_LIMITS = [0, 50, 200, 1000]; // 0 = unlimited
+
+let lastId = 0;
+function nextId(time){
+  lastId = Math.max(lastId + 1, time);
+  return lastId;
+}
+
+export function createEntry(expr, result, time = Date.now()){
+  return {id: nextId(time), expr, result, time, pinned: false, starred: false};
+}
+
+const kept = (e)=> e.pinned || e.starred;
+
+// newest first; past the limit the oldest entries that are neither pinned nor starred go
+export function addEntry(entries, entry, limit = 0){
+  return trimHistory([entry, ...entries], limit);
+}
+
+export function trimHistory(entries, limit = 0){
+  let extra = limit > 0 ? entries.length - limit : 0;
+  if (extra <= 0) return entries;
+  const out = [];
+  for (let k=entries.length-1;k>=0;k--){
+    if (extra > 0 && !kept(entries[k])) extra--;
+    else out.unshift(entries[k]);
+  }
+  return out;
+}
+
+// CLR-H: pinned and starred entries stay
+export function clearHistory(entries){ return entries.filter(kept); }
+
+// every word of the query in the expression or the result, case-insensitive
+export function searchHistory(entries, query = "", starredOnly = false){
+  const words = query.toLowerCase().split(/\s+/).filter(Boolean);
+  return entries.filter(e => (!starredOnly || e.starred) &&
+    words.every(w => e.expr.toLowerCase().includes(w) || e.result.toLowerCase().includes(w)));
+}
+
+// local calendar day, "2024-05-31"
+export function dayKey(time){
+  const d = new Date(time);
+  const pad = (n)=> String(n).padStart(2, "0");
+  return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`;
+}
+
+// [{day, entries}] newest day first, pinned entries in a group of their own (day "pinned") on top
+export function groupByDay(entries){
+  const groups = [];
+  const pinned = entries.filter(e => e.pinned);
+  if (pinned.length) groups.push({day: "pinned", entries: pinned});
+  for (const e of entries){
+    if (e.pinned) continue;
+    const day = dayKey(e.time);
+    const last = groups[groups.length-1];
+    if (last && last.day === day) last.entries.push(e);
+    else groups.push({day, entries: [e]});
+  }
+  return groups;
+}
+
+// ---------- Export / import ----------
+const CSV_COLUMNS = ["time", "expr", "result", "pinned", "starred"];
+
+export function historyToJSON(entries){
+  return JSON.stringify(entries.map(({expr, result, time, pinned, starred})=>
+    ({time: new Date(time).toISOString(), expr, result, pinned, starred})), null, 2);
+}
+
+function csvCell(v){
+  const s = String(v);
+  return /[",\r\n]/.test(s) ? `"${s.replaceAll('"', '""')}"` : s;
+}
+
+export function historyToCSV(entries){
+  const rows = entries.map(e => [new Date(e.time).toISOString(), e.expr, e.result, e.pinned, e.starred]);
+  return [CSV_COLUMNS, ...rows].map(row => row.map(csvCell).join(",")).join("\r\n") + "\r\n";
+}
+
+// RFC 4180: quoted cells may hold commas, "" and line breaks
+function parseCSV(text){
+  const rows = [[]];
+  let cell = "", quoted = false;
+  for (let i=0;i<text.length;i++){
+    const c = text[i];
+    if (quoted){
+      if (c === '"' && text[i+1] === '"'){
+        cell += '"';
+        i++;
+      } else if (c === '"') quoted = false;
+      else cell += c;
+    } else if (c === '"') quoted = true;
+    else if (c === ","){
+      rows[rows.length-1].push(cell);
+      cell = "";
+    } else if (c === "\n" || c === "\r"){
+      if (c === "\r" && text[i+1] === "\n") i++;
+      rows[rows.length-1].push(cell);
+      cell = "";
+      rows.push([]);
+    } else cell += c;
+  }
+  rows[rows.length-1].push(cell);
+  return rows.filter(row => row.some(c => c !== ""));
+}
+
+function toEntry(r){
+  if (typeof r.expr !== "string" || !r.expr.trim()) throw new Error("Every entry needs an expression");
+  const time = r.time == null || r.time === "" ? Date.now() : new Date(r.time).getTime();
+  if (Number.isNaN(time)) throw new Error("Bad time: " + r.time);
+  const flag = (v)=> v === true || v === "true" || v === "1";
+  return {...createEntry(r.expr, String(r.result ?? ""), time), pinned: flag(r.pinned), starred: flag(r.starred)};
+}
+
+// a JSON array or a CSV file with a header row (as exported above) -> entries, newest first
+export function parseHistory(text){
+  const s = text.replace(/^\uFEFF/, "").trim();
+  if (!s) return [];
+  let records;
+  if (s[0] === "[" || s[0] === "{"){
+    let data;
+    try { data = JSON.parse(s); } catch { throw new Error("Not valid JSON"); }
+    records = Array.isArray(data) ? data : data.history;
+    if (!Array.isArray(records)) throw new Error("Expected a list of history entries");
+  } else {
+    const [head, ...rows] = parseCSV(s);
+    const cols = head.map(h => h.trim().toLowerCase());
+    if (!cols.includes("expr")) throw new Error("CSV needs an expr column");
+    records = rows.map(row => Object.fromEntries(cols.map((c, k)=> [c, row[k] ?? ""])));
+  }
+  return records.map(toEntry).sort((a, b)=> b.time - a.time);
+}
+
+// imported entries join the list; one with the same time, expression and result is already there
+export function mergeHistory(entries, imported){
+  const key = (e)=> `${e.time}\u0000${e.expr}\u0000${e.result}`;
+  const seen = new Set(entries.map(key));
+  return [...entries, ...imported.filter(e => !seen.has(key(e)))].sort((a, b)=> b.time - a.time);
+}
+
+// ---------- Saved session ----------
+// BigInts (fractions, PREC and PROG values) have no JSON form of their own
+const replacer = (_, v)=> typeof v === "bigint" ? {$bigint: v.toString()} : v;
+const reviver = (_, v)=> v && typeof v === "object" && typeof v.$bigint === "string" ? BigInt(v.$bigint) : v;
+
+// storage is window.localStorage (or anything with getItem/setItem); false when it refuses (private mode, full)
+export function saveSession(storage, session){
+  try {
+    storage.setItem(STORAGE_KEY, JSON.stringify(session, replacer));
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+export function loadSession(storage){
+  try {
+    const text = storage.getItem(STORAGE_KEY);
+    const session = text ? JSON.parse(text, reviver) : null;
+    if (session && Array.isArray(session.history)){
+      lastId = Math.max(lastId, ...session.history.map(e => e.id || 0));
+    }
+    return session;
+  } catch {
+    return null;
+  }
+}
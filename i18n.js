@@ -0,0 +1,432 @@
+// UI messages in Thai and English (no DOM, no external libs)
+// Keys are dotted names ("hint.cleared"); {name} in a message is filled from params.
+// A key missing in a language falls back to Thai, then to the key itself.
+// Engine error messages stay English; only their labels ("error.DOMAIN") are translated.
+
+export const LANGUAGES = ["th", "en"];
+// used for dates and times in History and for the "auto" number style, unless the browser names a region (see localeFor)
+export const LOCALES = {th: "th-TH", en: "en-US"};
+
+export const MESSAGES = {
+  th: {
+    "error.SYNTAX": "นิพจน์ไม่ถูกต้อง",
+    "error.UNKNOWN_NAME": "ไม่รู้จักชื่อนี้",
+    "error.ARGUMENTS": "จำนวนอาร์กิวเมนต์ไม่ถูกต้อง",
+    "error.DIVISION_BY_ZERO": "หารด้วยศูนย์",
+    "error.DOMAIN": "อยู่นอกโดเมน",
+    "error.OVERFLOW": "ผลลัพธ์ใหญ่เกินไป",
+    "error.EVAL": "คำนวณไม่ได้",
+
+    "hint.ready": "พร้อมใช้งาน",
+    "hint.keyboard": "เคล็ดลับ: ใช้คีย์บอร์ดได้ • Enter = = • Backspace = ลบ • Esc = AC",
+    "hint.language": "ภาษา: ไทย",
+    "hint.digitNotInBase": "ใช้ {digit} ในฐาน {base} ไม่ได้",
+    "hint.percentChange": "%Δ(ค่าเดิม, ค่าใหม่) = เปอร์เซ็นต์การเปลี่ยนแปลง",
+    "hint.percentFirst": "พิมพ์ตัวเลขก่อนกด %",
+    "hint.cleared": "ล้างแล้ว",
+    "hint.functionDefined": "กำหนดฟังก์ชัน {name} แล้ว",
+    "hint.variableSet": "ตั้งค่า {name} แล้ว",
+    "hint.inaccurate": "คำตอบอาจไม่แม่นยำ: {warnings}",
+    "hint.invalid": "นิพจน์ไม่ถูกต้อง",
+    "hint.calculated": "คำนวณแล้ว",
+    "hint.solveFirst": "พิมพ์สมการก่อน เช่น x^3-2x-5=0 หรือ cos(x)=x แล้วกด SOLVE",
+    "hint.notConverged": "ไม่ลู่เข้า: {variable} ≈ {x} (residual {residual})",
+    "hint.rootsFound": "พบ {n} ราก ใน [-100, 100]",
+    "hint.converged": "ลู่เข้าแล้ว",
+    "hint.residual": "residual {residual}",
+    "result.noSolution": "ไม่มีคำตอบ",
+    "hint.cannotSolve": "แก้สมการไม่ได้",
+    "hint.resultInserted": "แทรกผลลัพธ์จาก History แล้ว",
+    "hint.exprInserted": "แทรกนิพจน์จาก History แล้ว",
+    "hint.entryDeleted": "ลบรายการแล้ว",
+    "hint.nothingToExport": "ยังไม่มีประวัติให้ส่งออก",
+    "hint.exported": "ส่งออก {n} รายการเป็น {format} แล้ว",
+    "hint.imported": "นำเข้า {n} รายการจาก {file} แล้ว",
+    "hint.importFailed": "นำเข้าไม่ได้: {message}",
+    "hint.nothingToUndo": "ไม่มีอะไรให้เลิกทำ",
+    "hint.undone": "เลิกทำแล้ว",
+    "hint.nothingToRedo": "ไม่มีอะไรให้ทำซ้ำ",
+    "hint.redone": "ทำซ้ำแล้ว",
+    "hint.unitInserted": "แทรกหน่วย {name} แล้ว",
+    "hint.statOn": "STAT: ใส่ข้อมูลในตาราง ใช้ mean(xs), stdev(xs) ได้",
+    "hint.statOff": "ปิดตารางสถิติ",
+    "hint.pasteEmpty": "ไม่พบตัวเลขในข้อมูลที่วาง",
+    "hint.pasted": "วางข้อมูลแล้ว {n} แถว",
+    "hint.inserted": "แทรก {name} แล้ว",
+    "hint.variableDeleted": "ลบตัวแปร {name} แล้ว",
+    "hint.functionDeleted": "ลบฟังก์ชัน {name} แล้ว",
+    "hint.editing": "แก้ไข {name} แล้วกด SET",
+    "hint.defineFormat": "ใช้รูปแบบ ชื่อ = ค่า หรือ f(x) = สูตร",
+    "hint.defineFailed": "กำหนดไม่ได้: {message}",
+    "hint.mode": "โหมด {mode}",
+    "hint.fracMode": "โหมดเศษส่วน: + − × ÷ ^ คำนวณแบบแม่นยำ • S⇔D สลับการแสดงผล",
+    "hint.precMode": "โหมดความแม่นยำสูง {digits} หลัก • S⇔D สลับเต็ม ↔ วิทยาศาสตร์",
+    "hint.cplxMode": "โหมดจำนวนเชิงซ้อน: sqrt(-4) = 2i • 2nd + e = i",
+    "hint.progMode": "โหมดโปรแกรมเมอร์ {bits}-bit {sign} • ฐาน {base}",
+    "hint.realMode": "โหมดทศนิยม",
+    "hint.precision": "ความแม่นยำ {digits} หลัก",
+    "hint.base": "ฐาน {base}",
+    "hint.signed": "มีเครื่องหมาย (two's complement)",
+    "hint.unsigned": "ไม่มีเครื่องหมาย",
+    "hint.wordSize": "ขนาดเวิร์ด {bits}-bit",
+    "sign.signed": "มีเครื่องหมาย",
+    "sign.unsigned": "ไม่มีเครื่องหมาย",
+    "hint.fullNotation": "แสดงตัวเลขเต็ม",
+    "hint.sciNotation": "แสดงแบบวิทยาศาสตร์",
+    "hint.noFraction": "แปลงเป็นเศษส่วนไม่ได้",
+    "hint.showFrac": "แสดงเป็นเศษส่วน",
+    "hint.showMixed": "แสดงเป็นจำนวนคละ",
+    "hint.showDec": "แสดงเป็นทศนิยม",
+    "hint.dmsRealOnly": "แสดงเป็นองศา ลิปดา ฟิลิปดาได้เฉพาะจำนวนจริง",
+    "hint.showDMS": "แสดงเป็นองศา ลิปดา ฟิลิปดา (DMS)",
+    "hint.polar": "แสดงจำนวนเชิงซ้อนแบบเชิงขั้ว r∠θ",
+    "hint.rectangular": "แสดงจำนวนเชิงซ้อนแบบ a+bi",
+    "hint.displayFormat": "แสดงผลแบบ {format} • {sample}",
+    "hint.normal": "ปกติ",
+    "hint.secondOn": "2nd เปิด: trig กลายเป็น inverse, e กลายเป็น i, , กลายเป็น =, % กลายเป็น %Δ",
+    "hint.secondOff": "2nd ปิด",
+    "hint.hypOn": "HYP เปิด: sin/cos/tan กลายเป็น sinh/cosh/tanh (ร่วมกับ 2nd: asinh/acosh/atanh)",
+    "hint.hypOff": "HYP ปิด",
+    "hint.typingOn": "ABC เปิด: พิมพ์ชื่อได้ทุกตัวอักษร • Tab เติมชื่อ • ↑/↓ เลือก",
+    "hint.typingOff": "ABC ปิด: p = π, a = Ans, r = √",
+    "hint.pastedExpr": "วางนิพจน์แล้ว",
+    "hint.ansCleared": "ล้าง Ans แล้ว",
+    "hint.statCleared": "ล้างข้อมูลสถิติแล้ว",
+    "hint.pickTargetUnit": "เลือกหน่วยปลายทางจากรายการหน่วย",
+    "hint.plotFirst": "พิมพ์นิพจน์ที่มี x ก่อน เช่น sin(x)/x",
+    "hint.plotted": "เพิ่มลงกราฟแล้ว",
+    "hint.historyCleared": "ล้าง History แล้ว",
+    "hint.historyClearedKept": "ล้าง History แล้ว (เก็บรายการที่ปักหมุด/ติดดาวไว้)",
+
+    "history.sub": "คลิกนิพจน์หรือผลลัพธ์เพื่อแทรก • ☆ ติดดาว • 📌 ปักหมุด • × ลบ",
+    "history.search": "ค้นหาใน History",
+    "history.noMatch": "ไม่พบรายการที่ตรงกัน",
+    "history.tryOther": "ลองคำค้นอื่น",
+    "history.empty": "ยังไม่มีประวัติ",
+    "history.start": "เริ่มคำนวณได้เลย",
+    "history.pinned": "📌 ปักหมุด",
+    "history.today": "วันนี้",
+    "history.yesterday": "เมื่อวาน",
+    "history.insertExpr": "แทรกนิพจน์",
+    "history.insertResult": "แทรกผลลัพธ์",
+    "history.star": "ติดดาว",
+    "history.unstar": "เลิกติดดาว",
+    "history.pin": "ปักหมุด",
+    "history.unpin": "เลิกปักหมุด",
+    "history.delete": "ลบรายการนี้",
+    "history.starredOnly": "แสดงเฉพาะที่ติดดาว",
+    "history.limit": "จำนวนรายการที่เก็บไว้ (ไม่นับที่ปักหมุด/ติดดาว)",
+    "history.unlimited": "ไม่จำกัด",
+    "history.entries": "{n} รายการ",
+    "history.exportJSON": "ส่งออกเป็น JSON",
+    "history.exportCSV": "ส่งออกเป็น CSV",
+    "history.importTitle": "นำเข้าจากไฟล์ JSON หรือ CSV",
+    "history.import": "นำเข้า",
+
+    "vars.sub": "คลิกเพื่อแทรก • ✎ แก้ไข • × ลบ",
+    "vars.placeholder": "r = 3.5 หรือ f(x) = x^2 + 1",
+    "vars.empty": "ยังไม่มีตัวแปรหรือฟังก์ชัน",
+    "vars.example": "ลอง r = 3.5 หรือ f(x) = x^2 + 1",
+    "vars.delete": "ลบ {name}",
+    "vars.edit": "แก้ไข {name}",
+
+    "unit.pick": "หน่วย…",
+    "unit.to": "แปลงหน่วย เช่น 5 km to ft",
+    "unit.length": "ความยาว",
+    "unit.mass": "มวล",
+    "unit.time": "เวลา",
+    "unit.temperature": "อุณหภูมิ",
+    "unit.speed": "ความเร็ว",
+    "unit.pressure": "ความดัน",
+    "unit.energy": "พลังงาน",
+    "unit.force": "แรง",
+    "unit.power": "กำลัง",
+    "unit.area": "พื้นที่",
+    "unit.volume": "ปริมาตร",
+    "unit.frequency": "ความถี่",
+
+    "graph.sub": "ลากเพื่อเลื่อน • ล้อเมาส์หรือสองนิ้วเพื่อซูม • ชี้หรือแตะเพื่อ trace",
+    "graph.placeholder": "เช่น tan(x) หรือ a x^2",
+    "graph.delete": "ลบฟังก์ชัน",
+    "graph.readout": "ชี้บนกราฟเพื่ออ่านค่า (x, y)",
+    "graph.plotTitle": "พล็อตนิพจน์บนจอ (ตัวแปร x)",
+    "graph.plot": "พล็อตนิพจน์",
+    "graph.add": "+ ฟังก์ชัน",
+    "graph.reset": "รีเซ็ตมุมมอง",
+
+    "stat.sub": "พิมพ์หรือวางข้อมูลจาก CSV/Excel ลงในตาราง • ใช้ในนิพจน์ได้เป็น xs และ ys เช่น mean(xs)",
+    "stat.empty": "ใส่ข้อมูลอย่างน้อย 1 ค่า (หรือวางจาก CSV)",
+    "stat.equation": "สมการ",
+    "stat.mean": "ค่าเฉลี่ย",
+    "stat.sample": "s (ตัวอย่าง)",
+    "stat.population": "σ (ประชากร)",
+    "stat.min": "ต่ำสุด",
+    "stat.median": "มัธยฐาน",
+    "stat.max": "สูงสุด",
+    "stat.mode": "ฐานนิยม",
+    "stat.regression": "การถดถอย",
+    "stat.deleteRow": "ลบแถว",
+    "stat.addRow": "+ แถว",
+    "stat.clear": "ล้างข้อมูล",
+    "stat.linear": "เชิงเส้น",
+    "stat.exp": "เอกซ์โพเนนเชียล",
+    "stat.log": "ลอการิทึม",
+    "stat.power": "กำลัง",
+
+    "title.grad": "เกรเดียน (400ᵍ = 1 รอบ)",
+    "title.base": "ฐานเลข (โหมด PROG)",
+    "title.prog": "โหมดโปรแกรมเมอร์ (จำนวนเต็ม, bitwise)",
+    "title.wordSize": "ขนาด word ในโหมด PROG",
+    "title.signed": "มีเครื่องหมาย (two's complement) / ไม่มีเครื่องหมาย",
+    "title.hyp": "ไฮเพอร์โบลิก: sin → sinh (ร่วมกับ 2nd: asinh)",
+    "title.abc": "พิมพ์ชื่อฟังก์ชัน ค่าคงที่ และตัวแปรเองได้ (Tab เติมชื่อให้ครบ)",
+    "title.frac": "เศษส่วนแบบแม่นยำ",
+    "title.prec": "ความแม่นยำสูง (จำนวนเต็มไม่จำกัด)",
+    "title.cplx": "จำนวนเชิงซ้อน (i)",
+    "title.stat": "สถิติ: ตารางข้อมูลและ regression",
+    "title.precDigits": "จำนวนหลักในโหมด PREC",
+    "title.digits": "{n} หลัก",
+    "title.displayMode": "รูปแบบการแสดงผล: ปกติ, ทศนิยมคงที่, วิทยาศาสตร์, วิศวกรรม",
+    "title.displayDigits": "FIX: จำนวนตำแหน่งทศนิยม • SCI/ENG: จำนวนเลขนัยสำคัญ",
+    "title.si": "คำนำหน้า SI ในโหมด ENG (k, M, µ …)",
+    "title.numberStyle": "ตัวคั่นหลักพันและจุดทศนิยม",
+    "style.auto": "อัตโนมัติ ({sample})",
+    "title.clearHistory": "ล้างประวัติ (ยกเว้นที่ปักหมุด/ติดดาว)",
+    "title.language": "ภาษา",
+    "title.undo": "เลิกทำ (Ctrl+Z)",
+    "title.redo": "ทำซ้ำ (Ctrl+Y)",
+    "title.sd": "สลับเศษส่วน ↔ ทศนิยม",
+    "title.polar": "สลับ a+bi ↔ r∠θ",
+    "title.percent": "200 + 10% = 220, 200 × 10% = 20 (2nd: %Δ เปอร์เซ็นต์การเปลี่ยนแปลง)",
+    "title.ee": "ยกกำลังสิบ เช่น 6.02ᴇ23 (= 6.02×10^23)",
+    "title.solve": "หาค่า x ที่ทำให้สมการเป็นจริง",
+    "title.degree": "องศา: 90° หรือ 30°15'20\" (2nd: เรเดียน 1.2ʳ; 100ᵍ to ° แปลงหน่วยมุม)",
+    "title.minute": "ลิปดา (2nd: เกรเดียน 100ᵍ)",
+    "title.second": "ฟิลิปดา",
+    "title.dms": "แสดงผลลัพธ์เป็นองศา ลิปดา ฟิลิปดา และกลับเป็นทศนิยม",
+
+    "footer": "รองรับ: (), ^, √, sin/cos/tan, sinh/cosh/tanh (HYP), sec/csc/cot, log/ln, factorial, log(x, b), root, atan2, nCr/nPr, min/max/hypot, π, e, % (200 + 10% = 220), %Δ, mod, Ans, ตัวแปร (x = 5), ฟังก์ชัน f(x) = …, เศษส่วน (FRAC, S⇔D), ความแม่นยำสูง (PREC: 200!, 2^2000), x! ของทศนิยม (gamma), จำนวนเชิงซ้อน (CPLX: i, re/im/abs/arg/conj, a+bi ↔ r∠θ), โปรแกรมเมอร์ (PROG: 0x/0b/0o, HEX/DEC/OCT/BIN, 8–64 bit, and/or/xor/not/<</>>, mod), หน่วย (5 km + 300 m to ft, 20 °C to °F), กราฟหลายฟังก์ชัน (ซูม/เลื่อน/trace), แก้สมการ (SOLVE, solve(cos(x) = x, x)), แคลคูลัส (d/dx, integral ถึง ∞, sum, prod), สถิติ (STAT: {1, 4, 9}, mean/median/stdev, regression, normcdf/binompdf), เมทริกซ์ ([[1, 2], [3, 4]], ×, ^, det/inv/transpose/rank/rref, dot/cross/norm), แก้ไขที่เคอร์เซอร์ (←/→, Home/End, Shift เลือก, คลิก, Delete), เลิกทำ/ทำซ้ำ (↶ ↷, Ctrl+Z / Ctrl+Y), สัญกรณ์วิทยาศาสตร์ (EE, 1.2e-5), รูปแบบผลลัพธ์ (NORM/FIX/SCI/ENG, ตัวคั่นหลักพัน), DEG/RAD/GRAD, มุม 90° / 1.2ʳ / 100ᵍ, องศา ลิปดา ฟิลิปดา (30°15'20\", ▸DMS), พิมพ์ชื่อเอง (ABC, Tab เติมชื่อ), วางนิพจน์ (·, ², √, −), ภาษาไทย/English",
+  },
+  en: {
+    "error.SYNTAX": "Invalid expression",
+    "error.UNKNOWN_NAME": "Unknown name",
+    "error.ARGUMENTS": "Wrong number of arguments",
+    "error.DIVISION_BY_ZERO": "Division by zero",
+    "error.DOMAIN": "Out of domain",
+    "error.OVERFLOW": "Result too large",
+    "error.EVAL": "Cannot evaluate",
+
+    "hint.ready": "Ready",
+    "hint.keyboard": "Tip: the keyboard works • Enter = = • Backspace = delete • Esc = AC",
+    "hint.language": "Language: English",
+    "hint.digitNotInBase": "{digit} is not a digit in base {base}",
+    "hint.percentChange": "%Δ(old, new) = percent change",
+    "hint.percentFirst": "Type a number before %",
+    "hint.cleared": "Cleared",
+    "hint.functionDefined": "Defined function {name}",
+    "hint.variableSet": "Set {name}",
+    "hint.inaccurate": "The answer may be inaccurate: {warnings}",
+    "hint.invalid": "Invalid expression",
+    "hint.calculated": "Done",
+    "hint.solveFirst": "Type an equation first, e.g. x^3-2x-5=0 or cos(x)=x, then press SOLVE",
+    "hint.notConverged": "Did not converge: {variable} ≈ {x} (residual {residual})",
+    "hint.rootsFound": "Found {n} roots in [-100, 100]",
+    "hint.converged": "Converged",
+    "hint.residual": "residual {residual}",
+    "result.noSolution": "No solution",
+    "hint.cannotSolve": "Cannot solve",
+    "hint.resultInserted": "Inserted the result from History",
+    "hint.exprInserted": "Inserted the expression from History",
+    "hint.entryDeleted": "Entry deleted",
+    "hint.nothingToExport": "No history to export yet",
+    "hint.exported": "Exported {n} entries as {format}",
+    "hint.imported": "Imported {n} entries from {file}",
+    "hint.importFailed": "Import failed: {message}",
+    "hint.nothingToUndo": "Nothing to undo",
+    "hint.undone": "Undone",
+    "hint.nothingToRedo": "Nothing to redo",
+    "hint.redone": "Redone",
+    "hint.unitInserted": "Inserted unit {name}",
+    "hint.statOn": "STAT: enter data in the table, then use mean(xs), stdev(xs)",
+    "hint.statOff": "Statistics table closed",
+    "hint.pasteEmpty": "No numbers in the pasted data",
+    "hint.pasted": "Pasted {n} rows",
+    "hint.inserted": "Inserted {name}",
+    "hint.variableDeleted": "Deleted variable {name}",
+    "hint.functionDeleted": "Deleted function {name}",
+    "hint.editing": "Edit {name}, then press SET",
+    "hint.defineFormat": "Use name = value or f(x) = formula",
+    "hint.defineFailed": "Cannot define: {message}",
+    "hint.mode": "{mode} mode",
+    "hint.fracMode": "Fraction mode: + − × ÷ ^ are exact • S⇔D switches the display",
+    "hint.precMode": "High precision, {digits} digits • S⇔D switches full ↔ scientific",
+    "hint.cplxMode": "Complex mode: sqrt(-4) = 2i • 2nd + e = i",
+    "hint.progMode": "Programmer mode, {bits}-bit {sign} • base {base}",
+    "hint.realMode": "Decimal mode",
+    "hint.precision": "Precision {digits} digits",
+    "hint.base": "Base {base}",
+    "hint.signed": "Signed (two's complement)",
+    "hint.unsigned": "Unsigned",
+    "hint.wordSize": "Word {bits}-bit",
+    "sign.signed": "signed",
+    "sign.unsigned": "unsigned",
+    "hint.fullNotation": "Showing every digit",
+    "hint.sciNotation": "Showing scientific notation",
+    "hint.noFraction": "Cannot convert to a fraction",
+    "hint.showFrac": "Showing a fraction",
+    "hint.showMixed": "Showing a mixed number",
+    "hint.showDec": "Showing a decimal",
+    "hint.dmsRealOnly": "Only real numbers can be shown in degrees, minutes and seconds",
+    "hint.showDMS": "Showing degrees, minutes and seconds (DMS)",
+    "hint.polar": "Showing complex numbers in polar form r∠θ",
+    "hint.rectangular": "Showing complex numbers as a+bi",
+    "hint.displayFormat": "Display {format} • {sample}",
+    "hint.normal": "normal",
+    "hint.secondOn": "2nd on: trig becomes inverse, e becomes i, , becomes =, % becomes %Δ",
+    "hint.secondOff": "2nd off",
+    "hint.hypOn": "HYP on: sin/cos/tan become sinh/cosh/tanh (with 2nd: asinh/acosh/atanh)",
+    "hint.hypOff": "HYP off",
+    "hint.typingOn": "ABC on: letters type names • Tab completes • ↑/↓ choose",
+    "hint.typingOff": "ABC off: p = π, a = Ans, r = √",
+    "hint.pastedExpr": "Expression pasted",
+    "hint.ansCleared": "Ans cleared",
+    "hint.statCleared": "Statistics data cleared",
+    "hint.pickTargetUnit": "Pick the target unit from the unit list",
+    "hint.plotFirst": "Type an expression in x first, e.g. sin(x)/x",
+    "hint.plotted": "Added to the graph",
+    "hint.historyCleared": "History cleared",
+    "hint.historyClearedKept": "History cleared (pinned and starred entries kept)",
+
+    "history.sub": "Click an expression or result to insert it • ☆ star • 📌 pin • × delete",
+    "history.search": "Search History",
+    "history.noMatch": "No matching entries",
+    "history.tryOther": "Try another search",
+    "history.empty": "No history yet",
+    "history.start": "Start calculating",
+    "history.pinned": "📌 Pinned",
+    "history.today": "Today",
+    "history.yesterday": "Yesterday",
+    "history.insertExpr": "Insert expression",
+    "history.insertResult": "Insert result",
+    "history.star": "Star",
+    "history.unstar": "Unstar",
+    "history.pin": "Pin",
+    "history.unpin": "Unpin",
+    "history.delete": "Delete this entry",
+    "history.starredOnly": "Show starred entries only",
+    "history.limit": "Entries to keep (pinned and starred not counted)",
+    "history.unlimited": "Unlimited",
+    "history.entries": "{n} entries",
+    "history.exportJSON": "Export as JSON",
+    "history.exportCSV": "Export as CSV",
+    "history.importTitle": "Import from a JSON or CSV file",
+    "history.import": "Import",
+
+    "vars.sub": "Click to insert • ✎ edit • × delete",
+    "vars.placeholder": "r = 3.5 or f(x) = x^2 + 1",
+    "vars.empty": "No variables or functions yet",
+    "vars.example": "Try r = 3.5 or f(x) = x^2 + 1",
+    "vars.delete": "Delete {name}",
+    "vars.edit": "Edit {name}",
+
+    "unit.pick": "Unit…",
+    "unit.to": "Convert units, e.g. 5 km to ft",
+    "unit.length": "Length",
+    "unit.mass": "Mass",
+    "unit.time": "Time",
+    "unit.temperature": "Temperature",
+    "unit.speed": "Speed",
+    "unit.pressure": "Pressure",
+    "unit.energy": "Energy",
+    "unit.force": "Force",
+    "unit.power": "Power",
+    "unit.area": "Area",
+    "unit.volume": "Volume",
+    "unit.frequency": "Frequency",
+
+    "graph.sub": "Drag to pan • wheel or pinch to zoom • point or tap to trace",
+    "graph.placeholder": "e.g. tan(x) or a x^2",
+    "graph.delete": "Delete function",
+    "graph.readout": "Point at the graph to read (x, y)",
+    "graph.plotTitle": "Plot the expression on screen (variable x)",
+    "graph.plot": "Plot expression",
+    "graph.add": "+ Function",
+    "graph.reset": "Reset view",
+
+    "stat.sub": "Type or paste data from CSV/Excel into the table • use it in expressions as xs and ys, e.g. mean(xs)",
+    "stat.empty": "Enter at least one value (or paste from CSV)",
+    "stat.equation": "equation",
+    "stat.mean": "mean",
+    "stat.sample": "s (sample)",
+    "stat.population": "σ (population)",
+    "stat.min": "min",
+    "stat.median": "median",
+    "stat.max": "max",
+    "stat.mode": "mode",
+    "stat.regression": "regression",
+    "stat.deleteRow": "Delete row",
+    "stat.addRow": "+ Row",
+    "stat.clear": "Clear data",
+    "stat.linear": "linear",
+    "stat.exp": "exponential",
+    "stat.log": "logarithmic",
+    "stat.power": "power",
+
+    "title.grad": "Gradians (400ᵍ = one turn)",
+    "title.base": "Number base (PROG mode)",
+    "title.prog": "Programmer mode (integers, bitwise)",
+    "title.wordSize": "Word size in PROG mode",
+    "title.signed": "Signed (two's complement) / unsigned",
+    "title.hyp": "Hyperbolic: sin → sinh (with 2nd: asinh)",
+    "title.abc": "Type function, constant and variable names (Tab completes them)",
+    "title.frac": "Exact fractions",
+    "title.prec": "High precision (unlimited integers)",
+    "title.cplx": "Complex numbers (i)",
+    "title.stat": "Statistics: data table and regression",
+    "title.precDigits": "Digits in PREC mode",
+    "title.digits": "{n} digits",
+    "title.displayMode": "Display format: normal, fixed decimals, scientific, engineering",
+    "title.displayDigits": "FIX: decimal places • SCI/ENG: significant digits",
+    "title.si": "SI prefixes in ENG mode (k, M, µ …)",
+    "title.numberStyle": "Thousands separator and decimal mark",
+    "style.auto": "Auto ({sample})",
+    "title.clearHistory": "Clear history (except pinned and starred)",
+    "title.language": "Language",
+    "title.undo": "Undo (Ctrl+Z)",
+    "title.redo": "Redo (Ctrl+Y)",
+    "title.sd": "Switch fraction ↔ decimal",
+    "title.polar": "Switch a+bi ↔ r∠θ",
+    "title.percent": "200 + 10% = 220, 200 × 10% = 20 (2nd: %Δ percent change)",
+    "title.ee": "Times ten to the power, e.g. 6.02ᴇ23 (= 6.02×10^23)",
+    "title.solve": "Find the x that makes the equation true",
+    "title.degree": "Degrees: 90° or 30°15'20\" (2nd: radians 1.2ʳ; 100ᵍ to ° converts)",
+    "title.minute": "Minutes of arc (2nd: gradians 100ᵍ)",
+    "title.second": "Seconds of arc",
+    "title.dms": "Show the result in degrees, minutes and seconds, and back to a decimal",
+
+    "footer": "Supports: (), ^, √, sin/cos/tan, sinh/cosh/tanh (HYP), sec/csc/cot, log/ln, factorial, log(x, b), root, atan2, nCr/nPr, min/max/hypot, π, e, % (200 + 10% = 220), %Δ, mod, Ans, variables (x = 5), functions f(x) = …, fractions (FRAC, S⇔D), high precision (PREC: 200!, 2^2000), x! of decimals (gamma), complex numbers (CPLX: i, re/im/abs/arg/conj, a+bi ↔ r∠θ), programmer (PROG: 0x/0b/0o, HEX/DEC/OCT/BIN, 8–64 bit, and/or/xor/not/<</>>, mod), units (5 km + 300 m to ft, 20 °C to °F), several graphs (zoom/pan/trace), equations (SOLVE, solve(cos(x) = x, x)), calculus (d/dx, integral to ∞, sum, prod), statistics (STAT: {1, 4, 9}, mean/median/stdev, regression, normcdf/binompdf), matrices ([[1, 2], [3, 4]], ×, ^, det/inv/transpose/rank/rref, dot/cross/norm), editing at the caret (←/→, Home/End, Shift to select, click, Delete), undo/redo (↶ ↷, Ctrl+Z / Ctrl+Y), scientific notation (EE, 1.2e-5), result formats (NORM/FIX/SCI/ENG, thousands separators), DEG/RAD/GRAD, angles 90° / 1.2ʳ / 100ᵍ, degrees minutes seconds (30°15'20\", ▸DMS), typed names (ABC, Tab completes), pasting (·, ², √, −), ไทย/English",
+  },
+};
+
+// translate("en", "hint.pasted", {n: 3}) -> "Pasted 3 rows"
+export function translate(lang, key, params = {}){
+  const text = MESSAGES[lang]?.[key] ?? MESSAGES.th[key] ?? key;
+  return text.replace(/\{(\w+)\}/g, (m, name)=> name in params ? String(params[name]) : m);
+}
+
+// a saved choice wins, then the first supported browser language ("en-GB" -> "en"), then Thai
+export function pickLanguage(saved, browserLanguages = []){
+  if (LANGUAGES.includes(saved)) return saved;
+  for (const tag of browserLanguages){
+    const lang = String(tag).toLowerCase().split("-")[0];
+    if (LANGUAGES.includes(lang)) return lang;
+  }
+  return "th";
+}
+
+// the locale for the chosen language: the browser's own variant of it if it has one ("en-ZA" writes
+// 1 234,5), otherwise the default in LOCALES; the browser's other languages do not count
+export function localeFor(lang, browserLanguages = []){
+  const tag = browserLanguages.find(tag => String(tag).toLowerCase().split("-")[0] === lang && String(tag).includes("-"));
+  return tag || LOCALES[lang] || LOCALES.th;
+}
@@ -0,0 +1,167 @@
+// Matrices and vectors: arithmetic, det, inv, rref and friends (no external libs)
+// A matrix is a plain object {type:"matrix", rows} of doubles. A vector [1, 2, 3] is a column (3×1),
+// so A × v works; [[1, 2], [3, 4]] is read row by row, each inner vector (or 1×n row) giving one row.
+
+export function isMatrix(v){ return !!v && v.type === "matrix"; }
+export function matrix(rows){ return {type:"matrix", rows}; }
+
+const rowCount = (A)=> A.rows.length;
+const colCount = (A)=> A.rows[0].length;
+export const size = (A)=> `${rowCount(A)}×${colCount(A)}`;
+const isSquare = (A)=> rowCount(A) === colCount(A);
+const isVector = (A)=> colCount(A) === 1 || rowCount(A) === 1;
+const entries = (A)=> A.rows.flat();
+const zeros = (n, m)=> Array.from({length: n}, ()=> new Array(m).fill(0));
+const identity = (n)=> zeros(n, n).map((row, k)=>{
+  row[k] = 1;
+  return row;
+});
+const copy = (A)=> A.rows.map(row => [...row]);
+
+// entries closer to 0 than the rounding of the elimination are 0 (rref, rank, inv)
+const EPS = 2.220446049250313e-16;
+const tolerance = (rows)=> EPS * Math.max(rows.length, rows[0].length) * Math.max(1, ...rows.flat().map(Math.abs));
+
+// the arguments of [a, b, c]: plain numbers give a column vector, vectors give one row each
+export function fromItems(items){
+  if (items.every(x => typeof x === "number")) return matrix(items.map(x => [x]));
+  const rows = items.map(x => {
+    if (!isMatrix(x) || !isVector(x)) throw new Error("A matrix row must be a list of numbers");
+    return entries(x);
+  });
+  const widths = [...new Set(rows.map(r => r.length))];
+  if (widths.length > 1) throw new Error(`Matrix rows differ in length (${widths.join(" and ")})`);
+  return matrix(rows);
+}
+
+// ---------- Arithmetic ----------
+export function matAdd(A, B, subtract = false){
+  if (rowCount(A) !== rowCount(B) || colCount(A) !== colCount(B)){
+    throw new Error(`Can't ${subtract ? "subtract" : "add"} a ${size(A)} and a ${size(B)} matrix`);
+  }
+  return matrix(A.rows.map((row, i)=> row.map((x, j)=> subtract ? x - B.rows[i][j] : x + B.rows[i][j])));
+}
+
+export function matScale(A, k){
+  return matrix(A.rows.map(row => row.map(x => x * k)));
+}
+
+// matrix product; a 1×1 result (row × column) is the number it holds
+export function matMul(A, B){
+  if (colCount(A) !== rowCount(B)){
+    const count = (n, what)=> `${n} ${what}${n === 1 ? "" : "s"}`;
+    throw new Error(`Can't multiply a ${size(A)} by a ${size(B)} matrix (${count(colCount(A), "column")} vs ${count(rowCount(B), "row")})`);
+  }
+  const rows = A.rows.map(row => B.rows[0].map((_, j)=> row.reduce((s, x, k)=> s + x * B.rows[k][j], 0)));
+  return rows.length === 1 && rows[0].length === 1 ? rows[0][0] : matrix(rows);
+}
+
+// A^n by repeated squaring; A^0 is the identity, A^-n is inv(A)^n
+export function matPow(A, n){
+  if (!isSquare(A)) throw new Error(`Only a square matrix has powers (this one is ${size(A)})`);
+  if (!Number.isInteger(n)) throw new Error("A matrix power needs a whole-number exponent");
+  let base = n < 0 ? inverse(A) : A;
+  let result = matrix(identity(rowCount(A)));
+  for (let k = Math.abs(n); k > 0; k = Math.floor(k / 2)){
+    if (k % 2) result = square(matMul(result, base));
+    base = square(matMul(base, base));
+  }
+  return result;
+}
+// matMul unwraps 1×1 results, powers of a 1×1 matrix stay matrices
+const square = (v)=> isMatrix(v) ? v : matrix([[v]]);
+
+export function transpose(A){
+  return matrix(A.rows[0].map((_, j)=> A.rows.map(row => row[j])));
+}
+
+// ---------- Elimination ----------
+// Gaussian elimination with partial pivoting; the determinant is the product of the pivots
+export function det(A){
+  if (!isSquare(A)) throw new Error(`det needs a square matrix, not ${size(A)}`);
+  const m = copy(A), n = m.length;
+  let d = 1;
+  for (let c=0;c<n;c++){
+    let p = c;
+    for (let r=c+1;r<n;r++) if (Math.abs(m[r][c]) > Math.abs(m[p][c])) p = r;
+    if (m[p][c] === 0) return 0;
+    if (p !== c){
+      [m[p], m[c]] = [m[c], m[p]];
+      d = -d;
+    }
+    d *= m[c][c];
+    for (let r=c+1;r<n;r++){
+      const f = m[r][c] / m[c][c];
+      for (let k=c;k<n;k++) m[r][k] -= f * m[c][k];
+    }
+  }
+  return d;
+}
+
+// reduced row echelon form, with the pivot columns
+function eliminate(rows){
+  const m = rows.map(row => [...row]);
+  const tol = tolerance(m);
+  const pivots = [];
+  let r = 0;
+  for (let c=0;c<m[0].length && r<m.length;c++){
+    let p = r;
+    for (let k=r+1;k<m.length;k++) if (Math.abs(m[k][c]) > Math.abs(m[p][c])) p = k;
+    if (Math.abs(m[p][c]) <= tol){
+      for (let k=r;k<m.length;k++) m[k][c] = 0;
+      continue;
+    }
+    [m[p], m[r]] = [m[r], m[p]];
+    const pivot = m[r][c];
+    m[r] = m[r].map(x => x / pivot);
+    for (let k=0;k<m.length;k++){
+      if (k === r || m[k][c] === 0) continue;
+      const f = m[k][c];
+      m[k] = m[k].map((x, j)=> Math.abs(x - f * m[r][j]) <= tol ? 0 : x - f * m[r][j]);
+    }
+    pivots.push(c);
+    r++;
+  }
+  return {rows: m.map(row => row.map(x => x === 0 ? 0 : x)), pivots};
+}
+
+export function rref(A){ return matrix(eliminate(A.rows).rows); }
+export function rank(A){ return eliminate(A.rows).pivots.length; }
+
+// Gauss–Jordan on [A | I]
+export function inverse(A){
+  if (!isSquare(A)) throw new Error(`Only a square matrix has an inverse (this one is ${size(A)})`);
+  const n = rowCount(A);
+  const id = identity(n);
+  const {rows, pivots} = eliminate(A.rows.map((row, k)=> [...row, ...id[k]]));
+  if (pivots.length < n || pivots[n-1] !== n - 1) throw new Error("Matrix is singular (det = 0), it has no inverse");
+  return matrix(rows.map(row => row.slice(n)));
+}
+
+// ---------- Vectors ----------
+function vectorEntries(v, name){
+  if (!isMatrix(v) || !isVector(v)) throw new Error(`${name} needs vectors`);
+  return entries(v);
+}
+
+export function dot(u, v){
+  const a = vectorEntries(u, "dot"), b = vectorEntries(v, "dot");
+  if (a.length !== b.length) throw new Error(`dot needs vectors of the same length (${a.length} and ${b.length})`);
+  return a.reduce((s, x, k)=> s + x * b[k], 0);
+}
+
+export function cross(u, v){
+  const a = vectorEntries(u, "cross"), b = vectorEntries(v, "cross");
+  if (a.length !== 3 || b.length !== 3) throw new Error(`cross needs two vectors of length 3, not ${a.length} and ${b.length}`);
+  return matrix([[a[1]*b[2] - a[2]*b[1]], [a[2]*b[0] - a[0]*b[2]], [a[0]*b[1] - a[1]*b[0]]]);
+}
+
+// length of a vector; Frobenius norm of a matrix
+export function norm(A){ return Math.hypot(...entries(A)); }
+
+// ---------- Formatting ----------
+// one line: a column vector as [1, 2, 3], anything else row by row as [[1, 2], [3, 4]]
+export function formatMatrix(A, format = String, sep = ", "){
+  if (colCount(A) === 1) return "[" + A.rows.map(row => format(row[0])).join(sep) + "]";
+  return "[" + A.rows.map(row => "[" + row.map(format).join(sep) + "]").join(sep) + "]";
+}
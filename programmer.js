@@ -0,0 +1,68 @@
+// Fixed-width integers for PROG mode (no external libs)
+// Values are JS BigInts; after every step engine.js wraps them to the word size
+// (8/16/32/64 bits, signed two's complement or unsigned), the way a CPU register would.
+
+import { CalcError } from "./errors.js";
+
+export const BASES = {HEX: 16, DEC: 10, OCT: 8, BIN: 2};
+export const BASE_PREFIX = {16: "0x", 8: "0o", 2: "0b"};
+
+export function isInt(v){ return typeof v === "bigint"; }
+
+export function wrapInt(v, bits = 64, signed = true){
+  return signed ? BigInt.asIntN(bits, v) : BigInt.asUintN(bits, v);
+}
+
+// "0xFF" / "0b1010" / "0o17" / "42" -> BigInt, or null for anything else ("1.5")
+export function intFromString(str){
+  const s = String(str).trim();
+  if (!/^(0[xX][0-9a-fA-F]+|0[bB][01]+|0[oO][0-7]+|\d+)$/.test(s)) return null;
+  return BigInt(s);
+}
+
+// a / b rounded toward zero (C style)
+export function intDiv(a, b){
+  if (b === 0n) throw new CalcError("DIVISION_BY_ZERO", "Division by zero");
+  return a / b;
+}
+
+// remainder with the sign of the divisor: -7 mod 3 = 2
+export function intMod(a, b){
+  if (b === 0n) throw new CalcError("DIVISION_BY_ZERO", "Division by zero");
+  const r = a % b;
+  return r !== 0n && (r < 0n) !== (b < 0n) ? r + b : r;
+}
+
+// a^b modulo 2^64, enough for any word size; negative powers truncate like intDiv
+export function intPow(a, b){
+  if (b < 0n){
+    if (a === 0n) throw new CalcError("DIVISION_BY_ZERO", "Division by zero");
+    if (a === 1n) return 1n;
+    if (a === -1n) return b % 2n ? -1n : 1n;
+    return 0n;
+  }
+  let r = 1n;
+  while (b > 0n){
+    if (b & 1n) r = BigInt.asUintN(64, r * a);
+    b >>= 1n;
+    if (b) a = BigInt.asUintN(64, a * a);
+  }
+  return r;
+}
+
+const MAX_SHIFT = 65536n;
+
+export function intShift(a, b, left){
+  if (b > MAX_SHIFT || b < -MAX_SHIFT) throw new Error("Shift too large");
+  return left ? a << b : a >> b;
+}
+
+// Digits of v in base 2/8/10/16. Negative values print as their two's complement bit pattern
+// in HEX/OCT/BIN (-1 in 8 bits is FF). group splits BIN into nibbles for reading; such text
+// no longer parses back, so it never goes together with prefix.
+export function formatInt(v, base = 10, {bits = 64, prefix = false, group = false} = {}){
+  if (base === 10) return v.toString();
+  let s = BigInt.asUintN(bits, v).toString(base).toUpperCase();
+  if (base === 2 && group) s = s.padStart(Math.ceil(s.length / 4) * 4, "0").replace(/(.{4})(?=.)/g, "$1 ");
+  return (prefix ? BASE_PREFIX[base] : "") + s;
+}
@@ -0,0 +1,124 @@
+// Numeric root finding for solve() and the SOLVE key (no external libs)
+// Every function takes f: number -> number and reports {x, residual, converged}:
+// converged means the method settled and |f(x)| is small, so a pole of tan(x) is not a root.
+
+const MAX_ITER = 200;
+const EPS = 2.220446049250313e-16;
+
+function report(f, x, settled, scale = 1){
+  const residual = Math.abs(f(x));
+  if (Object.is(x, -0)) x = 0;
+  return {x, residual, converged: settled && residual <= 1e-9 * Math.max(1, scale)};
+}
+
+// Brent's method on [a, b] where f(a) and f(b) have opposite signs
+export function brent(f, a, b){
+  let fa = f(a), fb = f(b);
+  const scale = Math.min(Math.abs(fa), Math.abs(fb));
+  if (fa === 0) return report(f, a, true);
+  if (fb === 0) return report(f, b, true);
+  if (Math.sign(fa) === Math.sign(fb)) return report(f, Math.abs(fa) < Math.abs(fb) ? a : b, false);
+  let c = a, fc = fa, d = b - a, e = d;
+  for (let k=0;k<MAX_ITER;k++){
+    if (Math.sign(fb) === Math.sign(fc)){
+      c = a; fc = fa; d = b - a; e = d;
+    }
+    if (Math.abs(fc) < Math.abs(fb)){
+      a = b; b = c; c = a;
+      fa = fb; fb = fc; fc = fa;
+    }
+    const tol = 2 * EPS * Math.abs(b) + 1e-300;
+    const m = (c - b) / 2;
+    if (Math.abs(m) <= tol || fb === 0) return report(f, b, true, scale);
+    if (Math.abs(e) >= tol && Math.abs(fa) > Math.abs(fb)){
+      // inverse quadratic interpolation (secant when only two points differ)
+      const s = fb / fa;
+      let p, q;
+      if (a === c){
+        p = 2 * m * s;
+        q = 1 - s;
+      } else {
+        const r = fb / fc, t = fa / fc;
+        p = s * (2 * m * t * (t - r) - (b - a) * (r - 1));
+        q = (t - 1) * (r - 1) * (s - 1);
+      }
+      if (p > 0) q = -q;
+      else p = -p;
+      if (2 * p < Math.min(3 * m * q - Math.abs(tol * q), Math.abs(e * q))){
+        e = d;
+        d = p / q;
+      } else {
+        d = m;
+        e = m;
+      }
+    } else {
+      d = m;
+      e = m;
+    }
+    a = b;
+    fa = fb;
+    b += Math.abs(d) > tol ? d : (m > 0 ? tol : -tol);
+    fb = f(b);
+  }
+  return report(f, b, false, scale);
+}
+
+// Secant steps from x0, for roots without a sign change (x^2 = 0)
+export function secant(f, x0){
+  let a = x0, b = x0 + 1e-4 * (1 + Math.abs(x0));
+  let fa = f(a), fb = f(b);
+  for (let k=0;k<MAX_ITER;k++){
+    if (fb === 0) return report(f, b, true);
+    if (fb === fa || !Number.isFinite(fb)) break;
+    const step = fb * (b - a) / (fb - fa);
+    a = b;
+    fa = fb;
+    b -= step;
+    fb = f(b);
+    if (Math.abs(step) <= 4 * EPS * (1 + Math.abs(b))) return report(f, b, true);
+  }
+  return report(f, b, false);
+}
+
+const opposite = (p, q)=> Number.isFinite(p) && Number.isFinite(q) && Math.sign(p) !== Math.sign(q);
+
+// One root: a bracket found by stepping out from the guess in growing steps, refined by Brent;
+// the secant method when no sign change turns up
+export function findRoot(f, guess = 0){
+  const f0 = f(guess);
+  if (f0 === 0) return report(f, guess, true);
+  let left = [guess, f0], right = [guess, f0];
+  for (let k=0;k<64;k++){
+    const h = 0.1 * 2 ** k;
+    for (const side of [1, -1]){
+      const prev = side > 0 ? right : left;
+      const x = guess + side * h;
+      const fx = f(x);
+      if (opposite(prev[1], fx) || fx === 0){
+        const r = brent(f, Math.min(prev[0], x), Math.max(prev[0], x));
+        if (r.converged) return r;
+      }
+      if (side > 0) right = [x, fx];
+      else left = [x, fx];
+    }
+  }
+  return secant(f, guess);
+}
+
+// Every root in [a, b]: sign changes on an n-step grid (Brent), plus touching roots at local
+// minima of |f| (secant). Roots closer than 1e-9 count once.
+export function findRoots(f, a, b, n = 1000){
+  const found = [];
+  const xs = Array.from({length: n + 1}, (_, k)=> a + (b - a) * k / n);
+  const ys = xs.map(f);
+  for (let k=0;k<=n;k++){
+    if (ys[k] === 0) found.push(report(f, xs[k], true));
+    if (k < n && opposite(ys[k], ys[k+1]) && ys[k+1] !== 0) found.push(brent(f, xs[k], xs[k+1]));
+    if (k > 0 && k < n && !opposite(ys[k-1], ys[k+1]) && Math.abs(ys[k]) < Math.abs(ys[k-1]) && Math.abs(ys[k]) < Math.abs(ys[k+1])){
+      const r = secant(f, xs[k]);
+      if (r.x >= xs[k-1] && r.x <= xs[k+1]) found.push(r);
+    }
+  }
+  const roots = found.filter(r => r.converged).sort((p, q)=> p.x - q.x);
+  return roots.filter((r, k)=> k === 0 || Math.abs(r.x - roots[k-1].x) > 1e-9 * (1 + Math.abs(r.x)));
+}
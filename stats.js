@@ -0,0 +1,244 @@
+// Statistics: data lists, descriptive stats, regression, distributions (no external libs)
+// A list is a plain object {type:"list", items} of doubles, written {1, 4, 9, 16}.
+// Functions here take arrays of numbers; engine.js unpacks lists and arguments into them.
+
+export function isList(v){ return !!v && v.type === "list"; }
+export function list(items){ return {type:"list", items}; }
+
+function need(xs, name, n = 1){
+  if (xs.length < n) throw new Error(`${name} needs at least ${n} value${n === 1 ? "" : "s"}`);
+  if (xs.some(Number.isNaN)) throw new Error(`${name} needs plain numbers`);
+}
+
+const sorted = (xs)=> [...xs].sort((a, b)=> a - b);
+
+export function sum(xs){ return xs.reduce((s, x)=> s + x, 0); }
+
+export function mean(xs){
+  need(xs, "mean");
+  return sum(xs) / xs.length;
+}
+
+function middle(s){
+  const m = s.length >> 1;
+  return s.length % 2 ? s[m] : (s[m-1] + s[m]) / 2;
+}
+
+export function median(xs){
+  need(xs, "median");
+  return middle(sorted(xs));
+}
+
+// every value that occurs most often, smallest first
+export function modes(xs){
+  need(xs, "mode");
+  const counts = new Map();
+  for (const x of xs) counts.set(x, (counts.get(x) || 0) + 1);
+  const top = Math.max(...counts.values());
+  return sorted([...counts].filter(([, c])=> c === top).map(([x])=> x));
+}
+
+// sample (n - 1) or population (n) variance, two-pass for accuracy
+export function variance(xs, sample = true){
+  need(xs, sample ? "var" : "varp", sample ? 2 : 1);
+  const m = mean(xs);
+  return sum(xs.map(x => (x - m) ** 2)) / (xs.length - (sample ? 1 : 0));
+}
+
+// [Q1, median, Q3]: medians of the lower and upper half, the middle value left out when n is odd
+export function quartiles(xs){
+  need(xs, "quartiles");
+  const s = sorted(xs);
+  if (s.length === 1) return [s[0], s[0], s[0]];
+  const h = s.length >> 1;
+  return [middle(s.slice(0, h)), middle(s), middle(s.slice(s.length - h))];
+}
+
+// one column of the data table at a glance (s: sample, sigma: population standard deviation)
+export function summary(xs){
+  need(xs, "statistics");
+  const [q1, med, q3] = quartiles(xs);
+  return {
+    n: xs.length, sum: sum(xs), mean: mean(xs),
+    s: xs.length > 1 ? Math.sqrt(variance(xs, true)) : NaN, sigma: Math.sqrt(variance(xs, false)),
+    min: Math.min(...xs), q1, median: med, q3, max: Math.max(...xs), mode: modes(xs),
+  };
+}
+
+// ---------- Regression ----------
+// linear y = a + bx, exp y = a·e^(bx), log y = a + b·ln x, power y = a·x^b.
+// exp/log/power are straight-line fits of the logged data; r² is that of the straight line.
+export const REGRESSIONS = ["linear", "exp", "log", "power"];
+
+export function regression(kind, xs, ys){
+  if (xs.length !== ys.length) throw new Error("x and y need the same number of values");
+  need(xs, "Regression", 2);
+  const logX = kind === "log" || kind === "power";
+  const logY = kind === "exp" || kind === "power";
+  if (logX && xs.some(x => x <= 0)) throw new Error(`${kind} regression needs every x > 0`);
+  if (logY && ys.some(y => y <= 0)) throw new Error(`${kind} regression needs every y > 0`);
+  const tx = logX ? xs.map(Math.log) : xs;
+  const ty = logY ? ys.map(Math.log) : ys;
+
+  const mx = mean(tx), my = mean(ty);
+  let sxx = 0, sxy = 0, syy = 0;
+  tx.forEach((x, k)=>{
+    sxx += (x - mx) ** 2;
+    sxy += (x - mx) * (ty[k] - my);
+    syy += (ty[k] - my) ** 2;
+  });
+  if (sxx === 0) throw new Error("Regression needs at least two different x values");
+  const b = sxy / sxx;
+  const a0 = my - b * mx;
+  const a = logY ? Math.exp(a0) : a0;
+  const r2 = syy === 0 ? 1 : (sxy * sxy) / (sxx * syy);
+  const predict = {
+    linear: (x)=> a + b * x,
+    exp: (x)=> a * Math.exp(b * x),
+    log: (x)=> a + b * Math.log(x),
+    power: (x)=> a * Math.pow(x, b),
+  }[kind];
+  if (!predict) throw new Error("Unknown regression: " + kind);
+  return {kind, a, b, r2, predict};
+}
+
+// ---------- Distributions ----------
+const SQRT2 = Math.SQRT2;
+const SQRT2PI = Math.sqrt(2 * Math.PI);
+
+// erf by its Taylor series (|x| < 3)
+function erfSeries(x){
+  let term = x, s = x;
+  for (let n=1;n<200;n++){
+    term *= -x * x / n;
+    const add = term / (2 * n + 1);
+    s += add;
+    if (Math.abs(add) < 1e-17 * Math.abs(s)) break;
+  }
+  return 2 / Math.sqrt(Math.PI) * s;
+}
+
+// erfc keeps its relative precision far in the tail (continued fraction for x >= 3)
+export function erfc(x){
+  if (x < 0) return 2 - erfc(-x);
+  if (x < 3) return 1 - erfSeries(x);
+  let f = x;
+  for (let n=120;n>=1;n--) f = x + (n / 2) / f;
+  return Math.exp(-x * x) / (Math.sqrt(Math.PI) * f);
+}
+
+function checkSigma(sigma, name){
+  if (!(sigma > 0)) throw new Error(`${name} needs σ > 0`);
+}
+
+export function normalPdf(x, mu = 0, sigma = 1){
+  checkSigma(sigma, "normpdf");
+  const z = (x - mu) / sigma;
+  return Math.exp(-z * z / 2) / (sigma * SQRT2PI);
+}
+
+// P(X <= x)
+export function normalCdf(x, mu = 0, sigma = 1){
+  checkSigma(sigma, "normcdf");
+  return erfc(-(x - mu) / (sigma * SQRT2)) / 2;
+}
+
+// Acklam's rational approximation, polished by one Halley step to full double precision
+const ACKLAM = {
+  a: [-39.69683028665376, 220.9460984245205, -275.9285104469687, 138.3577518672690, -30.66479806614716, 2.506628277459239],
+  b: [-54.47609879822406, 161.5858368580409, -155.6989798598866, 66.80131188771972, -13.28068155288572],
+  c: [-0.007784894002430293, -0.3223964580411365, -2.400758277161838, -2.549732539343734, 4.374664141464968, 2.938163982698783],
+  d: [0.007784695709041462, 0.3224671290700398, 2.445134137142996, 3.754408661907416],
+};
+const poly = (cs, x)=> cs.reduce((s, c)=> s * x + c, 0);
+
+export function normalInv(p, mu = 0, sigma = 1){
+  checkSigma(sigma, "invnorm");
+  if (!(p > 0 && p < 1)) throw new Error("invnorm needs 0 < p < 1");
+  const {a, b, c, d} = ACKLAM;
+  let z;
+  if (p < 0.02425){
+    const q = Math.sqrt(-2 * Math.log(p));
+    z = poly(c, q) / (poly(d, q) * q + 1);
+  } else if (p > 1 - 0.02425){
+    const q = Math.sqrt(-2 * Math.log(1 - p));
+    z = -poly(c, q) / (poly(d, q) * q + 1);
+  } else {
+    const q = p - 0.5, r = q * q;
+    z = poly(a, r) * q / (poly(b, r) * r + 1);
+  }
+  const e = erfc(-z / SQRT2) / 2 - p;
+  const u = e * SQRT2PI * Math.exp(z * z / 2);
+  z -= u / (1 + z * u / 2);
+  return mu + sigma * z;
+}
+
+// ln Γ(x) for x > 0 (Lanczos, g = 7)
+const LANCZOS = [0.99999999999980993, 676.5203681218851, -1259.1392167224028, 771.32342877765313,
+  -176.61502916214059, 12.507343278686905, -0.13857109526572012, 9.9843695780195716e-6, 1.5056327351493116e-7];
+function lnGamma(x){
+  if (x < 0.5) return Math.log(Math.PI / Math.sin(Math.PI * x)) - lnGamma(1 - x);
+  x -= 1;
+  let s = LANCZOS[0];
+  for (let k=1;k<9;k++) s += LANCZOS[k] / (x + k);
+  const t = x + 7.5;
+  return 0.5 * Math.log(2 * Math.PI) + (x + 0.5) * Math.log(t) - t + Math.log(s);
+}
+
+const MAX_TRIALS = 1e7;
+
+function checkBinomial(n, p, name){
+  if (!Number.isInteger(n) || n < 0 || n > MAX_TRIALS) throw new Error(`${name} needs a whole number of trials n from 0 to ${MAX_TRIALS}`);
+  if (!(p >= 0 && p <= 1)) throw new Error(`${name} needs 0 ≤ p ≤ 1`);
+}
+
+function binomTerm(n, p, k){
+  if (p === 0) return k === 0 ? 1 : 0;
+  if (p === 1) return k === n ? 1 : 0;
+  return Math.exp(lnGamma(n + 1) - lnGamma(k + 1) - lnGamma(n - k + 1) + k * Math.log(p) + (n - k) * Math.log1p(-p));
+}
+
+// P(X = k) for X ~ B(n, p)
+export function binomialPdf(n, p, k){
+  checkBinomial(n, p, "binompdf");
+  if (!Number.isInteger(k) || k < 0 || k > n) return 0;
+  return binomTerm(n, p, k);
+}
+
+// P(X <= k)
+export function binomialCdf(n, p, k){
+  checkBinomial(n, p, "binomcdf");
+  if (k < 0) return 0;
+  const top = Math.min(Math.floor(k), n);
+  let s = 0;
+  for (let i=0;i<=top;i++) s += binomTerm(n, p, i);
+  return Math.min(1, s);
+}
+
+// smallest k with P(X <= k) >= q
+export function binomialInv(q, n, p){
+  checkBinomial(n, p, "invbinom");
+  if (!(q >= 0 && q <= 1)) throw new Error("invbinom needs 0 ≤ q ≤ 1");
+  let s = 0;
+  for (let k=0;k<n;k++){
+    s += binomTerm(n, p, k);
+    if (s >= q * (1 - 1e-12)) return k;
+  }
+  return n;
+}
+
+// ---------- Pasted data ----------
+// CSV / spreadsheet text -> rows of numbers. Cells split on tabs, ";" or ",", in that order of
+// preference (with tabs or ";" a decimal comma is allowed: 1,5). Rows that are not all numbers
+// (a header) are skipped.
+export function parseTable(text){
+  const lines = text.split(/\r?\n/).map(l => l.trim()).filter(Boolean);
+  const sep = lines.some(l => l.includes("\t")) ? "\t" : lines.some(l => l.includes(";")) ? ";" : lines.some(l => l.includes(",")) ? "," : /\s+/;
+  const rows = [];
+  for (const line of lines){
+    const cells = line.split(sep).map(c => c.trim()).filter(c => c !== "");
+    const nums = cells.map(c => Number(sep === "," ? c : c.replace(",", ".")));
+    if (nums.length && nums.every(Number.isFinite)) rows.push(nums);
+  }
+  return rows;
+}
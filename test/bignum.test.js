@@ -0,0 +1,88 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import {
+  big, bigFromString, bigToNumber, bigAdd, bigMul, bigDiv, bigPow, bigRoot, bigCompare, bigPi, bigE, formatBig,
+} from "../bignum.js";
+
+const full = (b)=> b && formatBig(b, {notation:"full"});
+const n = (s)=> bigFromString(s);
+
+describe("big", ()=>{
+  it("strips trailing zeros", ()=>{
+    assert.deepEqual(big(12300n, -2), {type:"big", m:123n, e:0});
+  });
+
+  it("rounds non-integers to P digits, half away from zero", ()=>{
+    assert.equal(full(big(123456n, -3, 4)), "123.5");
+    assert.equal(full(big(-123456n, -3, 4)), "-123.5");
+    assert.equal(full(big(99996n, -4, 4)), "10");
+  });
+
+  it("never rounds integers", ()=>{
+    assert.equal(full(big(123456789n, 0, 3)), "123456789");
+  });
+});
+
+describe("bigFromString", ()=>{
+  it("parses decimals and exponents exactly", ()=>{
+    assert.equal(full(n("0.1")), "0.1");
+    assert.equal(full(n("12.5e-3")), "0.0125");
+    assert.equal(full(n(".5")), "0.5");
+    assert.equal(full(n("-4e3")), "-4000");
+    assert.equal(n("abc"), null);
+  });
+});
+
+describe("arithmetic", ()=>{
+  it("adds and multiplies exactly", ()=>{
+    assert.equal(full(bigAdd(n("0.1"), n("0.2"), 50)), "0.3");
+    assert.equal(full(bigMul(n("1.5"), n("-0.02"), 50)), "-0.03");
+  });
+
+  it("divides to P digits", ()=>{
+    assert.equal(full(bigDiv(n("1"), n("4"), 10)), "0.25");
+    assert.equal(full(bigDiv(n("2"), n("3"), 10)), "0.6666666667");
+    assert.equal(bigDiv(n("1"), n("0"), 10), null);
+  });
+
+  it("raises to integer powers", ()=>{
+    assert.equal(full(bigPow(n("2"), n("64"), 50)), "18446744073709551616");
+    assert.equal(full(bigPow(n("1.1"), n("10"), 50)), "2.5937424601");
+    assert.equal(full(bigPow(n("2"), n("-3"), 50)), "0.125");
+    assert.equal(bigPow(n("2"), n("0.5"), 50), null);
+  });
+
+  it("takes roots, exact when possible", ()=>{
+    assert.equal(full(bigRoot(n("2"), 2, 30)), "1.41421356237309504880168872421");
+    assert.equal(full(bigRoot(n("0.001"), 3, 30)), "0.1");
+    assert.equal(full(bigRoot(n("-27"), 3, 30)), "-3");
+    assert.equal(bigRoot(n("-4"), 2, 30), null);
+  });
+
+  it("compares across exponents", ()=>{
+    assert.equal(bigCompare(n("0.30"), n("0.3")), 0);
+    assert.equal(bigCompare(n("-1"), n("0.001")), -1);
+  });
+});
+
+describe("constants", ()=>{
+  it("computes pi and e to the requested digits", ()=>{
+    assert.equal(full(bigPi(30)), "3.14159265358979323846264338328");
+    assert.equal(full(bigE(30)), "2.71828182845904523536028747135");
+    assert.equal(bigToNumber(bigPi(50)), Math.PI);
+  });
+});
+
+describe("formatBig", ()=>{
+  it("prints full and scientific forms", ()=>{
+    assert.equal(formatBig(n("0.000125"), {notation:"full"}), "0.000125");
+    assert.equal(formatBig(n("0.000125"), {notation:"sci"}), "1.25e-4");
+    assert.equal(formatBig(n("-123456"), {notation:"sci", maxDigits:3}), "-1.23e+5");
+    assert.equal(formatBig(n("99999"), {notation:"sci", maxDigits:3}), "1e+5");
+  });
+
+  it("switches to scientific in auto mode when too long", ()=>{
+    assert.equal(formatBig(n("12345"), {notation:"auto", maxDigits:8}), "12345");
+    assert.equal(formatBig(n("123456789"), {notation:"auto", maxDigits:8}), "1.2345679e+8");
+  });
+});
@@ -0,0 +1,50 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { derivative, integrate } from "../calculus.js";
+import { close } from "./helpers.js";
+
+describe("derivative", ()=>{
+  it("extrapolates central differences", ()=>{
+    close(derivative((x)=> x ** 3, 2).value, 12);
+    close(derivative(Math.sin, 0).value, 1);
+    close(derivative(Math.exp, 10).value / Math.exp(10), 1);
+    assert.ok(derivative(Math.log, 3).converged);
+  });
+
+  it("has no value where f is undefined nearby", ()=>{
+    const r = derivative(Math.sqrt, 0);
+    assert.ok(Number.isNaN(r.value));
+    assert.equal(r.converged, false);
+  });
+});
+
+describe("integrate", ()=>{
+  it("integrates smooth functions to full precision", ()=>{
+    close(integrate((x)=> x * x, 0, 1).value, 1 / 3, 1e-15);
+    close(integrate(Math.sin, 0, Math.PI).value, 2, 1e-12);
+    close(integrate(Math.sin, 0, 100).value, 1 - Math.cos(100), 1e-10);
+  });
+
+  it("swaps reversed limits and handles empty ones", ()=>{
+    close(integrate((x)=> x, 1, 0).value, -0.5);
+    assert.equal(integrate(Math.exp, 2, 2).value, 0);
+  });
+
+  it("adapts to endpoint singularities", ()=>{
+    const r = integrate((x)=> 1 / Math.sqrt(x), 0, 1);
+    assert.ok(r.converged);
+    close(r.value, 2, 1e-9);
+  });
+
+  it("supports infinite limits", ()=>{
+    close(integrate((x)=> Math.exp(-x * x), -Infinity, Infinity).value, Math.sqrt(Math.PI));
+    close(integrate((x)=> 1 / (1 + x * x), 0, Infinity).value, Math.PI / 2);
+    close(integrate(Math.exp, -Infinity, 0).value, 1);
+  });
+
+  it("says when it did not converge", ()=>{
+    const r = integrate((x)=> 1 / x, 0, 1);
+    assert.equal(r.converged, false);
+    assert.ok(r.error > 1e-6);
+  });
+});
@@ -0,0 +1,83 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { tokenBefore, tokenAfter, selection, edit } from "../caret.js";
+
+// the line with the caret drawn as | and the selection as [ ]
+function show({expr, caret, anchor}){
+  if (caret === anchor) return expr.slice(0, caret) + "|" + expr.slice(caret);
+  const [from, to] = selection(caret, anchor);
+  return expr.slice(0, from) + "[" + expr.slice(from, to) + "]" + expr.slice(to);
+}
+function run(expr, caret, anchor, ...actions){
+  let line = {expr, caret, anchor};
+  for (const action of actions) line = edit(line.expr, line.caret, line.anchor, action);
+  return line;
+}
+const left = {type:"move", to:"left"}, right = {type:"move", to:"right"};
+const backspace = {type:"delete", forward:false}, del = {type:"delete", forward:true};
+
+describe("tokenBefore / tokenAfter", ()=>{
+  it("takes a function with its ( and a word with its space as one token", ()=>{
+    assert.equal(tokenBefore("2 + sin("), 4);
+    assert.equal(tokenBefore("1 + Ans"), 4);
+    assert.equal(tokenBefore("5 km"), 3);
+    assert.equal(tokenBefore("max(1, "), 2);
+    assert.equal(tokenBefore("d/dx("), 5);
+    assert.equal(tokenAfter("sin(30)"), 4);
+    assert.equal(tokenAfter(" km + 1"), 4);
+    assert.equal(tokenAfter(", 2)"), 2);
+    assert.equal(tokenBefore(""), 0);
+    assert.equal(tokenAfter(""), 0);
+  });
+});
+
+describe("edit", ()=>{
+  it("moves the caret a token at a time", ()=>{
+    const expr = "sin(5 km, Ans)";
+    let line = {expr, caret: 0, anchor: 0};
+    const stops = [];
+    while (line.caret < expr.length){
+      line = edit(line.expr, line.caret, line.anchor, right);
+      stops.push(line.caret);
+    }
+    assert.deepEqual(stops, [4, 5, 8, 10, 13, 14]);
+    assert.equal(show(run(expr, 14, 14, left)), "sin(5 km, Ans|)");
+    assert.equal(show(run(expr, 13, 13, left)), "sin(5 km,| Ans)"); // a word takes the space before it
+    assert.equal(show(run(expr, 10, 10, left)), "sin(5 km|, Ans)");
+    assert.equal(show(run(expr, 4, 4, left)), "|sin(5 km, Ans)");
+    assert.equal(show(run(expr, 5, 5, {type:"move", to:"end"})), "sin(5 km, Ans)|");
+    assert.equal(show(run(expr, 5, 5, {type:"move", to:"home"})), "|sin(5 km, Ans)");
+  });
+
+  it("grows the selection with Shift and collapses it without", ()=>{
+    const shiftLeft = {type:"move", to:"left", extend:true};
+    assert.equal(show(run("2 + sin(", 8, 8, shiftLeft)), "2 + [sin(]");
+    assert.equal(show(run("2 + sin(", 8, 8, shiftLeft, shiftLeft)), "2 +[ sin(]");
+    assert.equal(show(run("1 + Ans", 0, 0, {type:"move", to:"right", extend:true})), "[1] + Ans");
+    assert.equal(show(run("2 + sin(", 8, 4, left)), "2 + |sin(");
+    assert.equal(show(run("2 + sin(", 8, 4, right)), "2 + sin(|");
+  });
+
+  it("deletes whole tokens with Backspace and Delete", ()=>{
+    assert.equal(show(run("2 + sin(", 8, 8, backspace)), "2 + |");
+    assert.equal(show(run("1 + Ans", 7, 7, backspace)), "1 +|");
+    assert.equal(show(run("5 km", 4, 4, backspace)), "5|");
+    assert.equal(show(run("max(1, 2)", 7, 7, backspace)), "max(1|2)");
+    assert.equal(show(run("sin(30)", 0, 0, del)), "|30)");
+    assert.equal(show(run("5 km", 1, 1, del)), "5|");
+    assert.equal(show(run("1 + Ans", 3, 3, del)), "1 +|");
+    assert.equal(show(run("max(1, 2)", 5, 5, del)), "max(1|2)");
+  });
+
+  it("deletes the selection first, and nothing at the ends", ()=>{
+    assert.equal(show(run("12345", 1, 4, backspace)), "1|5");
+    assert.equal(show(run("12345", 4, 1, del)), "1|5");
+    assert.deepEqual(run("12", 0, 0, backspace), {expr:"12", caret:0, anchor:0});
+    assert.deepEqual(run("12", 2, 2, del), {expr:"12", caret:2, anchor:2});
+  });
+
+  it("inserts over the selection", ()=>{
+    assert.equal(show(run("1 + 2", 4, 5, {type:"insert", text:"sin("})), "1 + sin(|");
+    assert.equal(show(run("", 0, 0, {type:"insert", text:"5"}, {type:"insert", text:" km"})), "5 km|");
+  });
+});
@@ -0,0 +1,39 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { FUNCTIONS } from "../engine.js";
+import { SIGNATURES, namePrefix, completions } from "../complete.js";
+
+describe("namePrefix", ()=>{
+  it("finds the name before the caret", ()=>{
+    assert.equal(namePrefix("2si"), "si");
+    assert.equal(namePrefix("log(x, ba"), "ba");
+    assert.equal(namePrefix("3 + "), "");
+    assert.equal(namePrefix("x2"), "x2");
+  });
+
+  it("skips base prefixes and exponents", ()=>{
+    assert.equal(namePrefix("0x1f"), "");
+    assert.equal(namePrefix("2 + 0b10"), "");
+    assert.equal(namePrefix("1.5e"), "e");
+  });
+});
+
+describe("completions", ()=>{
+  it("offers matching names with signatures, shortest first", ()=>{
+    assert.deepEqual(completions("si").map(s => s.signature), ["sin(x)", "sinh(x)"]);
+    assert.deepEqual(completions("SQ")[0], {name:"sqrt", signature:"sqrt(x)", insert:"sqrt("});
+    assert.deepEqual(completions("p").map(s => s.name), ["pi", "prod", "pctchange"]);
+    assert.deepEqual(completions(""), []);
+  });
+
+  it("adds the caller's names and keeps the limit", ()=>{
+    const r = {name:"r", signature:"r = 3.5", insert:"r"};
+    assert.deepEqual(completions("r", [r])[0], r);
+    assert.equal(completions("s", [], 3).length, 3);
+    assert.deepEqual(completions("sin", [{name:"sin", signature:"mine", insert:"sin"}]).map(s => s.signature), ["sin(x)", "sinh(x)"]);
+  });
+
+  it("has a signature for every built-in", ()=>{
+    for (const f of FUNCTIONS) assert.ok(SIGNATURES[f]?.startsWith(f + "("), f);
+  });
+});
@@ -0,0 +1,62 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import {
+  cx, cAdd, cMul, cDiv, cPow, cSqrt, cLn, cExp, cAsin, cSin, cSinh, cCosh, cAcosh, cAtanh, formatComplex,
+} from "../complex.js";
+import { closeComplex as close } from "./helpers.js";
+
+describe("complex arithmetic", ()=>{
+  it("adds, multiplies and divides", ()=>{
+    assert.deepEqual(cAdd(cx(1, 2), cx(3, -1)), cx(4, 1));
+    assert.deepEqual(cMul(cx(1, 2), cx(3, -1)), cx(5, 5));
+    close(cDiv(cx(5, 5), cx(3, -1)), 1, 2);
+    assert.ok(Number.isNaN(cDiv(cx(1), cx(0)).re));
+  });
+
+  it("raises to integer powers exactly", ()=>{
+    assert.deepEqual(cPow(cx(0, 1), cx(2)), cx(-1, 0));
+    close(cPow(cx(0, 1), cx(-1)), 0, -1);
+    assert.deepEqual(cPow(cx(1, 1), cx(0)), cx(1, 0));
+  });
+
+  it("takes principal roots and logs", ()=>{
+    assert.deepEqual(cSqrt(cx(-4)), cx(0, 2));
+    close(cSqrt(cx(0, 2)), 1, 1);
+    close(cLn(cx(-1)), 0, Math.PI);
+    close(cPow(cx(-8), cx(1/3)), 1, Math.sqrt(3));
+    close(cExp(cx(0, Math.PI)), -1, 0);
+  });
+
+  it("extends trig off the real line", ()=>{
+    close(cSin(cx(0, 1)), 0, Math.sinh(1));
+    close(cAsin(cx(2)), Math.PI / 2, Math.log(2 + Math.sqrt(3)));
+    close(cAsin(cx(-2)), -Math.PI / 2, Math.log(2 + Math.sqrt(3)));
+  });
+
+  it("has hyperbolic functions and their inverses", ()=>{
+    close(cSinh(cx(0, Math.PI / 2)), 0, 1);
+    close(cCosh(cx(1)), Math.cosh(1), 0);
+    close(cAcosh(cx(0.5)), 0, Math.PI / 3);
+    close(cAtanh(cx(0, 1)), 0, Math.PI / 4);
+  });
+});
+
+describe("formatComplex", ()=>{
+  it("prints a+bi", ()=>{
+    assert.equal(formatComplex(cx(3, 4)), "3+4i");
+    assert.equal(formatComplex(cx(3, -4)), "3-4i");
+    assert.equal(formatComplex(cx(0, -1)), "-i");
+    assert.equal(formatComplex(cx(0, 2.5)), "2.5i");
+    assert.equal(formatComplex(cx(NaN, 1)), "Error");
+  });
+
+  it("drops rounding noise", ()=>{
+    assert.equal(formatComplex(cx(-1, 1.2e-16)), "-1");
+  });
+
+  it("prints polar in the angle mode", ()=>{
+    assert.equal(formatComplex(cx(0, 2), {polar:true, mode:"DEG"}), "2∠90°");
+    assert.equal(formatComplex(cx(-1, 0), {polar:true, mode:"RAD"}), "1∠3.14159265359");
+    assert.equal(formatComplex(cx(0, -3), {polar:true, mode:"GRAD"}), "3∠-100ᵍ");
+  });
+});
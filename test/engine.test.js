@@ -0,0 +1,1098 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { createCalculator, tokenize, toRPN, evalRPN, formatNumber, toNumber } from "../engine.js";
+import { formatBig } from "../bignum.js";
+import { close } from "./helpers.js";
+
+describe("tokenize", ()=>{
+  it("reads numbers, operators and parentheses", ()=>{
+    assert.deepEqual(tokenize("1.5+(2)"), [
+      {type:"num", value:1.5, raw:"1.5", span:{start:0, end:3}},
+      {type:"op", value:"+", span:{start:3, end:4}},
+      {type:"paren", value:"(", span:{start:4, end:5}},
+      {type:"num", value:2, raw:"2", span:{start:5, end:6}},
+      {type:"paren", value:")", span:{start:6, end:7}},
+    ]);
+  });
+
+  it("normalizes the UI symbols × ÷ − π Ans", ()=>{
+    const types = tokenize("2×π÷Ans−1").map(t => t.value);
+    assert.deepEqual(types, [2, "*", "pi", "/", "ans", "-", 1]);
+  });
+
+  it("reads pasted symbols · √ and superscript powers", ()=>{
+    const calc = createCalculator();
+    assert.equal(calc.evaluate("2·3⋅4"), 24);
+    assert.equal(calc.evaluate("√16 + 2√(9)"), 10);
+    assert.equal(calc.evaluate("3² + 2³"), 17);
+    assert.equal(calc.evaluate("10⁻²"), 0.01);
+    assert.equal(calc.evaluate("5 − 1²²"), 4);
+    assert.deepEqual(tokenize("x²").map(t => t.value), ["x", "^", 2]);
+    assert.deepEqual(tokenize("x²").at(-1).span, {start:1, end:2});
+  });
+
+  it("reads exponent literals but keeps e as Euler's number elsewhere", ()=>{
+    const values = (s)=> tokenize(s).map(t => t.value);
+    assert.deepEqual(values("6.02e23"), [6.02e23]);
+    assert.deepEqual(values("1.2E-5"), [1.2e-5]);
+    assert.deepEqual(values("2e+1"), [20]);
+    assert.deepEqual(values("2e"), [2, "*", "e"]);
+    assert.deepEqual(values("e2"), ["e", "*", 2]);
+    assert.deepEqual(values("2e-x"), [2, "*", "e", "-", "x"]);
+  });
+
+  it("reads the EE marker as an exponent", ()=>{
+    assert.deepEqual(tokenize("6.02ᴇ23").map(t => [t.value, t.span]), [[6.02e23, {start:0, end:7}]]);
+    assert.deepEqual(tokenize("1÷2ᴇ−3").map(t => t.value), [1, "/", 0.002]);
+    assert.throws(()=> tokenize("xᴇ2"), /Unexpected char: ᴇ/);
+    assert.throws(()=> tokenize("1e400"), {code:"OVERFLOW"});
+  });
+
+  it("reads a typed ×10^ as a product and a power", ()=>{
+    const calc = createCalculator();
+    assert.equal(calc.evaluate("2^3×10^2"), 800);
+    assert.equal(calc.evaluate("1/2×10^3"), 500);
+    assert.equal(calc.evaluate("3×10^2^2"), 30000);
+    assert.equal(calc.evaluate("2^3ᴇ2"), 2 ** 300);
+  });
+
+  it("rejects unknown characters", ()=>{
+    assert.throws(()=> tokenize("2#3"), /Unexpected char: #/);
+  });
+
+  it("resolves functions and constants before variables", ()=>{
+    const kinds = (s)=> tokenize(s).map(({type, value})=> ({type, value}));
+    assert.deepEqual(kinds("sin x"), [{type:"fn", value:"sin"}, {type:"var", value:"x"}]);
+    assert.deepEqual(kinds("PI"), [{type:"const", value:"pi"}]);
+    assert.deepEqual(kinds("rate"), [{type:"var", value:"rate"}]);
+  });
+
+  it("uses whitespace as a separator", ()=>{
+    const values = tokenize("pi r^2").map(t => t.value);
+    assert.deepEqual(values, ["pi", "*", "r", "^", 2]);
+  });
+});
+
+describe("toRPN", ()=>{
+  it("orders by precedence", ()=>{
+    const rpn = toRPN(tokenize("1+2*3")).map(t => t.value);
+    assert.deepEqual(rpn, [1, 2, 3, "*", "+"]);
+  });
+
+  it("emits prefix functions after their argument", ()=>{
+    const rpn = toRPN(tokenize("sin(30)+1")).map(t => t.value);
+    assert.deepEqual(rpn, [30, "sin", 1, "+"]);
+  });
+
+  it("reports mismatched parentheses", ()=>{
+    assert.throws(()=> toRPN(tokenize("(1+2")), /Mismatched parentheses/);
+    assert.throws(()=> toRPN(tokenize("1+2)")), /Mismatched parentheses/);
+  });
+});
+
+describe("evaluate", ()=>{
+  const calc = createCalculator();
+
+  it("follows operator precedence and associativity", ()=>{
+    assert.equal(calc.evaluate("2+3×4"), 14);
+    assert.equal(calc.evaluate("(2+3)×4"), 20);
+    assert.equal(calc.evaluate("10-4-3"), 3);
+    assert.equal(calc.evaluate("2^3^2"), 512);
+    assert.equal(calc.evaluate("8÷4÷2"), 1);
+  });
+
+  it("handles unary minus", ()=>{
+    assert.equal(calc.evaluate("-3+5"), 2);
+    assert.equal(calc.evaluate("2×-3"), -6);
+    assert.equal(calc.evaluate("-2^2"), -4);
+    assert.equal(calc.evaluate("(-2)^2"), 4);
+    assert.equal(calc.evaluate("2^-3"), 0.125); // the minus does not pop the ^ before it
+    assert.equal(calc.evaluate("2^-2^2"), 0.0625);
+    assert.equal(calc.evaluate("1/-2^2"), -0.25);
+    assert.equal(calc.evaluate("--4"), 4);
+  });
+
+  it("inserts implicit multiplication", ()=>{
+    assert.equal(calc.evaluate("2(3+4)"), 14);
+    assert.equal(calc.evaluate("(1+1)(2+2)"), 8);
+    close(calc.evaluate("2π"), 2 * Math.PI);
+    assert.equal(calc.evaluate("2sin(90)"), 2);
+    assert.equal(calc.evaluate("3!2"), 12);
+  });
+
+  it("reads a lone x% as x/100", ()=>{
+    assert.equal(calc.evaluate("10%"), 0.1);
+    assert.equal(calc.evaluate("-25%"), -0.25);
+    assert.equal(calc.evaluate("sqrt(16)%"), 0.04);
+    assert.equal(calc.evaluate("3!%"), 0.06);
+    assert.throws(()=> calc.evaluate("%"), /Bad expression/);
+  });
+
+  it("adds and subtracts a percentage of the left operand", ()=>{
+    assert.equal(calc.evaluate("200 + 10%"), 220);
+    assert.equal(calc.evaluate("200 − 10%"), 180);
+    assert.equal(calc.evaluate("(200 + 10%)×2"), 440);
+    assert.equal(calc.evaluate("50 + 150 + 10%"), 220);
+    assert.equal(calc.evaluate("2×50 + 5%"), 105);
+    assert.equal(createCalculator({numberMode:"PROG"}).evaluate("200 + 15%"), 230n);
+  });
+
+  it("multiplies and divides by a percentage as a fraction", ()=>{
+    assert.equal(calc.evaluate("200 × 10%"), 20);
+    assert.equal(calc.evaluate("20 ÷ 10%"), 200);
+    assert.equal(calc.evaluate("200 + 10% × 2"), 200.2);
+    assert.equal(calc.evaluate("200%10"), 20);
+    assert.throws(()=> calc.evaluate("5 ÷ 0%"), {code:"DIVISION_BY_ZERO"});
+  });
+
+  it("computes the percent change with %Δ", ()=>{
+    assert.equal(calc.evaluate("%Δ(100, 120)"), 20);
+    assert.equal(calc.evaluate("pctchange(80, 60)"), -25);
+    assert.equal(calc.evaluate("200 + %Δ(50, 60)%"), 240);
+    assert.throws(()=> calc.evaluate("%Δ(0, 5)"), {code:"DIVISION_BY_ZERO"});
+    assert.throws(()=> calc.evaluate("%Δ(1)"), /pctchange expects 2 arguments, got 1/);
+  });
+
+  it("computes postfix factorial", ()=>{
+    assert.equal(calc.evaluate("5!"), 120);
+    assert.equal(calc.evaluate("0!"), 1);
+    assert.equal(calc.evaluate("3!+1"), 7);
+    assert.equal(calc.evaluate("(1+2)!"), 6);
+    assert.throws(()=> calc.evaluate("(-1)!"), {code:"DOMAIN", message:"Factorial of a negative integer"});
+  });
+
+  it("extends factorial to non-integers with gamma", ()=>{
+    close(calc.evaluate("2.5!"), 3.323350970447843);
+    close(calc.evaluate("(-0.5)!"), Math.sqrt(Math.PI));
+    close(calc.evaluate("gamma(0.5)"), Math.sqrt(Math.PI));
+    assert.equal(calc.evaluate("gamma(5)"), 24);
+    assert.throws(()=> calc.evaluate("gamma(-2)"), {code:"DOMAIN"});
+  });
+
+  it("supports log, ln, sqrt and inv", ()=>{
+    assert.equal(calc.evaluate("log(1000)"), 3);
+    close(calc.evaluate("ln(e)"), 1);
+    assert.equal(calc.evaluate("sqrt(16)"), 4);
+    assert.equal(calc.evaluate("inv(4)"), 0.25);
+  });
+
+  it("rejects malformed expressions", ()=>{
+    assert.throws(()=> calc.evaluate("2+"), /Bad expression/);
+    assert.throws(()=> calc.evaluate("()"), /Bad expression/);
+  });
+});
+
+describe("multi-argument functions", ()=>{
+  const calc = createCalculator();
+
+  it("takes an optional base for log", ()=>{
+    close(calc.evaluate("log(8, 2)"), 3);
+    assert.equal(calc.evaluate("log(100)"), 2);
+  });
+
+  it("computes real nth roots", ()=>{
+    close(calc.evaluate("root(27, 3)"), 3);
+    close(calc.evaluate("root(-8, 3)"), -2);
+    assert.throws(()=> calc.evaluate("root(-16, 4)"), /root of a negative number/);
+  });
+
+  it("applies the angle mode to atan2", ()=>{
+    close(calc.evaluate("atan2(1, 1)"), 45);
+    close(calc.evaluate("atan2(-1, -1)"), -135);
+    close(createCalculator({mode:"RAD"}).evaluate("atan2(1, 0)"), Math.PI / 2);
+  });
+
+  it("counts combinations and permutations", ()=>{
+    assert.equal(calc.evaluate("nCr(10, 3)"), 120);
+    assert.equal(calc.evaluate("nPr(10, 3)"), 720);
+    assert.equal(calc.evaluate("NCR(52, 5)"), 2598960);
+    assert.throws(()=> calc.evaluate("nCr(3, 5)"), /nCr needs whole numbers n ≥ r ≥ 0/);
+    assert.throws(()=> calc.evaluate("nPr(2.5, 1)"), /nPr needs whole numbers/);
+  });
+
+  it("accepts any number of arguments for min, max and hypot", ()=>{
+    assert.equal(calc.evaluate("min(3, -1, 2)"), -1);
+    assert.equal(calc.evaluate("max(7)"), 7);
+    assert.equal(calc.evaluate("max(1, 2+3, 4)"), 5);
+    assert.equal(calc.evaluate("hypot(2, 3, 6)"), 7);
+  });
+
+  it("evaluates expressions inside argument lists", ()=>{
+    assert.equal(calc.evaluate("max(-2, -3) × 2"), -4);
+    assert.equal(calc.evaluate("2min(4, sqrt(9))"), 6);
+    assert.equal(calc.evaluate("hypot(min(3, 5), max(4, 1))"), 5);
+  });
+
+  it("names the function in arity errors", ()=>{
+    assert.throws(()=> calc.evaluate("atan2(1)"), /atan2 expects 2 arguments, got 1/);
+    assert.throws(()=> calc.evaluate("log(1, 2, 3)"), /log expects 1 or 2 arguments, got 3/);
+    assert.throws(()=> calc.evaluate("min()"), /min expects at least 1 argument, got 0/);
+    assert.throws(()=> calc.evaluate("sqrt(1, 2)"), /sqrt expects 1 argument, got 2/);
+  });
+
+  it("rejects a comma outside an argument list", ()=>{
+    assert.throws(()=> calc.evaluate("(1, 2)"), /Unexpected ,/);
+    assert.throws(()=> calc.evaluate("1, 2"), /Unexpected ,/);
+  });
+});
+
+describe("angle modes", ()=>{
+  it("uses degrees in DEG mode", ()=>{
+    const calc = createCalculator({mode:"DEG"});
+    close(calc.evaluate("sin(30)"), 0.5);
+    close(calc.evaluate("cos(60)"), 0.5);
+    close(calc.evaluate("tan(45)"), 1);
+    close(calc.evaluate("asin(1)"), 90);
+    close(calc.evaluate("atan(1)"), 45);
+  });
+
+  it("uses radians in RAD mode", ()=>{
+    const calc = createCalculator({mode:"RAD"});
+    close(calc.evaluate("sin(π/6)"), 0.5);
+    close(calc.evaluate("acos(-1)"), Math.PI);
+  });
+
+  it("follows mode changes on an existing calculator", ()=>{
+    const calc = createCalculator({mode:"RAD"});
+    close(calc.evaluate("sin(90)"), Math.sin(90));
+    calc.mode = "DEG";
+    close(calc.evaluate("sin(90)"), 1);
+  });
+
+  it("uses gradians in GRAD mode", ()=>{
+    const calc = createCalculator({mode:"GRAD"});
+    close(calc.evaluate("sin(100)"), 1);
+    close(calc.evaluate("cos(200)"), -1);
+    close(calc.evaluate("asin(1)"), 100);
+    close(calc.evaluate("atan2(1, 0)"), 100);
+    close(createCalculator({mode:"GRAD", numberMode:"CPLX"}).evaluate("arg(i)"), 100);
+  });
+
+  it("reads degree-minute-second literals", ()=>{
+    const calc = createCalculator({mode:"DEG"});
+    close(calc.evaluate(`30°15'20"`), 30 + 15/60 + 20/3600);
+    close(calc.evaluate("30°30'"), 30.5);
+    close(calc.evaluate("-10°30′36″"), -10.51);
+    close(calc.evaluate(`sin(30°0'0")`), 0.5);
+    close(createCalculator({mode:"RAD"}).evaluate("90°0'"), Math.PI / 2);
+    assert.deepEqual(createCalculator({numberMode:"FRAC"}).evaluate("30°15'"), {type:"frac", n:121n, d:4n});
+  });
+
+  it("converts a value with an angle suffix to the mode", ()=>{
+    const deg = createCalculator({mode:"DEG"});
+    close(deg.evaluate("sin(90°)"), 1);
+    close(deg.evaluate("sin(1.5707963267948966ʳ)"), 1);
+    close(deg.evaluate("cos(200ᵍ)"), -1);
+    close(deg.evaluate("(45 + 45)°"), 90);
+    const rad = createCalculator({mode:"RAD"});
+    close(rad.evaluate("sin(30°)"), 0.5);
+    close(rad.evaluate("100ᵍ"), Math.PI / 2);
+    close(rad.evaluate("(50 + 50)ᵍ"), Math.PI / 2);
+    close(createCalculator({mode:"GRAD"}).evaluate("90° + 1ʳ"), 100 + 200 / Math.PI);
+  });
+
+  it("converts an angle to °, ʳ or ᵍ with to", ()=>{
+    const deg = createCalculator({mode:"DEG"});
+    assert.equal(deg.evaluate("100ᵍ to °"), 90);
+    assert.equal(deg.evaluate("90° in ᵍ"), 100);
+    close(deg.evaluate("180 to ʳ"), Math.PI);
+    const rad = createCalculator({mode:"RAD"});
+    close(rad.evaluate("pi to °"), 180);
+    close(rad.evaluate("1.2ʳ to ᵍ"), 240 / Math.PI);
+    assert.equal(formatNumber(deg.evaluate("20 °C to °F")), "68 °F");
+    assert.throws(()=> deg.evaluate("5 km to °"), /to ° needs a real number/);
+  });
+
+  it("has sec, csc, cot and their inverses", ()=>{
+    const calc = createCalculator({mode:"DEG"});
+    close(calc.evaluate("sec(60)"), 2);
+    close(calc.evaluate("csc(30)"), 2);
+    close(calc.evaluate("cot(45)"), 1);
+    assert.equal(calc.evaluate("cot(90)"), 0);
+    close(calc.evaluate("asec(2)"), 60);
+    close(calc.evaluate("acsc(-2)"), -30);
+    close(calc.evaluate("acot(1)"), 45);
+    close(createCalculator({mode:"RAD"}).evaluate("sec(pi)"), -1);
+  });
+
+  it("reads a plain g after a number as grams", ()=>{
+    const calc = createCalculator({mode:"DEG"});
+    assert.equal(formatNumber(calc.evaluate("5g to mg")), "5000 mg");
+    assert.equal(formatNumber(calc.evaluate("2kg+500g")), "2.5 kg");
+    assert.equal(formatNumber(calc.evaluate("500g to kg")), "0.5 kg");
+    assert.equal(formatNumber(calc.evaluate("500 g to kg")), "0.5 kg");
+  });
+
+  it("leaves units, variables and parameters named r or g alone", ()=>{
+    const calc = createCalculator({mode:"DEG"});
+    assert.equal(formatNumber(calc.evaluate("20 °C to °F")), "68 °F");
+    calc.execute("r = 3");
+    assert.equal(calc.evaluate("2r"), 6);
+    calc.execute("f(g) = 2g + 1");
+    assert.equal(calc.evaluate("f(3)"), 7);
+    assert.equal(calc.evaluate("sum(g, g, 1, 4)"), 10);
+    assert.equal(calc.evaluate("sum(2g, g, 1, 4)"), 20);
+  });
+});
+
+describe("hyperbolic functions", ()=>{
+  const calc = createCalculator({mode:"DEG"});
+
+  it("ignores the angle mode", ()=>{
+    close(calc.evaluate("sinh(1)"), Math.sinh(1));
+    close(calc.evaluate("cosh(1)"), Math.cosh(1));
+    close(calc.evaluate("tanh(0.5)"), Math.tanh(0.5));
+    close(createCalculator({mode:"GRAD"}).evaluate("sinh(2)"), Math.sinh(2));
+  });
+
+  it("has inverses", ()=>{
+    close(calc.evaluate("asinh(sinh(2))"), 2);
+    close(calc.evaluate("acosh(cosh(3))"), 3);
+    close(calc.evaluate("atanh(tanh(-0.5))"), -0.5);
+    assert.equal(calc.evaluate("ACOSH(1)"), 0);
+  });
+
+  it("gives complex results outside the real domain in CPLX mode", ()=>{
+    const cplx = createCalculator({mode:"RAD", numberMode:"CPLX"});
+    assert.equal(formatNumber(cplx.evaluate("acosh(0)")), "1.57079632679i");
+    assert.equal(formatNumber(cplx.evaluate("sinh(i)")), "0.841470984808i");
+    assert.equal(formatNumber(cplx.evaluate("asec(0.5)")), "-1.31695789692i"); // acos(2)
+  });
+});
+
+describe("Ans", ()=>{
+  it("reads the calculator's ans", ()=>{
+    const calc = createCalculator({ans:7});
+    assert.equal(calc.evaluate("Ans×2"), 14);
+    calc.ans = 3;
+    assert.equal(calc.evaluate("2Ans"), 6);
+  });
+
+  it("is passed explicitly to evalRPN", ()=>{
+    const rpn = toRPN(tokenize("ans+1"));
+    assert.equal(evalRPN(rpn, {ans:41}), 42);
+  });
+});
+
+describe("variables", ()=>{
+  it("lets an assignment or a parameter named i shadow the imaginary unit", ()=>{
+    const calc = createCalculator();
+    assert.equal(calc.evaluate("i^2"), -1);
+    assert.equal(calc.evaluate("i = 3"), 3);
+    assert.equal(calc.evaluate("i + 1"), 4);
+    calc.execute("f(i) = 2i");
+    assert.equal(calc.evaluate("f(5)"), 10);
+    assert.equal(createCalculator().evaluate("i^2"), -1);
+  });
+
+  it("assigns and reads back", ()=>{
+    const calc = createCalculator();
+    assert.equal(calc.evaluate("r = 3.5"), 3.5);
+    assert.equal(calc.vars.get("r"), 3.5);
+    close(calc.evaluate("area = pi r^2"), Math.PI * 12.25);
+    close(calc.vars.get("area"), Math.PI * 12.25);
+  });
+
+  it("multiplies implicitly next to variables", ()=>{
+    const calc = createCalculator({vars:{x:5, y:2}});
+    assert.equal(calc.evaluate("2x + 1"), 11);
+    assert.equal(calc.evaluate("x(y+1)"), 15);
+    assert.equal(calc.evaluate("x y"), 10);
+    assert.equal(calc.evaluate("-x"), -5);
+  });
+
+  it("accepts a negative right-hand side", ()=>{
+    const calc = createCalculator();
+    assert.equal(calc.evaluate("t = -4"), -4);
+  });
+
+  it("keeps variable names case-sensitive", ()=>{
+    const calc = createCalculator({vars:{R:2, r:3}});
+    assert.equal(calc.evaluate("R r"), 6);
+  });
+
+  it("reports undefined variables", ()=>{
+    const calc = createCalculator();
+    assert.throws(()=> calc.evaluate("2z"), /Unknown identifier: z/);
+  });
+
+  it("refuses to assign to functions, constants or expressions", ()=>{
+    const calc = createCalculator();
+    assert.throws(()=> calc.evaluate("pi = 3"), /Cannot assign to pi/);
+    assert.throws(()=> calc.evaluate("sin = 3"), /Cannot assign to sin/);
+    assert.throws(()=> calc.evaluate("2 = 3"), /Can only assign to a name/);
+    assert.throws(()=> calc.evaluate("x = "), /Missing value for x/);
+    assert.throws(()=> calc.evaluate("1 + x = 3"), /Can only assign to a name/);
+  });
+
+  it("leaves the table alone when commit is false", ()=>{
+    const calc = createCalculator();
+    assert.equal(calc.evaluate("k = 9", {commit:false}), 9);
+    assert.equal(calc.vars.has("k"), false);
+  });
+});
+
+describe("user functions", ()=>{
+  it("defines and calls a one-parameter function", ()=>{
+    const calc = createCalculator();
+    assert.deepEqual(calc.execute("f(x) = x^2 + 1"), {kind:"define", name:"f"});
+    assert.equal(calc.evaluate("f(3)"), 10);
+    assert.equal(calc.evaluate("2f(3) + 1"), 21);
+    assert.equal(calc.funcs.get("f").body, "x^2 + 1");
+  });
+
+  it("binds several parameters and sees global variables", ()=>{
+    const calc = createCalculator({vars:{k:10}});
+    calc.evaluate("g(a, b) = k a + b");
+    assert.equal(calc.evaluate("g(2, 3)"), 23);
+    assert.equal(calc.evaluate("g(1, -1)"), 9);
+  });
+
+  it("lets parameters shadow variables", ()=>{
+    const calc = createCalculator({vars:{x:100}});
+    calc.evaluate("f(x) = 2x");
+    assert.equal(calc.evaluate("f(4) + x"), 108);
+  });
+
+  it("calls other user functions and nests calls", ()=>{
+    const calc = createCalculator();
+    calc.evaluate("sq(x) = x^2");
+    calc.evaluate("hyp(a, b) = sqrt(sq(a) + sq(b))");
+    assert.equal(calc.evaluate("hyp(3, 4)"), 5);
+    assert.equal(calc.evaluate("sq(sq(2))"), 16);
+  });
+
+  it("redefines a function in place", ()=>{
+    const calc = createCalculator();
+    calc.evaluate("f(x) = x + 1");
+    calc.evaluate("f(x) = x + 2");
+    assert.equal(calc.evaluate("f(1)"), 3);
+  });
+
+  it("detects direct and indirect recursion", ()=>{
+    const calc = createCalculator();
+    assert.throws(()=> calc.evaluate("f(n) = n f(n-1)"), /Recursive definition: f calls itself/);
+    calc.evaluate("f(x) = x");
+    calc.evaluate("g(x) = f(x) + 1");
+    assert.throws(()=> calc.evaluate("f(x) = g(x)"), /Recursive definition: f → g → f/);
+    assert.equal(calc.evaluate("g(1)"), 2);
+  });
+
+  it("reports names that are neither parameters nor variables", ()=>{
+    const calc = createCalculator();
+    assert.throws(()=> calc.evaluate("f(x) = x + y"), /Undefined parameter y in f\(x\)/);
+    assert.equal(calc.funcs.has("f"), false);
+  });
+
+  it("checks the number of arguments", ()=>{
+    const calc = createCalculator();
+    calc.evaluate("f(a, b) = a - b");
+    assert.throws(()=> calc.evaluate("f(1)"), /f expects 2 arguments, got 1/);
+    assert.throws(()=> calc.evaluate("f(1, 2, 3)"), /f expects 2 arguments, got 3/);
+  });
+
+  it("rejects bad definitions", ()=>{
+    const calc = createCalculator({vars:{v:1}});
+    assert.throws(()=> calc.evaluate("sin(x) = x"), /Cannot redefine sin/);
+    assert.throws(()=> calc.evaluate("f(x, x) = x"), /Duplicate parameter: x/);
+    assert.throws(()=> calc.evaluate("f(2) = 1"), /Bad parameter in f: 2/);
+    assert.throws(()=> calc.evaluate("v(x) = x"), /v is already a variable/);
+    calc.evaluate("f(x) = x");
+    assert.throws(()=> calc.evaluate("f = 3"), /f is already a function/);
+  });
+
+  it("does not store anything when commit is false", ()=>{
+    const calc = createCalculator();
+    calc.execute("f(x) = x", {commit:false});
+    assert.equal(calc.funcs.size, 0);
+  });
+});
+
+describe("FRAC mode", ()=>{
+  const calc = createCalculator({numberMode:"FRAC"});
+  const exact = (expr)=> formatNumber(calc.evaluate(expr));
+
+  it("keeps + - × ÷ exact", ()=>{
+    assert.equal(exact("1/3 + 1/6"), "1/2");
+    assert.equal(exact("0.1 + 0.2"), "3/10");
+    assert.equal(exact("2/3 × 9/4 - 1"), "1/2");
+    assert.equal(exact("-3/4"), "-3/4");
+    assert.equal(exact("200%10"), "20");
+    assert.equal(exact("1/3 + 10%"), "11/30");
+    assert.equal(exact("%Δ(3, 4)"), "100/3");
+  });
+
+  it("keeps integer powers and exact roots exact", ()=>{
+    assert.equal(exact("(2/3)^3"), "8/27");
+    assert.equal(exact("2^-3"), "1/8");
+    assert.equal(exact("2^100"), "1267650600228229401496703205376");
+    assert.equal(exact("sqrt(16/25)"), "4/5");
+    assert.equal(exact("8^(2/3)"), "4");
+    assert.equal(exact("root(-27/8, 3)"), "-3/2");
+  });
+
+  it("keeps inv, factorial, nCr/nPr and min/max exact", ()=>{
+    assert.equal(exact("inv(3/7)"), "7/3");
+    assert.equal(exact("25!"), "15511210043330985984000000");
+    assert.equal(exact("nCr(60, 30)"), "118264581564861424");
+    assert.equal(exact("max(1/3, 1/4)"), "1/3");
+  });
+
+  it("falls back to decimals for irrational results", ()=>{
+    assert.equal(exact("sqrt(2)"), "1.41421356237");
+    assert.equal(exact("sin(30)"), "0.5");
+    assert.equal(exact("pi/2"), "1.57079632679");
+    assert.equal(exact("2^0.5"), "1.41421356237");
+  });
+
+  it("reports division by zero by name", ()=>{
+    assert.throws(()=> exact("1/0"), {code:"DIVISION_BY_ZERO", message:"Division by zero"});
+  });
+
+  it("converts to a number on request", ()=>{
+    assert.equal(toNumber(calc.evaluate("7/2")), 3.5);
+  });
+
+  it("stays in floating point in REAL mode", ()=>{
+    const real = createCalculator();
+    assert.equal(real.evaluate("1/4"), 0.25);
+  });
+});
+
+describe("PREC mode", ()=>{
+  const calc = createCalculator({numberMode:"PREC"});
+  const full = (expr)=> formatBig(calc.evaluate(expr), {notation:"full"});
+
+  it("keeps integers exact past the double range", ()=>{
+    assert.equal(full("30!"), "265252859812191058636308480000000");
+    assert.equal(full("2^100"), "1267650600228229401496703205376");
+    assert.equal(full("123456789012345678901234567890 + 1"), "123456789012345678901234567891");
+    assert.equal(full("200!").length, 375);
+    assert.equal(formatBig(calc.evaluate("2^2000"), {notation:"sci", maxDigits:6}), "1.14813e+602");
+  });
+
+  it("rounds non-integers to the chosen number of digits", ()=>{
+    assert.equal(full("1/3"), "0." + "3".repeat(50));
+    assert.equal(full("0.1 + 0.2"), "0.3");
+    calc.precision = 20;
+    assert.equal(full("2/3"), "0.66666666666666666667");
+    assert.equal(full("sqrt(2)"), "1.4142135623730950488");
+    assert.equal(full("pi"), "3.1415926535897932385");
+    calc.precision = 50;
+  });
+
+  it("reads literals without going through a double", ()=>{
+    assert.equal(full("0.12345678901234567890123 × 10"), "1.2345678901234567890123");
+  });
+
+  it("keeps nCr/nPr, exact roots and min/max in big decimals", ()=>{
+    assert.equal(full("nCr(100, 50)"), "100891344545564193334812497256");
+    assert.equal(full("nPr(30, 20)"), "73096577329197271449600000");
+    assert.equal(full("sqrt(16)"), "4");
+    assert.equal(full("root(-27, 3)"), "-3");
+    assert.equal(full("max(0.3, 1/4)"), "0.3");
+  });
+
+  it("falls back to a number where it must", ()=>{
+    assert.equal(formatNumber(calc.evaluate("sin(30)")), "0.5");
+    close(calc.evaluate("2.5!"), 3.323350970447843);
+    assert.throws(()=> calc.evaluate("1/0"), {code:"DIVISION_BY_ZERO"});
+  });
+
+  it("shows big values compactly in formatNumber", ()=>{
+    assert.equal(formatNumber(calc.evaluate("2^2000")), "1.14813069527e+602");
+    assert.equal(formatNumber(calc.evaluate("1/8")), "0.125");
+  });
+});
+
+describe("CPLX mode", ()=>{
+  const calc = createCalculator({mode:"RAD", numberMode:"CPLX"});
+  const show = (expr)=> formatNumber(calc.evaluate(expr));
+
+  it("carries complex values through the operators", ()=>{
+    assert.equal(show("i^2"), "-1");
+    assert.equal(show("(1+2i)(3-i)"), "5+5i");
+    assert.equal(show("1/i"), "-i");
+    assert.equal(show("-(2 - 3i)"), "-2+3i");
+    assert.equal(show("e^(i pi)"), "-1");
+  });
+
+  it("gives complex results where there is no real one", ()=>{
+    assert.equal(show("sqrt(-4)"), "2i");
+    assert.equal(show("ln(-1)"), "3.14159265359i");
+    assert.equal(show("log(-100)"), "2+1.36437635384i");
+    assert.equal(show("(-8)^(1/3)"), "1+1.73205080757i");
+    assert.equal(show("asin(2)"), "1.57079632679+1.31695789692i"); // the sign cmath and C99 give
+    assert.equal(show("acos(-2)"), "3.14159265359-1.31695789692i");
+    assert.equal(calc.evaluate("root(-8, 3)"), -2);
+  });
+
+  it("has re, im, abs, arg and conj", ()=>{
+    assert.equal(calc.evaluate("re(3+4i)"), 3);
+    assert.equal(calc.evaluate("im(3+4i)"), 4);
+    assert.equal(calc.evaluate("abs(3+4i)"), 5);
+    assert.equal(show("conj(3+4i)"), "3-4i");
+    close(calc.evaluate("arg(i)"), Math.PI / 2);
+    close(createCalculator({mode:"DEG"}).evaluate("arg(-1+0i)"), 180);
+  });
+
+  it("follows the angle mode for complex trig", ()=>{
+    const deg = createCalculator({mode:"DEG", numberMode:"CPLX"});
+    close(deg.evaluate("sin(90 + 0i)"), 1);
+    assert.equal(formatNumber(deg.evaluate("asin(2)")), "90+1.31695789692i");
+    assert.equal(formatNumber(deg.evaluate("acos(2)")), "-1.31695789692i");
+    assert.equal(formatNumber(createCalculator({mode:"GRAD", numberMode:"CPLX"}).evaluate("asin(-2)")), "-100+1.31695789692i");
+  });
+
+  it("keeps complex variables", ()=>{
+    calc.evaluate("z = 2 + i");
+    assert.equal(show("z^2"), "3+4i");
+  });
+
+  it("stays real outside CPLX mode unless i is used", ()=>{
+    const real = createCalculator({mode:"RAD"});
+    assert.throws(()=> real.evaluate("sqrt(-4)"), /Square root of a negative number/);
+    assert.equal(real.evaluate("i^2"), -1);
+    assert.equal(real.evaluate("abs(-3)"), 3);
+  });
+
+  it("rejects functions with no complex version", ()=>{
+    assert.throws(()=> calc.evaluate("nCr(i, 2)"), /nCr is not defined for complex numbers/);
+    assert.throws(()=> calc.evaluate("i!"), /fact is not defined for complex numbers/);
+  });
+});
+
+describe("PROG mode", ()=>{
+  const calc = createCalculator({numberMode:"PROG"});
+
+  it("reads 0x / 0b / 0o literals in every mode", ()=>{
+    assert.equal(createCalculator().evaluate("0xFF + 0b11 + 0o10"), 266);
+    assert.equal(calc.evaluate("0xFF"), 255n);
+  });
+
+  it("fails with a located CalcError when a result has no integer value", ()=>{
+    for (const [expr, text] of [["5 km", "km"], ["{1, 2}", "{"], ["[[1]]", "["]]){
+      assert.throws(()=> calc.evaluate(expr), (e)=> e.code === "DOMAIN" && e.message === "No integer value" && expr.slice(e.span.start, e.span.end) === text);
+    }
+  });
+
+  it("has bitwise operators that bind looser than arithmetic", ()=>{
+    assert.equal(calc.evaluate("0xFF and not 0x0F"), 0xF0n);
+    assert.equal(calc.evaluate("0b1010 xor 0b0110 or 1"), 0b1101n);
+    assert.equal(calc.evaluate("1 + 2 << 3"), 24n);
+    assert.equal(calc.evaluate("-16 >> 2"), -4n);
+  });
+
+  it("does integer arithmetic", ()=>{
+    assert.equal(calc.evaluate("7 / 2"), 3n);
+    assert.equal(calc.evaluate("-7 mod 3"), 2n);
+    assert.equal(calc.evaluate("7.9"), 7n);
+    assert.throws(()=> calc.evaluate("1 / 0"), /Division by zero/);
+  });
+
+  it("wraps to the word size, signed or unsigned", ()=>{
+    assert.equal(calc.evaluate("0xFFFFFFFFFFFFFFFF"), -1n);
+    assert.equal(calc.evaluate("1 << 63"), -(2n ** 63n));
+    const byte = createCalculator({numberMode:"PROG", wordSize:8, signed:false});
+    assert.equal(byte.evaluate("not 0"), 255n);
+    assert.equal(byte.evaluate("200 + 100"), 44n);
+    byte.signed = true;
+    assert.equal(byte.evaluate("127 + 1"), -128n);
+  });
+});
+
+describe("mod and bitwise outside PROG", ()=>{
+  const calc = createCalculator();
+
+  it("takes a floored mod", ()=>{
+    assert.equal(calc.evaluate("7 mod 3"), 1);
+    assert.equal(calc.evaluate("-7 mod 3"), 2);
+    assert.equal(calc.evaluate("5.5 mod 2"), 1.5);
+    const exact = createCalculator({numberMode:"FRAC"});
+    assert.equal(formatNumber(exact.evaluate("-7/2 mod 3")), "5/2");
+  });
+
+  it("needs whole numbers for bitwise operators", ()=>{
+    assert.equal(calc.evaluate("6 and 3"), 2);
+    assert.equal(calc.evaluate("not 5"), -6);
+    assert.throws(()=> calc.evaluate("1.5 and 1"), /and needs whole numbers/);
+  });
+});
+
+describe("units", ()=>{
+  const calc = createCalculator();
+  const show = (expr)=> formatNumber(calc.evaluate(expr));
+
+  it("reads a unit after a value", ()=>{
+    assert.equal(show("5 km + 300 m"), "5.3 km");
+    assert.equal(show("10 m / 2 s"), "5 m/s");
+    assert.equal(show("5 m/s * 3 s"), "15 m");
+    assert.equal(show("2 kg * 9.81 m/s^2"), "19.62 N");
+    assert.equal(show("(3 m)^2"), "9 m^2");
+  });
+
+  it("converts with to / in", ()=>{
+    assert.equal(show("5 km + 300 m to ft"), "17388.4514436 ft");
+    assert.equal(show("100 km/h to m/s"), "27.7777777778 m/s");
+    assert.equal(show("1 h in min"), "60 min");
+    assert.throws(()=> calc.evaluate("5 km to s"), /Cannot convert length to time/);
+    assert.throws(()=> calc.evaluate("5 to km"), /Cannot convert a plain number to length/);
+  });
+
+  it("handles temperature offsets", ()=>{
+    assert.equal(show("20 °C to °F"), "68 °F");
+    assert.equal(show("-40 °C in °F"), "-40 °F");
+    assert.equal(show("300 K to °C"), "26.85 °C");
+    assert.equal(show("20 °C + 5 °C"), "25 °C");
+    assert.equal(show("30 °C - 20 °C"), "10 K");
+  });
+
+  it("checks dimensions", ()=>{
+    assert.throws(()=> calc.evaluate("5 m + 3 s"), /Cannot add length and time/);
+    assert.throws(()=> calc.evaluate("sin(3 m)"), /sin needs a plain number, not length/);
+    assert.equal(show("sqrt(9 m^2)"), "3 m");
+    assert.equal(calc.evaluate("10 km / 5 m"), 2000);
+  });
+
+  it("leaves variables and functions with unit names alone", ()=>{
+    const c = createCalculator();
+    assert.equal(c.evaluate("min(1, 2)"), 1);
+    assert.equal(formatNumber(c.evaluate("2 min")), "2 min");
+    c.evaluate("m = 3");
+    assert.equal(c.evaluate("2m"), 6);
+    c.evaluate("f(s) = 2s");
+    assert.equal(c.evaluate("f(4)"), 8);
+  });
+});
+
+describe("compile", ()=>{
+  it("parses once and evaluates many times", ()=>{
+    const calc = createCalculator({mode:"RAD"});
+    const f = calc.compile("sin(x)/x");
+    close(f(Math.PI / 2), 2 / Math.PI);
+    assert.ok(Number.isNaN(f(0)));
+    assert.equal(calc.compile("y = x^2 - 2x")(3), 3);
+  });
+
+  it("uses variables, functions and the angle mode of the calculator", ()=>{
+    const calc = createCalculator({mode:"DEG"});
+    calc.evaluate("a = 2");
+    calc.evaluate("g(t) = t + 1");
+    const f = calc.compile("a sin(x) + g(x)");
+    close(f(90), 93);
+    calc.mode = "RAD";
+    close(f(0), 1);
+  });
+
+  it("gives NaN where there is no real value", ()=>{
+    const calc = createCalculator({numberMode:"CPLX"});
+    assert.ok(Number.isNaN(calc.compile("sqrt(x)")(-4)));
+  });
+
+  it("reports bad expressions up front", ()=>{
+    const calc = createCalculator();
+    assert.throws(()=> calc.compile("sin(q)"), /Unknown identifier: q/);
+    assert.throws(()=> calc.compile("f(x) = x"), /Cannot plot a definition/);
+  });
+});
+
+describe("solve", ()=>{
+  it("solves an equation in one unknown", ()=>{
+    const calc = createCalculator({mode:"RAD"});
+    close(calc.evaluate("solve(x^3 - 2x - 5 = 0, x)"), 2.0945514815423265);
+    close(calc.evaluate("solve(cos(x) = x, x)"), 0.7390851332151607);
+    close(calc.evaluate("solve(t^2 - 2, t)"), Math.SQRT2); // no "=" means = 0
+  });
+
+  it("takes a starting guess or an interval", ()=>{
+    const calc = createCalculator();
+    close(calc.evaluate("solve(x^2 = 2, x, -3)"), -Math.SQRT2);
+    close(calc.evaluate("solve(x^3 - 6x^2 + 11x = 6, x, 1.5, 10)"), 2);
+    assert.throws(()=> calc.evaluate("solve(x^2 = -1, x, 0, 5)"), /No root in \[0, 5\]/);
+  });
+
+  it("is an ordinary value inside expressions and definitions", ()=>{
+    const calc = createCalculator();
+    assert.equal(calc.evaluate("2solve(x = 3, x) + 1"), 7);
+    calc.evaluate("sq(a) = solve(y^2 = a, y, 1)");
+    close(calc.evaluate("sq(9)"), 3);
+    calc.evaluate("x = 5");
+    close(calc.evaluate("solve(x^2 = 4, x)"), 2); // starts at the stored x
+    assert.equal(calc.vars.get("x"), 5);
+  });
+
+  it("reports bad calls and no convergence", ()=>{
+    const calc = createCalculator();
+    assert.throws(()=> calc.evaluate("solve(x^2 + 1 = 0, x)"), /did not converge \(residual/);
+    assert.throws(()=> calc.evaluate("solve(x = 1, 2)"), /variable name as argument 2/);
+    assert.throws(()=> calc.evaluate("solve(x = 1)"), /solve expects 2 to 4 arguments, got 1/);
+    assert.throws(()=> calc.evaluate("solve(x = 1 = 2, x)"), /Too many =/);
+  });
+
+  it("lists every root with its residual for the SOLVE key", ()=>{
+    const calc = createCalculator({mode:"RAD"});
+    const {variable, roots} = calc.solve("x^3 - 6x^2 + 11x = 6");
+    assert.equal(variable, "x");
+    assert.deepEqual(roots.map(r => Math.round(r.x)), [1, 2, 3]);
+    assert.ok(roots.every(r => r.converged && r.residual < 1e-9));
+    calc.evaluate("k = 4");
+    assert.equal(calc.solve("k t = 2").variable, "t");
+    assert.equal(calc.solve("x^2 + 1").roots[0].converged, false);
+    assert.throws(()=> calc.solve("a + b = 1"), /Which unknown/);
+  });
+});
+
+describe("calculus", ()=>{
+  it("differentiates at a point", ()=>{
+    const calc = createCalculator({mode:"RAD"});
+    close(calc.evaluate("d/dx(x^3, x, 2)"), 12);
+    close(calc.evaluate("d/dx(sin(x), x, 0)"), 1);
+    close(calc.evaluate("2d/dx(t^2, t, 3) + 1"), 13);
+  });
+
+  it("integrates, with infinite limits", ()=>{
+    const calc = createCalculator({mode:"RAD"});
+    close(calc.evaluate("integral(x^2, x, 0, 3)"), 9);
+    close(calc.evaluate("integral(e^-(x^2), x, -inf, inf)"), Math.sqrt(Math.PI));
+    close(calc.evaluate("integral(1/(1+x^2), x, 0, ∞)"), Math.PI / 2);
+    assert.deepEqual(calc.execute("integral(x, x, 0, 1)").warnings, []);
+  });
+
+  it("warns when an integral may not have converged", ()=>{
+    const calc = createCalculator();
+    const res = calc.execute("integral(1/x, x, 0, 1)");
+    assert.match(res.warnings[0], /integral may not have converged \(error ≈/);
+    assert.deepEqual(calc.execute("1 + 1").warnings, []);
+  });
+
+  it("sums and multiplies over whole numbers", ()=>{
+    const calc = createCalculator();
+    assert.equal(calc.evaluate("sum(k, k, 1, 100)"), 5050);
+    assert.equal(calc.evaluate("prod(k, k, 1, 5)"), 120);
+    assert.equal(calc.evaluate("sum(2s, s, 1, 3)"), 12); // s is the counter, not seconds
+    assert.equal(calc.evaluate("sum(i^2, i, 1, 3)"), 14); // i is the counter, not √-1
+    assert.equal(calc.evaluate("prod(i, i, 1, 4)"), 24);
+    assert.equal(calc.evaluate("sum(k, k, 1, 0)"), 0);
+    assert.equal(calc.evaluate("prod(k, k, 1, 0)"), 1);
+    assert.throws(()=> calc.evaluate("sum(k, k, 0.5, 3)"), /sum needs whole-number limits/);
+    assert.throws(()=> calc.evaluate("sum(k, k, 1, 10000000)"), /at most/);
+  });
+
+  it("keeps sums exact in FRAC and PROG modes", ()=>{
+    const calc = createCalculator({numberMode:"FRAC"});
+    assert.equal(formatNumber(calc.evaluate("sum(1/k, k, 1, 10)")), "7381/2520");
+    calc.numberMode = "PROG";
+    assert.equal(calc.evaluate("sum(k, k, 1, 10)"), 55n);
+  });
+
+  it("binds the dummy variable without touching stored ones", ()=>{
+    const calc = createCalculator();
+    calc.evaluate("k = 7");
+    calc.evaluate("f(n) = sum(k^2, k, 1, n)");
+    assert.equal(calc.evaluate("f(3) + k"), 21);
+    assert.equal(calc.vars.get("k"), 7);
+  });
+});
+
+describe("lists and statistics", ()=>{
+  it("reads list literals", ()=>{
+    const calc = createCalculator();
+    assert.equal(formatNumber(calc.evaluate("{1, 4, 9, 16}")), "{1, 4, 9, 16}");
+    assert.equal(formatNumber(calc.evaluate("{1/4, -2}")), "{0.25, -2}");
+    assert.throws(()=> calc.evaluate("{1, 2)"), /Mismatched parentheses/);
+    assert.throws(()=> calc.evaluate("{1 m}"), /A list holds plain numbers/);
+  });
+
+  it("does arithmetic element by element", ()=>{
+    const calc = createCalculator();
+    assert.deepEqual(calc.evaluate("{1, 2, 3} * 2").items, [2, 4, 6]);
+    assert.deepEqual(calc.evaluate("{1, 2} + {10, 20}").items, [11, 22]);
+    assert.deepEqual(calc.evaluate("-{1, 2}^2").items, [-1, -4]);
+    assert.throws(()=> calc.evaluate("{1, 2} + {1}"), /Lists differ in length \(2 and 1\)/);
+    assert.throws(()=> calc.evaluate("sin({1, 2})"), /sin needs a number, not a list/);
+  });
+
+  it("summarises lists and plain arguments", ()=>{
+    const calc = createCalculator();
+    calc.evaluate("d = {2, 4, 4, 4, 5, 5, 7, 9}");
+    assert.equal(calc.evaluate("mean(d)"), 5);
+    assert.equal(calc.evaluate("median(d)"), 4.5);
+    assert.equal(calc.evaluate("mode(d)"), 4);
+    assert.deepEqual(calc.evaluate("mode(1, 2, 2, 3, 3)").items, [2, 3]);
+    assert.equal(calc.evaluate("varp(d)"), 4);
+    assert.equal(calc.evaluate("stdevp(d)"), 2);
+    close(calc.evaluate("var(d)"), 32 / 7);
+    assert.deepEqual(calc.evaluate("quartiles(d)").items, [4, 4.5, 6]);
+    assert.equal(calc.evaluate("min(d)") + calc.evaluate("max(d, 10)"), 12);
+    assert.equal(calc.evaluate("sum(d)"), 40);
+    assert.equal(calc.evaluate("mean({1, 2}, 6)"), 3);
+  });
+
+  it("keeps sum(expr, k, a, b) apart from the sum of a list", ()=>{
+    const calc = createCalculator();
+    assert.equal(calc.evaluate("sum(k, k, 1, 4)"), 10);
+    assert.equal(calc.evaluate("sum({1, 2, 3, 4})"), 10);
+    assert.throws(()=> calc.evaluate("sum(k, k, 1)"), /sum expects 1 or 4 arguments, got 3/);
+    assert.throws(()=> calc.evaluate("sum(1, 2)"), {code:"ARGUMENTS", message:"sum expects 1 or 4 arguments, got 2"});
+    assert.throws(()=> calc.evaluate("sum(k, k, 1, 2, 3)"), /sum expects 1 or 4 arguments, got 5/);
+  });
+
+  it("evaluates distribution functions", ()=>{
+    const calc = createCalculator();
+    close(calc.evaluate("normcdf(1.96)"), 0.9750021048517795);
+    close(calc.evaluate("normcdf(110, 100, 10)"), calc.evaluate("normcdf(1)"));
+    close(calc.evaluate("invnorm(0.975)"), 1.959963984540054);
+    close(calc.evaluate("normpdf(0)"), 0.3989422804014327);
+    close(calc.evaluate("binompdf(10, 0.5, 5)"), 252 / 1024);
+    close(calc.evaluate("binomcdf(10, 0.5, 5)"), 638 / 1024);
+    assert.equal(calc.evaluate("invbinom(0.5, 10, 0.5)"), 5);
+    assert.throws(()=> calc.evaluate("invnorm(2)"), /invnorm needs 0 < p < 1/);
+  });
+});
+
+describe("matrices", ()=>{
+  it("reads matrix and vector literals", ()=>{
+    const calc = createCalculator();
+    assert.equal(formatNumber(calc.evaluate("[[1, 2], [3, 4]]")), "[[1, 2], [3, 4]]");
+    assert.equal(formatNumber(calc.evaluate("[1, 1/2, -3]")), "[1, 0.5, -3]");
+    assert.equal(formatNumber(calc.evaluate("[[1, 2, 3]]")), "[[1, 2, 3]]");
+    assert.throws(()=> calc.evaluate("[1, 2)"), /Mismatched parentheses/);
+    assert.throws(()=> calc.evaluate("{1, 2]"), /Mismatched parentheses/);
+    assert.throws(()=> calc.evaluate("[[1, 2], [3]]"), /Matrix rows differ in length/);
+  });
+
+  it("applies operators to matrices", ()=>{
+    const calc = createCalculator();
+    calc.evaluate("A = [[1, 2], [3, 4]]");
+    assert.equal(formatNumber(calc.evaluate("A + A")), "[[2, 4], [6, 8]]");
+    assert.equal(formatNumber(calc.evaluate("A - A")), "[[0, 0], [0, 0]]");
+    assert.equal(formatNumber(calc.evaluate("A * [1, 1]")), "[3, 7]");
+    assert.equal(formatNumber(calc.evaluate("2A")), "[[2, 4], [6, 8]]");
+    assert.equal(formatNumber(calc.evaluate("A / 2")), "[[0.5, 1], [1.5, 2]]");
+    assert.equal(formatNumber(calc.evaluate("-A")), "[[-1, -2], [-3, -4]]");
+    assert.equal(formatNumber(calc.evaluate("A^2")), "[[7, 10], [15, 22]]");
+    assert.equal(formatNumber(calc.evaluate("A^-1")), "[[-2, 1], [1.5, -0.5]]");
+    assert.equal(calc.evaluate("transpose([1, 2, 3]) * [1, 2, 3]"), 14);
+  });
+
+  it("gives specific errors for sizes that do not fit", ()=>{
+    const calc = createCalculator();
+    calc.evaluate("A = [[1, 2], [3, 4]]");
+    assert.throws(()=> calc.evaluate("A + [1, 2]"), /Can't add a 2×2 and a 2×1 matrix/);
+    assert.throws(()=> calc.evaluate("[1, 2] * A"), /Can't multiply a 2×1 by a 2×2 matrix/);
+    assert.throws(()=> calc.evaluate("A + 1"), /Can't add a number and a 2×2 matrix/);
+    assert.throws(()=> calc.evaluate("1 / A"), /Can't divide by a matrix/);
+    assert.throws(()=> calc.evaluate("A^0.5"), /whole-number exponent/);
+    assert.throws(()=> calc.evaluate("{1, 2} * A"), /Can't mix lists and matrices/);
+    assert.throws(()=> calc.evaluate("sin(A)"), /sin needs a number, not a matrix/);
+    assert.throws(()=> calc.evaluate("det(2)"), /det needs a matrix or vector/);
+  });
+
+  it("evaluates matrix and vector functions", ()=>{
+    const calc = createCalculator();
+    close(calc.evaluate("det([[1, 2], [3, 4]])"), -2);
+    assert.equal(formatNumber(calc.evaluate("inv([[1, 2], [3, 4]])")), "[[-2, 1], [1.5, -0.5]]");
+    assert.equal(calc.evaluate("inv(4)"), 0.25);
+    assert.equal(formatNumber(calc.evaluate("transpose([[1, 2], [3, 4]])")), "[[1, 3], [2, 4]]");
+    assert.equal(calc.evaluate("rank([[1, 2], [2, 4]])"), 1);
+    assert.equal(formatNumber(calc.evaluate("rref([[1, 2, 3], [4, 5, 6]])")), "[[1, 0, -1], [0, 1, 2]]");
+    assert.equal(calc.evaluate("dot([1, 2, 3], [4, 5, 6])"), 32);
+    assert.equal(formatNumber(calc.evaluate("cross([1, 0, 0], [0, 1, 0])")), "[0, 0, 1]");
+    assert.equal(calc.evaluate("norm([3, 4])"), 5);
+    assert.throws(()=> calc.evaluate("inv([[1, 2], [2, 4]])"), /Matrix is singular/);
+  });
+});
+
+describe("errors", ()=>{
+  const calc = createCalculator();
+  const fails = (expr, code, text)=>{
+    try {
+      calc.evaluate(expr);
+    } catch (e){
+      assert.equal(e.code, code);
+      assert.equal(e.span && expr.slice(e.span.start, e.span.end), text);
+      return e;
+    }
+    assert.fail(`${expr} did not fail`);
+  };
+
+  it("gives every token its place in the line", ()=>{
+    const spans = tokenize("2 + π×3").map(t => [t.span.start, t.span.end]);
+    assert.deepEqual(spans, [[0, 1], [2, 3], [4, 5], [5, 6], [6, 7]]);
+  });
+
+  it("points syntax errors at the offending character", ()=>{
+    fails("2#3", "SYNTAX", "#");
+    fails("1+2)", "SYNTAX", ")");
+    fails("(1+2", "SYNTAX", "(");
+    fails("1,2", "SYNTAX", ",");
+  });
+
+  it("points at unknown names and wrong argument counts", ()=>{
+    fails("2 + π×3 + zz", "UNKNOWN_NAME", "zz");
+    fails("atan2(1)", "ARGUMENTS", "atan2");
+    fails("f(x) = x + y", "UNKNOWN_NAME", "y");
+  });
+
+  it("names math domain problems instead of giving NaN", ()=>{
+    fails("1/0", "DIVISION_BY_ZERO", "/");
+    fails("5 mod 0", "DIVISION_BY_ZERO", "mod");
+    fails("0^-1", "DIVISION_BY_ZERO", "^");
+    assert.equal(fails("ln(0)", "DOMAIN", "ln").message, "Log of zero");
+    assert.equal(fails("1 + log(-2)", "DOMAIN", "log").message, "Log of a negative number");
+    assert.equal(fails("(-8)^0.5", "DOMAIN", "^").message, "Negative number to a fractional power");
+    assert.equal(fails("asin(2)", "DOMAIN", "asin").message, "asin needs a value from -1 to 1");
+    assert.equal(fails("asec(0.5)", "DOMAIN", "asec").message, "asec needs a value ≤ -1 or ≥ 1");
+    assert.equal(fails("acosh(0.5)", "DOMAIN", "acosh").message, "acosh needs a value ≥ 1");
+    assert.equal(fails("atanh(1)", "DOMAIN", "atanh").message, "atanh needs a value between -1 and 1");
+    assert.equal(fails("sec(90)", "DOMAIN", "sec").message, "sec is undefined where cos is 0");
+    assert.equal(fails("2 + cot(180)", "DOMAIN", "cot").message, "cot is undefined where sin is 0");
+    fails("10^400", "OVERFLOW", "^");
+  });
+
+  it("checks the value of a quantity the same way", ()=>{
+    assert.equal(fails("sqrt(-4 m^2)", "DOMAIN", "sqrt").message, "Square root of a negative number");
+    fails("5 m / 0", "DIVISION_BY_ZERO", "/");
+    fails("(1e200 m)*(1e200 m)", "OVERFLOW", "*");
+    fails("1e308 km", "OVERFLOW", "km");
+  });
+
+  it("checks every item of a list", ()=>{
+    fails("{1, 2}/{0, 1}", "DIVISION_BY_ZERO", "/");
+    assert.equal(fails("{-1, 4}^0.5", "DOMAIN", "^").message, "Negative number to a fractional power");
+    fails("{1e308}*10", "OVERFLOW", "*");
+    assert.deepEqual(calc.evaluate("{4, 9}^0.5"), calc.evaluate("{2, 3}"));
+  });
+
+  it("blames the call, not the body, when a user function fails", ()=>{
+    calc.evaluate("g(t) = 1/t");
+    const e = fails("2 + g(0)", "DIVISION_BY_ZERO", "g");
+    assert.equal(e.message, "Division by zero");
+  });
+
+  it("keeps NaN for graphs", ()=>{
+    assert.ok(Number.isNaN(calc.compile("ln(x)")(-1)));
+  });
+});
+
+describe("formatNumber", ()=>{
+  it("trims to 12 significant digits", ()=>{
+    assert.equal(formatNumber(0.1 + 0.2), "0.3");
+    assert.equal(formatNumber(1/3), "0.333333333333");
+  });
+
+  it("formats every number of a result in the display format", ()=>{
+    const calc = createCalculator();
+    const fix = {mode:"FIX", digits:2, group:"", decimal:","};
+    assert.equal(formatNumber(Math.PI, fix), "3,14");
+    assert.equal(formatNumber(calc.evaluate("{1.5, 2}"), fix), "{1,50; 2,00}");
+    assert.equal(formatNumber(calc.evaluate("[[1, 2], [3, 4]]"), {mode:"FIX", digits:1}), "[[1.0, 2.0], [3.0, 4.0]]");
+    assert.equal(formatNumber(calc.evaluate("1 + 2i"), {mode:"FIX", digits:1}), "1.0+2.0i");
+  });
+
+  it("hides -0 and reports non-finite values", ()=>{
+    assert.equal(formatNumber(-0), "0");
+    assert.equal(formatNumber(Infinity), "Error");
+    assert.equal(formatNumber(NaN), "Error");
+  });
+});
@@ -0,0 +1,29 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { CalcError, located } from "../errors.js";
+
+describe("CalcError", ()=>{
+  it("carries a code, a message and a span", ()=>{
+    const e = new CalcError("SYNTAX", "Unexpected char: #", {start: 1, end: 2});
+    assert.ok(e instanceof Error);
+    assert.equal(e.code, "SYNTAX");
+    assert.equal(e.message, "Unexpected char: #");
+    assert.deepEqual(e.span, {start: 1, end: 2});
+    assert.equal(new CalcError("EVAL", "x").span, null);
+  });
+});
+
+describe("located", ()=>{
+  it("turns plain errors into EVAL errors at the span", ()=>{
+    const e = located(new Error("Lists differ in length (2 and 1)"), {start: 5, end: 6});
+    assert.ok(e instanceof CalcError);
+    assert.equal(e.code, "EVAL");
+    assert.deepEqual(e.span, {start: 5, end: 6});
+  });
+
+  it("keeps a span that is already there", ()=>{
+    const inner = new CalcError("DOMAIN", "Log of zero", {start: 4, end: 6});
+    assert.equal(located(inner, {start: 0, end: 9}), inner);
+    assert.deepEqual(inner.span, {start: 4, end: 6});
+  });
+});
@@ -0,0 +1,69 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { formatReal, formatDMS, numberStyleFor } from "../format.js";
+
+describe("formatReal", ()=>{
+  it("shows up to 12 significant digits in NORM", ()=>{
+    assert.equal(formatReal(1/3), "0.333333333333");
+    assert.equal(formatReal(-0), "0");
+    assert.equal(formatReal(1e21), "1e+21");
+    assert.equal(formatReal(Infinity), "Error");
+  });
+
+  it("rounds to n decimals in FIX", ()=>{
+    assert.equal(formatReal(Math.PI, {mode:"FIX", digits:2}), "3.14");
+    assert.equal(formatReal(2, {mode:"FIX", digits:3}), "2.000");
+    assert.equal(formatReal(-0.0001, {mode:"FIX", digits:2}), "0.00");
+    assert.equal(formatReal(2.5e22, {mode:"FIX", digits:2}), "2.50×10^22");
+  });
+
+  it("keeps n significant digits in SCI", ()=>{
+    assert.equal(formatReal(123456, {mode:"SCI", digits:4}), "1.235×10^5");
+    assert.equal(formatReal(-0.00012, {mode:"SCI", digits:3}), "-1.20×10^-4");
+    assert.equal(formatReal(999999.6, {mode:"SCI", digits:4}), "1.000×10^6");
+  });
+
+  it("uses exponents in multiples of 3 in ENG, or SI prefixes", ()=>{
+    assert.equal(formatReal(123456, {mode:"ENG", digits:6}), "123.456×10^3");
+    assert.equal(formatReal(0.00047, {mode:"ENG", digits:4}), "470×10^-6");
+    assert.equal(formatReal(12.5, {mode:"ENG", digits:4}), "12.5");
+    assert.equal(formatReal(4700, {mode:"ENG", digits:4, si:true}), "4.7k");
+    assert.equal(formatReal(2.2e-6, {mode:"ENG", digits:4, si:true}), "2.2µ");
+    assert.equal(formatReal(3.3e6, {mode:"ENG", digits:4, si:true}), "3.3M");
+  });
+
+  it("groups thousands and sets the decimal mark", ()=>{
+    assert.equal(formatReal(1234567.5, {group:","}), "1,234,567.5");
+    assert.equal(formatReal(-1234.25, {mode:"FIX", digits:1, group:".", decimal:","}), "-1.234,3");
+    assert.equal(formatReal(123, {group:","}), "123");
+    assert.equal(formatReal(12345, {mode:"SCI", digits:2, group:","}), "1.2×10^4");
+  });
+});
+
+describe("formatDMS", ()=>{
+  it("shows degrees, minutes and seconds", ()=>{
+    assert.equal(formatDMS(30 + 15/60 + 20/3600), `30°15'20"`);
+    assert.equal(formatDMS(-10.51), `-10°30'36"`);
+    assert.equal(formatDMS(0.5), `0°30'0"`);
+    assert.equal(formatDMS(1.2345), `1°14'4.2"`);
+  });
+
+  it("carries rounded seconds into minutes and degrees", ()=>{
+    assert.equal(formatDMS(59.9999999), `60°0'0"`);
+    assert.equal(formatDMS(-0.0000001), `0°0'0"`);
+    assert.equal(formatDMS(NaN), "Error");
+  });
+});
+
+describe("numberStyleFor", ()=>{
+  it("reads a locale's separators", ()=>{
+    assert.deepEqual(numberStyleFor("en-US"), {group:",", decimal:"."});
+    assert.deepEqual(numberStyleFor("de-DE"), {group:".", decimal:","});
+    assert.deepEqual(numberStyleFor("fr-FR"), {group:"\u202f", decimal:","});
+    assert.equal(formatReal(1234.5, numberStyleFor("de-DE")), "1.234,5");
+  });
+
+  it("falls back to plain digits for a bad tag", ()=>{
+    assert.deepEqual(numberStyleFor("not a locale"), {group:"", decimal:"."});
+  });
+});
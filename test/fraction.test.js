@@ -0,0 +1,80 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import {
+  frac, fracFromNumber, fracToNumber, fracAdd, fracDiv, fracPow, fracRoot, fracApprox, formatFraction,
+} from "../fraction.js";
+
+const show = (f)=> f && formatFraction(f);
+
+describe("frac", ()=>{
+  it("reduces and keeps the sign on the numerator", ()=>{
+    assert.deepEqual(frac(6n, -8n), {type:"frac", n:-3n, d:4n});
+    assert.equal(show(frac(10n, 5n)), "2");
+  });
+
+  it("refuses a zero denominator", ()=>{
+    assert.throws(()=> frac(1n, 0n), /Division by zero/);
+  });
+});
+
+describe("fracFromNumber", ()=>{
+  it("reads a double as its decimal literal", ()=>{
+    assert.equal(show(fracFromNumber(0.1)), "1/10");
+    assert.equal(show(fracFromNumber(-2.75)), "-11/4");
+    assert.equal(show(fracFromNumber(1e-7)), "1/10000000");
+    assert.equal(show(fracFromNumber(1e21)), "1000000000000000000000");
+  });
+
+  it("returns null for non-finite values", ()=>{
+    assert.equal(fracFromNumber(Infinity), null);
+  });
+});
+
+describe("arithmetic", ()=>{
+  it("adds and divides exactly", ()=>{
+    assert.equal(show(fracAdd(frac(1n, 3n), frac(1n, 6n))), "1/2");
+    assert.equal(show(fracDiv(frac(3n, 4n), frac(9n, 8n))), "2/3");
+  });
+
+  it("raises to integer and rational powers", ()=>{
+    assert.equal(show(fracPow(frac(2n, 3n), frac(3n))), "8/27");
+    assert.equal(show(fracPow(frac(2n), frac(-2n))), "1/4");
+    assert.equal(show(fracPow(frac(27n, 8n), frac(2n, 3n))), "9/4");
+    assert.equal(fracPow(frac(2n), frac(1n, 2n)), null);
+    assert.equal(fracPow(frac(0n), frac(-1n)), null);
+  });
+
+  it("takes exact roots only when they exist", ()=>{
+    assert.equal(show(fracRoot(frac(16n, 81n), 4)), "2/3");
+    assert.equal(show(fracRoot(frac(-125n), 3)), "-5");
+    assert.equal(fracRoot(frac(-4n), 2), null);
+    assert.equal(fracRoot(frac(10n), 2), null);
+  });
+
+  it("converts huge fractions back to numbers", ()=>{
+    const big = frac(10n ** 400n + 1n, 10n ** 399n);
+    assert.equal(fracToNumber(big), 10);
+  });
+});
+
+describe("formatFraction", ()=>{
+  it("prints improper and mixed forms", ()=>{
+    assert.equal(formatFraction(frac(7n, 2n)), "7/2");
+    assert.equal(formatFraction(frac(7n, 2n), {mixed:true}), "3 1/2");
+    assert.equal(formatFraction(frac(-7n, 2n), {mixed:true}), "-3 1/2");
+    assert.equal(formatFraction(frac(1n, 2n), {mixed:true}), "1/2");
+  });
+});
+
+describe("fracApprox", ()=>{
+  it("recovers simple fractions from doubles", ()=>{
+    assert.equal(show(fracApprox(1/3)), "1/3");
+    assert.equal(show(fracApprox(0.1 + 0.2)), "3/10");
+    assert.equal(show(fracApprox(-22/7)), "-22/7");
+  });
+
+  it("gives up on irrational values", ()=>{
+    assert.equal(fracApprox(Math.PI), null);
+    assert.equal(fracApprox(Math.SQRT2), null);
+  });
+});
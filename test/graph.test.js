@@ -0,0 +1,32 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { sampleFunction, niceStep } from "../graph.js";
+
+describe("sampleFunction", ()=>{
+  it("samples n+1 points in one line for a continuous function", ()=>{
+    const segs = sampleFunction((x)=> x * x, -1, 1, 10);
+    assert.equal(segs.length, 1);
+    assert.equal(segs[0].length, 11);
+    assert.deepEqual(segs[0][0], [-1, 1]);
+  });
+
+  it("breaks at poles but not on steep curves", ()=>{
+    assert.equal(sampleFunction(Math.tan, -5, 5, 600, 12).length, 5);
+    assert.equal(sampleFunction((x)=> 1 / x, -1, 1, 101, 4).length, 2);
+    assert.equal(sampleFunction((x)=> x ** 9, -3, 3, 100, 12).length, 1);
+  });
+
+  it("leaves gaps where there is no value", ()=>{
+    const segs = sampleFunction(Math.sqrt, -1, 1, 20);
+    assert.equal(segs.length, 1);
+    assert.equal(segs[0][0][0], 0);
+  });
+});
+
+describe("niceStep", ()=>{
+  it("picks 1, 2 or 5 times a power of ten", ()=>{
+    assert.equal(niceStep(20, 8), 2);
+    assert.equal(niceStep(720, 8), 100);
+    assert.equal(niceStep(1, 10), 0.1);
+  });
+});
@@ -0,0 +1,10 @@
+// Shared assertions for the tests (no tests of its own)
+import assert from "node:assert/strict";
+
+// floats equal to within eps
+export const close = (actual, expected, eps = 1e-9)=>
+  assert.ok(Math.abs(actual - expected) <= eps, `expected ${expected}, got ${actual}`);
+
+// a complex number {re, im} equal to re + im·i within eps
+export const closeComplex = (z, re, im, eps = 1e-9)=>
+  assert.ok(Math.abs(z.re - re) <= eps && Math.abs(z.im - im) <= eps, `expected ${re}${im < 0 ? "" : "+"}${im}i, got ${z.re}${z.im < 0 ? "" : "+"}${z.im}i`);
@@ -0,0 +1,131 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import {
+  STORAGE_KEY, createEntry, addEntry, trimHistory, clearHistory, searchHistory, groupByDay, dayKey,
+  historyToJSON, historyToCSV, parseHistory, mergeHistory, saveSession, loadSession,
+} from "../history.js";
+
+const day = (d, h = 12)=> new Date(2024, 4, d, h).getTime();
+const entries = (...items)=> items.map(([expr, result, time])=> createEntry(expr, result, time));
+
+describe("history entries", ()=>{
+  it("adds newest first and gives every entry its own id", ()=>{
+    let list = [];
+    list = addEntry(list, createEntry("1+1", "2", day(1)));
+    list = addEntry(list, createEntry("2+2", "4", day(1)));
+    assert.deepEqual(list.map(e => e.expr), ["2+2", "1+1"]);
+    assert.notEqual(list[0].id, list[1].id);
+    assert.equal(list[0].pinned, false);
+  });
+
+  it("drops the oldest unmarked entries past the limit", ()=>{
+    const list = entries(["c", "3", day(3)], ["b", "2", day(2)], ["a", "1", day(1)]);
+    assert.deepEqual(trimHistory(list, 2).map(e => e.expr), ["c", "b"]);
+    assert.equal(trimHistory(list, 0).length, 3);
+    list[2].pinned = true;
+    assert.deepEqual(trimHistory(list, 2).map(e => e.expr), ["c", "a"]);
+    assert.deepEqual(addEntry(list, createEntry("d", "4", day(4)), 1).map(e => e.expr), ["a"]);
+  });
+
+  it("keeps pinned and starred entries on clear", ()=>{
+    const list = entries(["a", "1"], ["b", "2"], ["c", "3"]);
+    list[0].starred = true;
+    list[2].pinned = true;
+    assert.deepEqual(clearHistory(list).map(e => e.expr), ["a", "c"]);
+  });
+
+  it("searches expressions and results", ()=>{
+    const list = entries(["sin(30)", "0.5"], ["2^10", "1024"], ["sqrt(2)", "1.41421356237"]);
+    list[1].starred = true;
+    assert.deepEqual(searchHistory(list, "SIN").map(e => e.expr), ["sin(30)"]);
+    assert.deepEqual(searchHistory(list, "102").map(e => e.expr), ["2^10"]);
+    assert.deepEqual(searchHistory(list, "sqrt 1.41").map(e => e.expr), ["sqrt(2)"]);
+    assert.equal(searchHistory(list, "  ").length, 3);
+    assert.deepEqual(searchHistory(list, "", true).map(e => e.expr), ["2^10"]);
+  });
+
+  it("groups by day with pinned entries on top", ()=>{
+    const list = entries(["c", "3", day(2, 9)], ["b", "2", day(2, 8)], ["a", "1", day(1)]);
+    list[1].pinned = true;
+    const groups = groupByDay(list);
+    assert.deepEqual(groups.map(g => g.day), ["pinned", "2024-05-02", "2024-05-01"]);
+    assert.deepEqual(groups.map(g => g.entries.map(e => e.expr)), [["b"], ["c"], ["a"]]);
+    assert.equal(dayKey(day(31, 23)), "2024-05-31");
+  });
+});
+
+describe("history export and import", ()=>{
+  const list = entries(["log(8, 2)", "3", day(2)], ['say "hi"', "1\n2", day(1)]);
+  list[0].starred = true;
+
+  it("round-trips through JSON", ()=>{
+    const back = parseHistory(historyToJSON(list));
+    assert.deepEqual(back.map(({expr, result, time, pinned, starred})=> ({expr, result, time, pinned, starred})),
+      list.map(({expr, result, time, pinned, starred})=> ({expr, result, time, pinned, starred})));
+  });
+
+  it("round-trips through CSV with quoted cells", ()=>{
+    const csv = historyToCSV(list);
+    assert.ok(csv.startsWith("time,expr,result,pinned,starred\r\n"));
+    assert.ok(csv.includes('"log(8, 2)"'));
+    assert.ok(csv.includes('"say ""hi"""'));
+    const back = parseHistory(csv);
+    assert.deepEqual(back.map(e => [e.expr, e.result, e.time, e.starred]), list.map(e => [e.expr, e.result, e.time, e.starred]));
+  });
+
+  it("reads hand-written files", ()=>{
+    const csv = parseHistory("\uFEFFExpr,Result\n1+1,2\n");
+    assert.deepEqual(csv.map(e => [e.expr, e.result, e.pinned]), [["1+1", "2", false]]);
+    const json = parseHistory('{"history": [{"expr": "2*3", "result": "6", "time": "2024-05-01T10:00:00Z"}]}');
+    assert.equal(json[0].time, Date.UTC(2024, 4, 1, 10));
+    assert.deepEqual(parseHistory("  "), []);
+  });
+
+  it("rejects files that are not history", ()=>{
+    assert.throws(()=> parseHistory("[1, 2"), /Not valid JSON/);
+    assert.throws(()=> parseHistory('{"a": 1}'), /Expected a list of history entries/);
+    assert.throws(()=> parseHistory("a,b\n1,2"), /CSV needs an expr column/);
+    assert.throws(()=> parseHistory('[{"result": "2"}]'), /Every entry needs an expression/);
+    assert.throws(()=> parseHistory('[{"expr": "1", "time": "soon"}]'), /Bad time: soon/);
+  });
+
+  it("merges without duplicates", ()=>{
+    const merged = mergeHistory(list, parseHistory(historyToJSON([...list, createEntry("9", "9", day(3))])));
+    assert.deepEqual(merged.map(e => e.expr), ["9", "log(8, 2)", 'say "hi"']);
+  });
+});
+
+describe("saved session", ()=>{
+  const memory = ()=>{
+    const items = new Map();
+    return {getItem: (k)=> items.get(k) ?? null, setItem: (k, v)=> items.set(k, String(v)), items};
+  };
+
+  it("stores settings and exact values", ()=>{
+    const storage = memory();
+    const ans = {type:"frac", n:1n, d:3n};
+    assert.equal(saveSession(storage, {settings:{mode:"RAD"}, ans, history: entries(["1/3", "1/3"])}), true);
+    assert.ok(storage.items.has(STORAGE_KEY));
+    const back = loadSession(storage);
+    assert.equal(back.settings.mode, "RAD");
+    assert.deepEqual(back.ans, ans);
+    assert.equal(back.history[0].expr, "1/3");
+    assert.equal(loadSession(storage).history.length, 1);
+  });
+
+  it("new entries get ids above the loaded ones", ()=>{
+    const storage = memory();
+    storage.setItem(STORAGE_KEY, JSON.stringify({history: [{id: 8e12, expr: "1", result: "1", time: 0}]}));
+    loadSession(storage);
+    assert.ok(createEntry("2", "2", 0).id > 8e12);
+  });
+
+  it("survives missing, broken or full storage", ()=>{
+    assert.equal(loadSession(memory()), null);
+    const broken = memory();
+    broken.setItem(STORAGE_KEY, "{oops");
+    assert.equal(loadSession(broken), null);
+    const full = {setItem(){ throw new Error("QuotaExceededError"); }};
+    assert.equal(saveSession(full, {}), false);
+  });
+});
@@ -0,0 +1,47 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { LANGUAGES, MESSAGES, translate, pickLanguage, localeFor } from "../i18n.js";
+import { numberStyleFor } from "../format.js";
+
+describe("translate", ()=>{
+  it("fills placeholders", ()=>{
+    assert.equal(translate("en", "hint.pasted", {n: 3}), "Pasted 3 rows");
+    assert.equal(translate("th", "hint.pasted", {n: 3}), "วางข้อมูลแล้ว 3 แถว");
+    assert.equal(translate("en", "hint.exported", {n: 2, format: "CSV"}), "Exported 2 entries as CSV");
+    assert.equal(translate("th", "hint.exported", {n: 2, format: "JSON"}), "ส่งออก 2 รายการเป็น JSON แล้ว");
+  });
+
+  it("falls back to Thai, then to the key", ()=>{
+    assert.equal(translate("fr", "hint.cleared"), "ล้างแล้ว");
+    assert.equal(translate("en", "no.such.key"), "no.such.key");
+  });
+
+  it("has every message in every language", ()=>{
+    const keys = Object.keys(MESSAGES.th).sort();
+    for (const lang of LANGUAGES) assert.deepEqual(Object.keys(MESSAGES[lang]).sort(), keys, lang);
+  });
+});
+
+describe("pickLanguage", ()=>{
+  it("prefers the saved choice, then the browser", ()=>{
+    assert.equal(pickLanguage("en", ["th-TH"]), "en");
+    assert.equal(pickLanguage(null, ["fr-FR", "en-GB"]), "en");
+    assert.equal(pickLanguage("xx", ["fr-FR"]), "th");
+    assert.equal(pickLanguage(undefined), "th");
+  });
+});
+
+describe("localeFor", ()=>{
+  it("uses the browser's variant of the chosen language, else the default", ()=>{
+    assert.equal(localeFor("en", ["th-TH", "en-ZA"]), "en-ZA");
+    assert.equal(localeFor("en", ["th-TH", "en"]), "en-US");
+    assert.equal(localeFor("th", ["de-DE", "en-GB"]), "th-TH");
+    assert.equal(localeFor("xx"), "th-TH");
+  });
+
+  it("gives the auto number style of the UI language, not of the browser", ()=>{
+    assert.deepEqual(numberStyleFor(localeFor("en", ["de-DE"])), {group:",", decimal:"."});
+    assert.deepEqual(numberStyleFor(localeFor("en", ["en-ZA"])), {group:"\u202f", decimal:","});
+    assert.deepEqual(numberStyleFor(localeFor("th", ["en-ZA"])), {group:",", decimal:"."});
+  });
+});
@@ -0,0 +1,105 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import {
+  isMatrix, matrix, fromItems, matAdd, matScale, matMul, matPow, transpose, det, inverse, rref, rank,
+  dot, cross, norm, formatMatrix,
+} from "../matrix.js";
+
+const A = matrix([[1, 2], [3, 4]]);
+const v = (...xs)=> fromItems(xs);
+const rounded = (M)=> M.rows.map(row => row.map(x => Math.round(x * 1e12) / 1e12 + 0));
+
+describe("matrix construction", ()=>{
+  it("reads numbers as a column and vectors as rows", ()=>{
+    assert.deepEqual(v(1, 2, 3).rows, [[1], [2], [3]]);
+    assert.deepEqual(fromItems([v(1, 2), v(3, 4)]), A);
+    assert.deepEqual(fromItems([matrix([[1, 2]]), v(3, 4)]), A);
+    assert.ok(isMatrix(A));
+  });
+
+  it("rejects ragged rows and nested matrices", ()=>{
+    assert.throws(()=> fromItems([v(1, 2), v(3)]), /Matrix rows differ in length \(2 and 1\)/);
+    assert.throws(()=> fromItems([A, A]), /A matrix row must be a list of numbers/);
+    assert.throws(()=> fromItems([1, v(2)]), /A matrix row must be a list of numbers/);
+  });
+});
+
+describe("matrix arithmetic", ()=>{
+  it("adds, scales and multiplies", ()=>{
+    assert.deepEqual(matAdd(A, A).rows, [[2, 4], [6, 8]]);
+    assert.deepEqual(matAdd(A, A, true).rows, [[0, 0], [0, 0]]);
+    assert.deepEqual(matScale(A, 3).rows, [[3, 6], [9, 12]]);
+    assert.deepEqual(matMul(A, A).rows, [[7, 10], [15, 22]]);
+    assert.deepEqual(matMul(A, v(1, 1)).rows, [[3], [7]]);
+    assert.equal(matMul(transpose(v(1, 2, 3)), v(1, 2, 3)), 14);
+  });
+
+  it("names both sizes when they do not fit", ()=>{
+    assert.throws(()=> matAdd(A, v(1, 2)), /Can't add a 2×2 and a 2×1 matrix/);
+    assert.throws(()=> matAdd(A, v(1, 2), true), /Can't subtract a 2×2 and a 2×1 matrix/);
+    assert.throws(()=> matMul(v(1, 2), A), /Can't multiply a 2×1 by a 2×2 matrix \(1 column vs 2 rows\)/);
+  });
+
+  it("raises square matrices to whole powers", ()=>{
+    assert.deepEqual(matPow(A, 3).rows, [[37, 54], [81, 118]]);
+    assert.deepEqual(matPow(A, 0).rows, [[1, 0], [0, 1]]);
+    assert.deepEqual(rounded(matPow(A, -1)), [[-2, 1], [1.5, -0.5]]);
+    assert.deepEqual(matPow(matrix([[2]]), 3).rows, [[8]]);
+    assert.throws(()=> matPow(matrix([[1, 2]]), 2), /Only a square matrix has powers \(this one is 1×2\)/);
+    assert.throws(()=> matPow(A, 0.5), /whole-number exponent/);
+  });
+
+  it("transposes", ()=>{
+    assert.deepEqual(transpose(A).rows, [[1, 3], [2, 4]]);
+    assert.deepEqual(transpose(v(1, 2)).rows, [[1, 2]]);
+  });
+});
+
+describe("elimination", ()=>{
+  it("determinant", ()=>{
+    assert.equal(det(A), -2);
+    assert.equal(det(matrix([[2, 0, 0], [0, 3, 0], [0, 0, 4]])), 24);
+    assert.equal(det(matrix([[0, 1], [1, 0]])), -1);
+    assert.equal(det(matrix([[1, 2], [2, 4]])), 0);
+    assert.throws(()=> det(v(1, 2)), /det needs a square matrix, not 2×1/);
+  });
+
+  it("inverse", ()=>{
+    assert.deepEqual(rounded(inverse(A)), [[-2, 1], [1.5, -0.5]]);
+    assert.deepEqual(rounded(matMul(A, inverse(A))), [[1, 0], [0, 1]]);
+    assert.throws(()=> inverse(matrix([[1, 2], [2, 4]])), /Matrix is singular/);
+    assert.throws(()=> inverse(v(1, 2)), /Only a square matrix has an inverse/);
+  });
+
+  it("reduced row echelon form and rank", ()=>{
+    assert.deepEqual(rref(matrix([[1, 2, 3], [4, 5, 6]])).rows, [[1, 0, -1], [0, 1, 2]]);
+    assert.deepEqual(rounded(rref(matrix([[1, 2, 3], [4, 5, 6], [7, 8, 9]]))), [[1, 0, -1], [0, 1, 2], [0, 0, 0]]);
+    assert.equal(rank(matrix([[1, 2, 3], [4, 5, 6], [7, 8, 9]])), 2);
+    assert.equal(rank(A), 2);
+    assert.equal(rank(matrix([[0, 0], [0, 0]])), 0);
+  });
+});
+
+describe("vectors", ()=>{
+  it("dot, cross and norm", ()=>{
+    assert.equal(dot(v(1, 2, 3), v(4, 5, 6)), 32);
+    assert.equal(dot(transpose(v(1, 2)), v(3, 4)), 11);
+    assert.deepEqual(cross(v(1, 0, 0), v(0, 1, 0)).rows, [[0], [0], [1]]);
+    assert.equal(norm(v(3, 4)), 5);
+    assert.equal(norm(A), Math.sqrt(30));
+  });
+
+  it("checks the lengths", ()=>{
+    assert.throws(()=> dot(v(1, 2), v(1, 2, 3)), /dot needs vectors of the same length \(2 and 3\)/);
+    assert.throws(()=> cross(v(1, 2), v(3, 4)), /cross needs two vectors of length 3, not 2 and 2/);
+    assert.throws(()=> dot(A, A), /dot needs vectors/);
+  });
+});
+
+describe("formatMatrix", ()=>{
+  it("writes vectors flat and matrices row by row", ()=>{
+    assert.equal(formatMatrix(v(1, 2, 3)), "[1, 2, 3]");
+    assert.equal(formatMatrix(A), "[[1, 2], [3, 4]]");
+    assert.equal(formatMatrix(matrix([[1, 2]])), "[[1, 2]]");
+  });
+});
@@ -0,0 +1,50 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { wrapInt, intFromString, intDiv, intMod, intPow, formatInt } from "../programmer.js";
+
+describe("wrapInt", ()=>{
+  it("wraps to the word size", ()=>{
+    assert.equal(wrapInt(255n, 8, true), -1n);
+    assert.equal(wrapInt(-1n, 8, false), 255n);
+    assert.equal(wrapInt(2n ** 64n, 64, false), 0n);
+  });
+});
+
+describe("intFromString", ()=>{
+  it("reads prefixed and decimal literals", ()=>{
+    assert.equal(intFromString("0xFF"), 255n);
+    assert.equal(intFromString("0b1010"), 10n);
+    assert.equal(intFromString("0o17"), 15n);
+    assert.equal(intFromString("0xFFFFFFFFFFFFFFFF"), 2n ** 64n - 1n);
+    assert.equal(intFromString("1.5"), null);
+  });
+});
+
+describe("integer arithmetic", ()=>{
+  it("divides toward zero and takes a floored mod", ()=>{
+    assert.equal(intDiv(-7n, 2n), -3n);
+    assert.equal(intMod(-7n, 3n), 2n);
+    assert.equal(intMod(7n, -3n), -2n);
+    assert.throws(()=> intMod(1n, 0n), /Division by zero/);
+  });
+
+  it("powers modulo 2^64", ()=>{
+    assert.equal(intPow(3n, 4n), 81n);
+    assert.equal(wrapInt(intPow(2n, 1000000n), 64, true), 0n);
+    assert.equal(intPow(2n, -1n), 0n);
+  });
+});
+
+describe("formatInt", ()=>{
+  it("prints two's complement in HEX/OCT/BIN", ()=>{
+    assert.equal(formatInt(-1n, 16, {bits:8}), "FF");
+    assert.equal(formatInt(-1n, 10, {bits:8}), "-1");
+    assert.equal(formatInt(255n, 16, {prefix:true}), "0xFF");
+    assert.equal(formatInt(10n, 8, {prefix:true}), "0o12");
+  });
+
+  it("groups BIN by nibble", ()=>{
+    assert.equal(formatInt(0x1Fn, 2, {group:true}), "0001 1111");
+    assert.equal(formatInt(0x1Fn, 2, {prefix:true}), "0b11111");
+  });
+});
@@ -0,0 +1,62 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { brent, secant, findRoot, findRoots } from "../solver.js";
+import { close } from "./helpers.js";
+
+describe("brent", ()=>{
+  it("converges inside a sign change", ()=>{
+    const r = brent((x)=> x ** 3 - 2 * x - 5, 2, 3);
+    assert.ok(r.converged);
+    close(r.x, 2.0945514815423265);
+    assert.ok(r.residual < 1e-12);
+  });
+
+  it("does not call a pole a root", ()=>{
+    const r = brent(Math.tan, 1, 2);
+    assert.equal(r.converged, false);
+    assert.ok(r.residual > 1);
+  });
+});
+
+describe("secant", ()=>{
+  it("finds a root without a sign change", ()=>{
+    const r = secant((x)=> (x - 1) ** 2, 3);
+    assert.ok(r.converged);
+    close(r.x, 1, 1e-6);
+  });
+});
+
+describe("findRoot", ()=>{
+  it("steps out from the guess to a bracket", ()=>{
+    close(findRoot((x)=> Math.cos(x) - x).x, 0.7390851332151607);
+    close(findRoot((x)=> x * x - 2, -3).x, -Math.SQRT2);
+    close(findRoot((x)=> x - 1e5).x, 1e5, 1e-6);
+  });
+
+  it("reports no convergence with the residual", ()=>{
+    const r = findRoot((x)=> x * x + 1);
+    assert.equal(r.converged, false);
+    assert.ok(r.residual >= 1);
+  });
+});
+
+describe("findRoots", ()=>{
+  it("lists every root in the range once, in order", ()=>{
+    const xs = findRoots((x)=> (x - 1) * (x - 2) * (x - 3), -10, 10).map(r => r.x);
+    assert.equal(xs.length, 3);
+    xs.forEach((x, k)=> close(x, k + 1));
+  });
+
+  it("finds touching roots and skips poles", ()=>{
+    const touch = findRoots((x)=> (x - 0.3) ** 2, -1, 1);
+    assert.equal(touch.length, 1);
+    close(touch[0].x, 0.3, 1e-6);
+    const tan = findRoots((x)=> Math.tan(x) - 1, -5, 5).map(r => r.x);
+    assert.equal(tan.length, 3);
+    close(tan[1], Math.PI / 4);
+  });
+
+  it("gives an empty list when there is no root", ()=>{
+    assert.deepEqual(findRoots((x)=> x * x + 1, -5, 5), []);
+  });
+});
@@ -0,0 +1,112 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import {
+  mean, median, modes, variance, quartiles, summary, regression,
+  normalPdf, normalCdf, normalInv, binomialPdf, binomialCdf, binomialInv, erfc, parseTable,
+} from "../stats.js";
+import { close } from "./helpers.js";
+
+const data = [2, 4, 4, 4, 5, 5, 7, 9];
+
+describe("descriptive statistics", ()=>{
+  it("mean, median and mode", ()=>{
+    assert.equal(mean(data), 5);
+    assert.equal(median(data), 4.5);
+    assert.equal(median([3, 1, 2]), 2);
+    assert.deepEqual(modes(data), [4]);
+    assert.deepEqual(modes([1, 2, 2, 3, 3]), [2, 3]);
+  });
+
+  it("sample and population variance", ()=>{
+    assert.equal(variance(data, false), 4);
+    close(variance(data, true), 32 / 7);
+    assert.throws(()=> variance([1], true), /var needs at least 2 values/);
+    assert.equal(variance([1], false), 0);
+  });
+
+  it("quartiles leave out the median of an odd count", ()=>{
+    assert.deepEqual(quartiles([1, 2, 3, 4, 5, 6, 7, 8, 9]), [2.5, 5, 7.5]);
+    assert.deepEqual(quartiles([1, 2, 3, 4]), [1.5, 2.5, 3.5]);
+    assert.deepEqual(quartiles([7]), [7, 7, 7]);
+  });
+
+  it("summarises a column", ()=>{
+    const s = summary(data);
+    assert.equal(s.n, 8);
+    assert.equal(s.sum, 40);
+    assert.equal(s.sigma, 2);
+    assert.equal(s.min, 2);
+    assert.equal(s.max, 9);
+    assert.ok(Number.isNaN(summary([3]).s));
+  });
+});
+
+describe("regression", ()=>{
+  it("fits a straight line with r²", ()=>{
+    const r = regression("linear", [1, 2, 3, 4], [3, 5, 7, 9]);
+    close(r.a, 1);
+    close(r.b, 2);
+    close(r.r2, 1);
+    close(r.predict(10), 21);
+    assert.ok(regression("linear", [1, 2, 3], [1, 3, 2]).r2 < 1);
+  });
+
+  it("fits exponential, logarithmic and power curves", ()=>{
+    const e = regression("exp", [0, 1, 2], [2, 2 * Math.E, 2 * Math.E ** 2]);
+    close(e.a, 2);
+    close(e.b, 1);
+    const l = regression("log", [1, Math.E, Math.E ** 2], [1, 4, 7]);
+    close(l.a, 1);
+    close(l.b, 3);
+    const p = regression("power", [1, 2, 4], [3, 12, 48]);
+    close(p.a, 3);
+    close(p.b, 2);
+  });
+
+  it("rejects data outside a model's domain", ()=>{
+    assert.throws(()=> regression("exp", [1, 2], [1, -1]), /exp regression needs every y > 0/);
+    assert.throws(()=> regression("log", [0, 1], [1, 2]), /log regression needs every x > 0/);
+    assert.throws(()=> regression("linear", [1, 1], [1, 2]), /two different x values/);
+    assert.throws(()=> regression("linear", [1, 2], [1]), /same number of values/);
+  });
+});
+
+describe("distributions", ()=>{
+  it("normal pdf, cdf and inverse", ()=>{
+    close(normalPdf(0), 1 / Math.sqrt(2 * Math.PI), 1e-15);
+    close(normalCdf(1.96), 0.9750021048517795, 1e-15);
+    close(normalCdf(110, 100, 10), normalCdf(1), 1e-15);
+    close(normalInv(0.975), 1.959963984540054, 1e-12);
+    close(normalInv(normalCdf(-3.3)), -3.3, 1e-9);
+    assert.throws(()=> normalInv(1), /invnorm needs 0 < p < 1/);
+    assert.throws(()=> normalPdf(0, 0, 0), /needs σ > 0/);
+  });
+
+  it("keeps relative precision in the tails", ()=>{
+    close(erfc(3) / 2.209049699858544e-5, 1, 1e-12);
+    close(normalCdf(-8) / 6.22096057427178e-16, 1, 1e-9);
+  });
+
+  it("binomial pdf, cdf and inverse", ()=>{
+    close(binomialPdf(10, 0.5, 5), 252 / 1024, 1e-14);
+    close(binomialCdf(10, 0.5, 5), 638 / 1024, 1e-14);
+    assert.equal(binomialPdf(10, 0.5, 11), 0);
+    assert.equal(binomialPdf(5, 0, 0), 1);
+    assert.equal(binomialInv(0.5, 10, 0.5), 5);
+    assert.equal(binomialInv(1, 10, 0.3), 10);
+    assert.throws(()=> binomialPdf(2.5, 0.5, 1), /whole number of trials/);
+    assert.throws(()=> binomialCdf(10, 1.5, 1), /0 ≤ p ≤ 1/);
+  });
+});
+
+describe("parseTable", ()=>{
+  it("reads CSV with a header row", ()=>{
+    assert.deepEqual(parseTable("x,y\n1,2\n3,4\n"), [[1, 2], [3, 4]]);
+  });
+
+  it("reads spreadsheet and semicolon text with decimal commas", ()=>{
+    assert.deepEqual(parseTable("1,5\t2\r\n3\t4,25"), [[1.5, 2], [3, 4.25]]);
+    assert.deepEqual(parseTable("1,5;2\n3;4"), [[1.5, 2], [3, 4]]);
+    assert.deepEqual(parseTable("1\n2\n\n3"), [[1], [2], [3]]);
+  });
+});
@@ -0,0 +1,58 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { createUndoStack } from "../undo.js";
+
+describe("createUndoStack", ()=>{
+  it("steps back and forward through committed states", ()=>{
+    const u = createUndoStack();
+    u.commit("");
+    u.commit("1+");
+    u.commit("1+2");
+    assert.equal(u.undo(), "1+");
+    assert.equal(u.undo(), "");
+    assert.equal(u.undo(), null);
+    assert.equal(u.redo(), "1+");
+    assert.equal(u.redo(), "1+2");
+    assert.equal(u.redo(), null);
+  });
+
+  it("drops the redo steps on a new change", ()=>{
+    const u = createUndoStack();
+    u.commit("a");
+    u.commit("ab");
+    u.undo();
+    assert.ok(u.canRedo);
+    u.commit("ac");
+    assert.ok(!u.canRedo);
+    assert.equal(u.undo(), "a");
+  });
+
+  it("makes one step of a group and ignores commits that change nothing", ()=>{
+    const u = createUndoStack({same: (a, b)=> a.expr === b.expr});
+    u.commit({expr: ""});
+    for (const expr of ["1", "12", "123"]) u.commit({expr}, "digit");
+    assert.equal(u.commit({expr: "123", caret: 1}), false);
+    u.commit({expr: "123+"});
+    u.commit({expr: "123+4"}, "digit");
+    assert.equal(u.undo().expr, "123+");
+    assert.deepEqual(u.undo(), {expr: "123", caret: 1});
+    assert.equal(u.undo().expr, "");
+  });
+
+  it("starts a new step after seal", ()=>{
+    const u = createUndoStack();
+    u.commit("");
+    u.commit("1", "digit");
+    u.seal();
+    u.commit("21", "digit");
+    assert.equal(u.undo(), "1");
+  });
+
+  it("keeps at most limit steps", ()=>{
+    const u = createUndoStack({limit: 2});
+    for (const s of ["a", "b", "c", "d"]) u.commit(s);
+    assert.equal(u.undo(), "c");
+    assert.equal(u.undo(), "b");
+    assert.equal(u.undo(), null);
+  });
+});
@@ -0,0 +1,52 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { readUnit, applyUnit, convertTo, qtyAdd, qtyMul, qtyDiv, qtyNeg, qtyFunction, formatQuantity } from "../units.js";
+
+const unit = (s)=> readUnit(s, 0).unit;
+const q = (n, s)=> applyUnit(n, unit(s));
+
+describe("readUnit", ()=>{
+  it("reads simple and compound units", ()=>{
+    assert.equal(readUnit("km + 3", 0).end, 2);
+    assert.equal(readUnit("m/s^2", 0).end, 5);
+    assert.deepEqual(unit("kg*m/s^2").dim, [1,1,-2,0]);
+    assert.equal(unit("km/h").factor, 1000 / 3600);
+  });
+
+  it("stops where the unit ends", ()=>{
+    assert.equal(readUnit("m/2", 0).end, 1);
+    assert.equal(readUnit("kmh", 0), null);
+  });
+
+  it("keeps the offset only for a lone temperature unit", ()=>{
+    assert.equal(unit("°C").offset, 273.15);
+    assert.equal(unit("°C/s").offset, 0);
+  });
+});
+
+describe("quantities", ()=>{
+  it("adds in the left unit and checks dimensions", ()=>{
+    assert.equal(formatQuantity(qtyAdd(q(5, "km"), q(300, "m"))), "5.3 km");
+    assert.throws(()=> qtyAdd(q(5, "m"), q(3, "s")), /Cannot add length and time/);
+    assert.throws(()=> qtyAdd(q(5, "m"), 3), /Cannot add length and a plain number/);
+  });
+
+  it("multiplies and divides dimensions", ()=>{
+    assert.equal(formatQuantity(qtyMul(q(5, "m/s"), q(3, "s"))), "15 m");
+    assert.equal(formatQuantity(qtyMul(q(5, "N"), q(2, "m"))), "10 J");
+    assert.equal(qtyDiv(q(10, "km"), q(5, "m")), 2000);
+  });
+
+  it("converts with offsets", ()=>{
+    assert.equal(formatQuantity(convertTo(q(20, "°C"), unit("°F")), (x)=> String(Math.round(x * 1e9) / 1e9)), "68 °F");
+    assert.throws(()=> convertTo(q(1, "km"), unit("s")), /Cannot convert length to time/);
+  });
+
+  it("takes abs on the unit's own scale", ()=>{
+    const round = (x)=> String(Math.round(x * 1e9) / 1e9);
+    assert.equal(formatQuantity(qtyFunction("abs", [qtyNeg(q(5, "°C"))]), round), "5 °C");
+    assert.equal(formatQuantity(qtyFunction("abs", [q(-40, "°F")]), round), "40 °F");
+    assert.equal(formatQuantity(qtyFunction("abs", [q(20, "°C")]), round), "20 °C");
+    assert.equal(formatQuantity(qtyFunction("abs", [qtyNeg(q(3, "km"))]), round), "3 km");
+  });
+});
@@ -0,0 +1,43 @@
+// Undo/redo of calculator states (no DOM, no external libs)
+// The stack holds whole snapshots, the current one on top: commit() after a change, undo() steps back.
+// A snapshot is whatever the caller keeps (app.js: expression, caret, Ans, history); same(a, b) tells
+// when a commit changed nothing. Commits of one group in a row (typing 1, 2, 3) are a single step.
+
+export function createUndoStack({limit = 100, same = (a, b)=> a === b} = {}){
+  const done = [];   // oldest first, the current state last
+  const undone = [];
+  let group = null;
+
+  return {
+    commit(snapshot, kind = null){
+      const top = done[done.length-1];
+      if (top !== undefined && same(top, snapshot)){
+        done[done.length-1] = snapshot; // the caret may have moved
+        return false;
+      }
+      if (kind && kind === group) done[done.length-1] = snapshot;
+      else done.push(snapshot);
+      if (done.length > limit + 1) done.shift();
+      undone.length = 0;
+      group = kind;
+      return true;
+    },
+    // ends the current group: the next commit is a step of its own even if it is of the same kind
+    seal(){ group = null; },
+    // the state to go back to, or null when there is none
+    undo(){
+      if (done.length < 2) return null;
+      undone.push(done.pop());
+      group = null;
+      return done[done.length-1];
+    },
+    redo(){
+      if (!undone.length) return null;
+      done.push(undone.pop());
+      group = null;
+      return done[done.length-1];
+    },
+    get canUndo(){ return done.length > 1; },
+    get canRedo(){ return undone.length > 0; },
+  };
+}
@@ -0,0 +1,189 @@
+// Physical units (no external libs)
+// A quantity is a plain object {type:"qty", value, dim, unit}: value in SI base units (a double),
+// dim the exponents of [m, kg, s, K], unit the unit it is shown in (null = SI, derived from dim).
+// Offset scales (°C, °F) only matter when a plain number becomes a quantity and when it is shown:
+// 20 °C is stored as 293.15 K.
+
+const BASE = ["m", "kg", "s", "K"];
+const D = {
+  none: [0,0,0,0], length: [1,0,0,0], mass: [0,1,0,0], time: [0,0,1,0], temperature: [0,0,0,1],
+  area: [2,0,0,0], volume: [3,0,0,0], speed: [1,0,-1,0], acceleration: [1,0,-2,0],
+  force: [1,1,-2,0], energy: [2,1,-2,0], power: [2,1,-3,0], pressure: [-1,1,-2,0], frequency: [0,0,-1,0],
+};
+
+// kind -> {unit name: factor to SI}; the kind gives the dimension
+const UNIT_TABLE = {
+  length: {m:1, km:1e3, cm:1e-2, mm:1e-3, um:1e-6, "µm":1e-6, nm:1e-9, inch:0.0254, ft:0.3048, yd:0.9144, mi:1609.344, nmi:1852},
+  mass: {kg:1, g:1e-3, mg:1e-6, tonne:1e3, lb:0.45359237, oz:0.028349523125},
+  time: {s:1, ms:1e-3, us:1e-6, min:60, h:3600, day:86400, week:604800, yr:31557600},
+  temperature: {K:1, "°C":1, "°F":5/9, degC:1, degF:5/9},
+  speed: {mph:1609.344/3600, kph:1000/3600, knot:1852/3600},
+  pressure: {Pa:1, kPa:1e3, MPa:1e6, bar:1e5, atm:101325, psi:6894.757293168, mmHg:133.322387415},
+  energy: {J:1, kJ:1e3, MJ:1e6, cal:4.184, kcal:4184, Wh:3600, kWh:3.6e6, eV:1.602176634e-19, BTU:1055.05585262},
+  force: {N:1, kN:1e3, lbf:4.4482216152605},
+  power: {W:1, kW:1e3, MW:1e6, hp:745.69987158227},
+  area: {ha:1e4, acre:4046.8564224},
+  volume: {L:1e-3, mL:1e-6, gal:3.785411784e-3},
+  frequency: {Hz:1, kHz:1e3, MHz:1e6},
+};
+const OFFSETS = {"°C": 273.15, degC: 273.15, "°F": 459.67, degF: 459.67};
+
+// kind -> unit names, for the unit picker
+export const UNIT_GROUPS = Object.fromEntries(Object.entries(UNIT_TABLE).map(([kind, units])=> [kind, Object.keys(units)]));
+
+const UNITS = new Map();
+for (const [kind, units] of Object.entries(UNIT_TABLE)){
+  for (const [name, factor] of Object.entries(units)){
+    UNITS.set(name, {name, factor, dim: D[kind], offset: OFFSETS[name] || 0});
+  }
+}
+
+// named SI units a derived result is shown in: 5 N * 2 m -> 10 J
+const NAMED = [["J", D.energy], ["N", D.force], ["W", D.power], ["Pa", D.pressure], ["Hz", D.frequency]];
+
+export function isUnitName(name){ return UNITS.has(name); }
+export function isQty(v){ return !!v && v.type === "qty"; }
+
+const sameDim = (a, b)=> a.every((x, k)=> x === b[k]);
+const isNone = (dim)=> dim.every(x => x === 0);
+
+// "km/h", "kg*m/s^2", "m²" starting at s[i] -> {unit, end} or null; the unit is {name, factor, dim, offset}
+export function readUnit(s, i){
+  let pos = i, factor = 1, dim = [0,0,0,0], names = 0, sign = 1, first = null;
+  for (;;){
+    const m = s.slice(pos).match(/^(°[CF]|µ?[A-Za-z]+)/);
+    if (!m || !UNITS.has(m[1])) break;
+    const u = UNITS.get(m[1]);
+    pos += m[1].length;
+    let exp = 1;
+    const e = s.slice(pos).match(/^(?:\^(-?\d+)|([²³]))/);
+    if (e){
+      exp = e[1] ? Number(e[1]) : e[2] === "²" ? 2 : 3;
+      pos += e[0].length;
+    }
+    factor *= u.factor ** (sign * exp);
+    dim = dim.map((x, k)=> x + u.dim[k] * sign * exp);
+    if (!names) first = {u, exp};
+    names++;
+    // another factor only when "*" or "/" is followed straight by a unit name: 10 m/2 stops at m
+    const op = s.slice(pos).match(/^([*/·])(°[CF]|µ?[A-Za-z]+)/);
+    if (!op || !UNITS.has(op[2])) break;
+    sign = op[1] === "/" ? -1 : 1;
+    pos += 1;
+  }
+  if (!names) return null;
+  // an offset only applies to a lone temperature unit: 20 °C, not 20 °C/s
+  const offset = names === 1 && first.exp === 1 ? first.u.offset : 0;
+  return {unit: {name: s.slice(i, pos), factor, dim, offset}, end: pos};
+}
+
+function kind(dim){
+  for (const [name, d] of Object.entries(D)) if (sameDim(d, dim)) return name;
+  return siLabel(dim);
+}
+
+// SI label for a dimension: "m/s^2", "kg*m^2", "s^-1"
+function siLabel(dim){
+  for (const [name, d] of NAMED) if (sameDim(d, dim)) return name;
+  const part = (k, e)=> BASE[k] + (e === 1 ? "" : "^" + e);
+  const up = dim.map((e, k)=> e > 0 ? part(k, e) : null).filter(Boolean);
+  const down = dim.map((e, k)=> e < 0 ? part(k, -e) : null).filter(Boolean);
+  if (!up.length) return dim.map((e, k)=> e ? part(k, e) : null).filter(Boolean).join("*");
+  return up.join("*") + down.map(p => "/" + p).join("");
+}
+
+function qty(value, dim, unit = null){
+  if (isNone(dim)) return value; // m/m is a plain number
+  return {type:"qty", value, dim, unit};
+}
+
+// 5 km (a number gets the unit, with its offset), or (2 m) s (a quantity is multiplied by it)
+export function applyUnit(v, unit){
+  if (isQty(v)) return qtyMul(v, qty(unit.factor, unit.dim, unit));
+  return qty((v + unit.offset) * unit.factor, unit.dim, unit);
+}
+
+function describe(v){ return isQty(v) ? kind(v.dim) : "a plain number"; }
+
+// + and - need the same dimension; the result is shown in the left unit (5 km + 300 m = 5.3 km).
+// Two offset temperatures: the right one counts as a difference (20 °C + 5 °C = 25 °C),
+// and subtracting them gives a difference in K (30 °C - 20 °C = 10 K)
+export function qtyAdd(a, b, subtract = false){
+  if (!isQty(a) || !isQty(b) || !sameDim(a.dim, b.dim)){
+    throw new Error(`Cannot ${subtract ? "subtract" : "add"} ${describe(a)} and ${describe(b)}`);
+  }
+  const sign = subtract ? -1 : 1;
+  const offsetA = a.unit && a.unit.offset, offsetB = b.unit && b.unit.offset;
+  if (offsetA && offsetB){
+    if (subtract) return qty(a.value - b.value, a.dim, UNITS.get("K"));
+    return qty(a.value + b.value - offsetB * b.unit.factor, a.dim, a.unit);
+  }
+  return qty(a.value + sign * b.value, a.dim, a.unit || b.unit);
+}
+
+// a number scales a quantity and keeps its unit; two quantities give an SI result
+export function qtyMul(a, b){
+  if (!isQty(a)) return qty(a * b.value, b.dim, b.unit);
+  if (!isQty(b)) return qty(a.value * b, a.dim, a.unit);
+  return qty(a.value * b.value, a.dim.map((x, k)=> x + b.dim[k]));
+}
+
+export function qtyDiv(a, b){
+  if (!isQty(b)) return qty(a.value / b, a.dim, a.unit);
+  const value = (isQty(a) ? a.value : a) / b.value;
+  const dim = isQty(a) ? a.dim.map((x, k)=> x - b.dim[k]) : b.dim.map(x => -x);
+  return qty(value, dim);
+}
+
+export function qtyPow(a, b){
+  if (isQty(b)) throw new Error("Exponent must be a plain number");
+  const dim = a.dim.map(x => x * b);
+  if (!dim.every(Number.isInteger)) throw new Error(`Cannot take a fractional power of ${kind(a.dim)}`);
+  return qty(Math.pow(a.value, b), dim);
+}
+
+// -5 °C negates the number on the unit's own scale, not the kelvin value
+export function qtyNeg(a){
+  const u = a.unit;
+  if (u && u.offset) return {...a, value: (u.offset - (a.value / u.factor - u.offset)) * u.factor};
+  return {...a, value: -a.value};
+}
+
+// abs(-5 °C) is 5 °C: like qtyNeg, on the unit's own scale
+function qtyAbs(a){
+  const u = a.unit;
+  if (u && u.offset) return {...a, value: (Math.abs(a.value / u.factor - u.offset) + u.offset) * u.factor};
+  return {...a, value: Math.abs(a.value)};
+}
+
+// 5 km + 300 m to ft
+export function convertTo(a, unit){
+  if (!isQty(a) && isNone(unit.dim)) return a;
+  const from = isQty(a) ? a.dim : D.none;
+  if (!sameDim(from, unit.dim)) throw new Error(`Cannot convert ${describe(a)} to ${kind(unit.dim)}`);
+  return qty(a.value, a.dim, unit);
+}
+
+// sqrt(9 m^2), abs, min/max of one dimension; anything else wants a plain number
+export function qtyFunction(name, args){
+  const [a] = args;
+  const q = args.find(isQty);
+  switch (name){
+    case "sqrt": return qtyPow(a, 0.5);
+    case "abs": return qtyAbs(a);
+    case "inv": return qtyDiv(1, a);
+    case "min":
+    case "max": {
+      if (!args.every(x => isQty(x) && sameDim(x.dim, q.dim))) throw new Error(`${name} needs values of one kind`);
+      const pick = name === "min" ? (x, m)=> x.value < m.value : (x, m)=> x.value > m.value;
+      return args.reduce((m, x)=> pick(x, m) ? x : m);
+    }
+    default: throw new Error(`${name} needs a plain number, not ${kind(q.dim)}`);
+  }
+}
+
+// "5.3 km", "68 °F", "15 m/s"
+export function formatQuantity(q, format = String){
+  if (q.unit) return `${format(q.value / q.unit.factor - q.unit.offset)} ${q.unit.name}`;
+  return `${format(q.value)} ${siLabel(q.dim)}`;
+}